@@ -1,13 +1,10 @@
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 
-import { registerPing } from "./src/tools/ping.js";
-import { registerRepoTools } from "./src/tools/repo.js";
-import { registerGitTools } from "./src/tools/git.js";
-import { registerHello } from "./src/resources/hello.js";
-import { registerDocsTools } from "./src/tools/docs.js";
-import { registerIssuesTools } from "./src/tools/issues.js";
-import { registerRuntimeTools } from "./src/tools/runtime.js";
+import { createServer } from "./src/server.js";
+import { startHttpServer } from "./src/transports/http.js";
+import { getArgValue } from "./src/helpers/config.js";
+import { POLICY, POLICY_FILE } from "./src/helpers/policy.js";
+import { startIndexing } from "./src/helpers/codeIndex.js";
 
 // surface startup errors to STDERR only
 process.on("uncaughtException", (e) =>
@@ -17,20 +14,40 @@ process.on("unhandledRejection", (e) =>
   process.stderr.write(`[unhandledRejection] ${e?.stack || e}\n`)
 );
 
-const server = new McpServer({ name: "code-assistant-mcp", version: "0.1.0" });
+const transportKind = getArgValue("--transport") || "stdio";
 
-// Register tools/resources
-registerPing(server);
-registerRepoTools(server);
-registerGitTools(server);
-registerHello(server);
-registerDocsTools(server);
-registerIssuesTools(server);
-registerRuntimeTools(server);
+// Build one server up front: it is the stdio server, and for HTTP it reports
+// what the policy disabled before any session exists
+const { server, skippedTools } = createServer();
 
-// Connect via stdio
-const transport = new StdioServerTransport();
-await server.connect(transport);
+if (transportKind === "http") {
+  // Opt-in: --transport http --port 3333 [--host 127.0.0.1], token from MCP_HTTP_TOKEN
+  const port = Number(getArgValue("--port") || 3333);
+  const host = getArgValue("--host") || "127.0.0.1";
+  const token = process.env.MCP_HTTP_TOKEN;
+  if (!token && !["127.0.0.1", "localhost", "::1"].includes(host)) {
+    process.stderr.write("Refusing to listen on a non-loopback host without MCP_HTTP_TOKEN\n");
+    process.exit(1);
+  }
+  await startHttpServer({ port, host, token });
+  process.stderr.write(`MCP HTTP endpoint: http://${host}:${port}/mcp${token ? " (bearer auth)" : ""}\n`);
+} else if (transportKind === "stdio") {
+  // Connect via stdio
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+} else {
+  process.stderr.write(`Unknown --transport ${transportKind} (expected stdio or http)\n`);
+  process.exit(1);
+}
+
+// Build/refresh the code index in the background; searches use rg until it is ready
+startIndexing();
 
 // IMPORTANT: never log to stdout
+if (skippedTools.length > 0) {
+  process.stderr.write(
+    `Policy ${POLICY_FILE}${POLICY.readOnly ? " (read-only)" : ""} disabled: ` +
+    skippedTools.map(t => `${t.name} (${t.reason})`).join(", ") + "\n"
+  );
+}
 process.stderr.write("MCP server running\n");
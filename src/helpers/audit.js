@@ -0,0 +1,103 @@
+// src/helpers/audit.js
+import path from "node:path";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { appendFile, mkdir, readFile } from "node:fs/promises";
+import { AUDIT_LOG } from "./config.js";
+import { matchesGlob } from "./glob.js";
+
+// Per-call context so deep helpers (sandbox, git) can report touched files
+const callContext = new AsyncLocalStorage();
+
+export function recordTouched(relPath) {
+  const store = callContext.getStore();
+  if (store && !store.files.includes(relPath)) store.files.push(relPath);
+}
+
+const SECRET_KEY = /token|secret|password|passwd|api[-_]?key|auth|credential/i;
+const SECRET_VALUE = /-----BEGIN [A-Z ]*PRIVATE KEY-----|\b(AKIA|ASIA)[0-9A-Z]{16}\b|\bgh[pousr]_[A-Za-z0-9]{30,}\b|\bgithub_pat_[A-Za-z0-9_]{30,}\b/;
+const MAX_STRING = 256;
+
+// Strip secrets and shorten bulky strings (file content, patches) before logging
+export function redact(value, key = "") {
+  if (typeof value === "string") {
+    if (SECRET_KEY.test(key) || SECRET_VALUE.test(value)) return "[REDACTED]";
+    return value.length > MAX_STRING ? `${value.slice(0, 64)}… [${value.length} chars]` : value;
+  }
+  if (Array.isArray(value)) return value.map((v) => redact(v, key));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  }
+  return value;
+}
+
+async function appendRecord(record) {
+  if (!AUDIT_LOG) return;
+  try {
+    await mkdir(path.dirname(AUDIT_LOG), { recursive: true });
+    await appendFile(AUDIT_LOG, JSON.stringify(record) + "\n", "utf8");
+  } catch (e) {
+    // Auditing must never break the tool call itself
+    process.stderr.write(`[audit] failed to write ${AUDIT_LOG}: ${e?.message || e}\n`);
+  }
+}
+
+// Wrap server.registerTool so every call appends a JSONL audit record:
+// { time, tool, args, durationMs, outcome: "ok" | "error" | "exception", error?, files }
+export function applyAudit(server) {
+  if (!AUDIT_LOG) return;
+  const registerTool = server.registerTool.bind(server);
+  server.registerTool = (name, config, cb) =>
+    // Tools without an inputSchema are called with (extra) only
+    registerTool(name, config, async (...params) => {
+      const args = config.inputSchema ? params[0] : {};
+      const started = Date.now();
+      const store = { files: [] };
+      const record = { time: new Date(started).toISOString(), tool: name, args: redact(args ?? {}) };
+      try {
+        const result = await callContext.run(store, () => cb(...params));
+        record.outcome = result?.isError ? "error" : "ok";
+        if (result?.isError) record.error = result.content?.[0]?.text?.slice(0, MAX_STRING);
+        return result;
+      } catch (e) {
+        record.outcome = "exception";
+        record.error = String(e?.message || e).slice(0, MAX_STRING);
+        throw e;
+      } finally {
+        record.durationMs = Date.now() - started;
+        record.files = store.files;
+        await appendRecord(record);
+      }
+    });
+}
+
+// Filter the audit log; newest records first
+export async function queryAudit({ tool, since, until, path: pathGlob, outcome, limit = 100 } = {}) {
+  if (!AUDIT_LOG) return [];
+  let raw;
+  try {
+    raw = await readFile(AUDIT_LOG, "utf8");
+  } catch {
+    return [];
+  }
+
+  const sinceMs = since ? Date.parse(since) : -Infinity;
+  const untilMs = until ? Date.parse(until) : Infinity;
+  const touches = (r) =>
+    r.files.some((f) => matchesGlob(f, pathGlob)) ||
+    (typeof r.args?.path === "string" && matchesGlob(r.args.path, pathGlob));
+
+  const records = [];
+  const lines = raw.split("\n");
+  for (let i = lines.length - 1; i >= 0 && records.length < limit; i--) {
+    if (!lines[i]) continue;
+    let r;
+    try { r = JSON.parse(lines[i]); } catch { continue; }
+    const t = Date.parse(r.time);
+    if (t < sinceMs || t > untilMs) continue;
+    if (tool && !matchesGlob(r.tool, tool)) continue;
+    if (outcome && r.outcome !== outcome) continue;
+    if (pathGlob && !touches(r)) continue;
+    records.push(r);
+  }
+  return records;
+}
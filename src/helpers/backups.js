@@ -0,0 +1,178 @@
+// src/helpers/backups.js
+import path from "node:path";
+import { mkdir, readFile, writeFile, copyFile, rm, rename, stat, readdir } from "node:fs/promises";
+import { REPO_ROOT, BACKUP_DIR } from "./config.js";
+import { resolveInRepo, resolveForWrite } from "./sandbox.js";
+
+// Layout under BACKUP_DIR:
+//   index.json    -> [{ id, path, time, existed, size, restored }] oldest first
+//   blobs/<id>    -> file content before the write (only when it existed)
+const INDEX = path.join(BACKUP_DIR, "index.json");
+const BLOBS = path.join(BACKUP_DIR, "blobs");
+
+// Serialize index read-modify-write cycles within this process
+let queue = Promise.resolve();
+function locked(fn) {
+  const next = queue.then(fn, fn);
+  queue = next.catch(() => {});
+  return next;
+}
+
+async function loadIndex() {
+  try {
+    return JSON.parse(await readFile(INDEX, "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+async function saveIndex(entries) {
+  await mkdir(BACKUP_DIR, { recursive: true });
+  const tmp = `${INDEX}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify(entries, null, 2), "utf8");
+  await rename(tmp, INDEX);
+}
+
+function toRel(abs) {
+  return path.relative(REPO_ROOT, abs).split(path.sep).join("/");
+}
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Copy the current file (if any) into the blob store under a fresh id.
+// `target` is a resolveInRepo() result.
+async function snapshot({ abs, rel }) {
+  const entry = { id: newId(), path: rel, time: new Date().toISOString(), existed: false, size: 0, restored: false };
+  try {
+    const st = await stat(abs);
+    if (st.isFile()) {
+      await mkdir(BLOBS, { recursive: true });
+      await copyFile(abs, path.join(BLOBS, entry.id));
+      entry.existed = true;
+      entry.size = st.size;
+    }
+  } catch {
+    // File does not exist (yet)
+  }
+  return entry;
+}
+
+// Snapshot a file before it is written. Records creations too (existed: false)
+// so undoing the write deletes the new file.
+export function recordWrite(target) {
+  return locked(async () => {
+    const entries = await loadIndex();
+    const entry = await snapshot(target);
+    entries.push(entry);
+    await saveIndex(entries);
+    return entry;
+  });
+}
+
+export async function listBackups({ path: relPath, limit = 50 } = {}) {
+  const entries = await loadIndex();
+  const wanted = relPath ? (await resolveInRepo(relPath)).rel : null;
+  return entries
+    .filter((e) => !wanted || e.path === wanted)
+    .reverse()
+    .slice(0, limit);
+}
+
+// Put a file back to its pre-write state: copy the blob back, or delete the
+// file when the write created it.
+async function restoreEntry(entry) {
+  const { abs } = await resolveForWrite(entry.path);
+  if (entry.existed) {
+    await mkdir(path.dirname(abs), { recursive: true });
+    await copyFile(path.join(BLOBS, entry.id), abs);
+    return "restored";
+  }
+  await rm(abs, { force: true });
+  return "deleted";
+}
+
+// Restore one backup by id (null if unknown). The current content is
+// snapshotted first, so a restore can itself be undone.
+export function restoreBackup(id) {
+  return locked(async () => {
+    const entries = await loadIndex();
+    const entry = entries.find((e) => e.id === id);
+    if (!entry) return null;
+
+    const current = await snapshot(await resolveInRepo(entry.path));
+    const action = await restoreEntry(entry);
+    entry.restored = true;
+    entries.push(current);
+    await saveIndex(entries);
+    return { id, path: entry.path, action, snapshotId: current.id };
+  });
+}
+
+// Undo the last `count` writes that have not been restored yet, newest first.
+// When one fails (e.g. write_denied), those already undone stay marked, so a
+// retry does not revert them twice.
+export function undoWrites(count = 1) {
+  return locked(async () => {
+    const entries = await loadIndex();
+    const pending = entries.filter((e) => !e.restored).slice(-count).reverse();
+    const undone = [];
+    try {
+      for (const entry of pending) {
+        const action = await restoreEntry(entry);
+        entry.restored = true;
+        undone.push({ id: entry.id, path: entry.path, action });
+      }
+    } finally {
+      await saveIndex(entries);
+    }
+    return undone;
+  });
+}
+
+// Drop backups by age and/or keep only the newest `keepLast` per file.
+export function pruneBackups({ olderThanDays, keepLast, path: relPath } = {}) {
+  return locked(async () => {
+    const entries = await loadIndex();
+    const wanted = relPath ? (await resolveInRepo(relPath)).rel : null;
+    const cutoff = olderThanDays === undefined ? null : Date.now() - olderThanDays * 86400000;
+    const seenPerFile = new Map();
+    const keep = [];
+    const removed = [];
+
+    // Walk newest first so keepLast keeps the most recent entries
+    for (const e of [...entries].reverse()) {
+      const n = (seenPerFile.get(e.path) || 0) + 1;
+      seenPerFile.set(e.path, n);
+      const inScope = !wanted || e.path === wanted;
+      const tooOld = cutoff !== null && Date.parse(e.time) < cutoff;
+      const overLimit = keepLast !== undefined && n > keepLast;
+      if (inScope && (tooOld || overLimit)) removed.push(e);
+      else keep.unshift(e);
+    }
+
+    for (const e of removed) {
+      if (e.existed) await rm(path.join(BLOBS, e.id), { force: true });
+    }
+    await saveIndex(keep);
+    return { removed: removed.length, remaining: keep.length };
+  });
+}
+
+// Legacy `<file>.backup-<timestamp>` files written next to the originals.
+export async function findLegacyBackups(dir = REPO_ROOT, found = []) {
+  let dirents;
+  try {
+    dirents = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return found;
+  }
+  for (const d of dirents) {
+    if (d.name === ".git" || d.name === "node_modules") continue;
+    const abs = path.join(dir, d.name);
+    if (d.isDirectory()) await findLegacyBackups(abs, found);
+    else if (/\.backup-\d+$/.test(d.name)) found.push(toRel(abs));
+  }
+  return found;
+}
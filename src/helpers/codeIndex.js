@@ -0,0 +1,425 @@
+// src/helpers/codeIndex.js
+import path from "node:path";
+import { readFile, writeFile, mkdir, rename, lstat, readdir } from "node:fs/promises";
+import { REPO_ROOT, INDEX_FILE, INDEX_TRIGRAMS, DENY_GLOBS } from "./config.js";
+import { matchesAnyGlob } from "./glob.js";
+import { loadIgnoreRules, isIgnored } from "./ignore.js";
+import { run } from "./process.js";
+
+// Incremental on-disk index of the repo: file list with mtimes, token counts
+// per file, and (optionally) the set of lowercase trigrams per file. Searches
+// use the trigrams to pick candidate files and then scan only those.
+
+const VERSION = 1;
+const MAX_FILE_BYTES = 1024 * 1024;       // same cap as rg --max-filesize 1M
+const MAX_TRIGRAM_BYTES = 256 * 1024;     // larger files are always scanned
+const REFRESH_INTERVAL_MS = 5000;
+const INITIAL_BUILD_WAIT_MS = 3000;
+const STAT_BATCH = 64;
+
+// Mirrors the globs repo_search passes to ripgrep
+export const INDEX_EXCLUDES = [
+  ".git/", "node_modules/", "dist/", "build/", ".venv/", "venv/", "__pycache__/", "*.min.*",
+];
+
+const state = {
+  files: new Map(),      // rel -> { mtimeMs, size, binary, tokens: { tok: n }, length, trigrams: Set | null }
+  ready: false,
+  source: null,          // "git" (ls-files, honors .gitignore) | "walk" (.gitignore/.ignore files)
+  lastRefresh: 0,
+  refreshDurationMs: 0,
+  stale: true,           // force a refresh before the next query
+  refreshing: null,      // in-flight refresh promise
+};
+
+// --- tokenizing --------------------------------------------------------------
+
+// Identifier-ish words, lowercased, plus their camelCase/snake_case parts:
+// "getUserName" -> getusername, get, user, name
+export function tokenize(text) {
+  const out = [];
+  for (const [word] of text.matchAll(/[A-Za-z0-9_$]+/g)) {
+    if (word.length < 2 || word.length > 64) continue;
+    out.push(word.toLowerCase());
+    const parts = word.split(/[_$]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/);
+    if (parts.length > 1) {
+      for (const p of parts) if (p.length >= 2) out.push(p.toLowerCase());
+    }
+  }
+  return out;
+}
+
+function trigramsOf(text) {
+  const lower = text.toLowerCase();
+  const set = new Set();
+  for (let i = 0; i + 3 <= lower.length; i++) set.add(lower.slice(i, i + 3));
+  return set;
+}
+
+// --- building ----------------------------------------------------------------
+
+const isExcluded = (rel) => matchesAnyGlob(rel, INDEX_EXCLUDES) || matchesAnyGlob(rel, DENY_GLOBS);
+
+// Fallback outside git: honors .gitignore/.ignore files like git would
+async function walk(dirRel, rules, out = []) {
+  rules = [...rules, ...(await loadIgnoreRules(dirRel))];
+  let dirents;
+  try { dirents = await readdir(path.join(REPO_ROOT, dirRel), { withFileTypes: true }); } catch { return out; }
+  for (const d of dirents) {
+    const rel = dirRel ? `${dirRel}/${d.name}` : d.name;
+    if (d.isDirectory()) {
+      if (!isExcluded(rel + "/") && !isIgnored(rel + "/", rules)) await walk(rel, rules, out);
+    } else if (d.isFile() && !isIgnored(rel, rules)) {
+      out.push(rel);
+    }
+  }
+  return out;
+}
+
+async function listFiles() {
+  const git = await run("git", ["ls-files", "-z", "--cached", "--others", "--exclude-standard"], { timeoutMs: 30000 });
+  if (git.code === 0) {
+    return { source: "git", files: git.out.split("\0").filter(Boolean) };
+  }
+  return { source: "walk", files: await walk("", []) };
+}
+
+// Every file of the repo the index considers (.gitignore, INDEX_EXCLUDES and
+// the deny list applied), before the size and binary checks
+export async function repoFiles() {
+  const { source, files } = await listFiles();
+  return { source, files: files.filter((rel) => !isExcluded(rel)) };
+}
+
+// Current on-disk state of every indexable file: rel -> { mtimeMs, size }
+async function scanDisk() {
+  const { source, files: candidates } = await repoFiles();
+  const disk = new Map();
+  for (let i = 0; i < candidates.length; i += STAT_BATCH) {
+    await Promise.all(candidates.slice(i, i + STAT_BATCH).map(async (rel) => {
+      try {
+        // lstat: never follow symlinks out of the repo
+        const st = await lstat(path.join(REPO_ROOT, rel));
+        if (st.isFile() && st.size <= MAX_FILE_BYTES) disk.set(rel, { mtimeMs: st.mtimeMs, size: st.size });
+      } catch {
+        // Deleted but still tracked, or unreadable
+      }
+    }));
+  }
+  return { source, disk };
+}
+
+function diffAgainst(disk) {
+  const changed = [];
+  const removed = [];
+  for (const [rel, st] of disk) {
+    const prev = state.files.get(rel);
+    if (!prev || prev.mtimeMs !== st.mtimeMs || prev.size !== st.size) changed.push(rel);
+  }
+  for (const rel of state.files.keys()) {
+    if (!disk.has(rel)) removed.push(rel);
+  }
+  return { changed, removed };
+}
+
+async function indexFile(rel, st) {
+  const entry = { mtimeMs: st.mtimeMs, size: st.size, binary: false, tokens: {}, length: 0, trigrams: null };
+  let buf;
+  try { buf = await readFile(path.join(REPO_ROOT, rel)); } catch { return null; }
+  if (buf.subarray(0, 8192).includes(0)) {
+    entry.binary = true;
+    return entry;
+  }
+  const text = buf.toString("utf8");
+  for (const tok of tokenize(text)) {
+    entry.tokens[tok] = (entry.tokens[tok] || 0) + 1;
+    entry.length++;
+  }
+  if (INDEX_TRIGRAMS && buf.length <= MAX_TRIGRAM_BYTES) entry.trigrams = trigramsOf(text);
+  return entry;
+}
+
+async function load() {
+  if (!INDEX_FILE) return;
+  try {
+    const data = JSON.parse(await readFile(INDEX_FILE, "utf8"));
+    if (data.version !== VERSION || data.root !== REPO_ROOT) return;
+    for (const [rel, f] of Object.entries(data.files)) {
+      // Trigrams are persisted as one concatenated string, 3 code units each
+      let trigrams = null;
+      if (INDEX_TRIGRAMS && typeof f.trigrams === "string") {
+        trigrams = new Set();
+        for (let i = 0; i < f.trigrams.length; i += 3) trigrams.add(f.trigrams.slice(i, i + 3));
+      }
+      state.files.set(rel, { ...f, trigrams });
+    }
+  } catch {
+    // Missing or corrupt index: rebuild from scratch
+  }
+}
+
+async function save() {
+  if (!INDEX_FILE) return;
+  const files = {};
+  for (const [rel, f] of state.files) {
+    files[rel] = { ...f, trigrams: f.trigrams ? [...f.trigrams].join("") : null };
+  }
+  await mkdir(path.dirname(INDEX_FILE), { recursive: true });
+  const tmp = `${INDEX_FILE}.${process.pid}.tmp`;
+  await writeFile(tmp, JSON.stringify({ version: VERSION, root: REPO_ROOT, files }), "utf8");
+  await rename(tmp, INDEX_FILE);
+}
+
+async function doRefresh() {
+  const started = Date.now();
+  if (!state.ready && state.files.size === 0) await load();
+
+  const { source, disk } = await scanDisk();
+  const { changed, removed } = diffAgainst(disk);
+  for (const rel of removed) state.files.delete(rel);
+  for (const rel of changed) {
+    const entry = await indexFile(rel, disk.get(rel));
+    if (entry) state.files.set(rel, entry);
+    else state.files.delete(rel);
+  }
+
+  state.source = source;
+  state.lastRefresh = Date.now();
+  state.refreshDurationMs = state.lastRefresh - started;
+  state.stale = false;
+  state.ready = true;
+  if (changed.length || removed.length) {
+    try {
+      await save();
+    } catch (e) {
+      process.stderr.write(`[index] failed to save ${INDEX_FILE}: ${e?.message || e}\n`);
+    }
+  }
+  return { changed: changed.length, removed: removed.length };
+}
+
+export function refreshIndex() {
+  if (!INDEX_FILE) return Promise.resolve({ changed: 0, removed: 0 });
+  if (!state.refreshing) {
+    state.refreshing = doRefresh().finally(() => { state.refreshing = null; });
+  }
+  return state.refreshing;
+}
+
+// Kick off the initial build without blocking startup
+export function startIndexing() {
+  if (!INDEX_FILE) return;
+  refreshIndex().catch((e) => process.stderr.write(`[index] build failed: ${e?.message || e}\n`));
+}
+
+// Call after a tool writes files so the next query re-checks mtimes right away
+export function markIndexStale() {
+  state.stale = true;
+}
+
+// True when the index can answer queries (refreshing it first if it is old).
+// Waits briefly for the first build; if it is still running after that,
+// returns false so callers fall back to rg.
+async function ensureFresh() {
+  if (!INDEX_FILE) return false;
+  if (!state.ready) {
+    startIndexing();
+    await Promise.race([state.refreshing, new Promise((r) => setTimeout(r, INITIAL_BUILD_WAIT_MS).unref())]);
+    return state.ready;
+  }
+  if (state.stale || Date.now() - state.lastRefresh > REFRESH_INTERVAL_MS) {
+    await refreshIndex();
+  }
+  return true;
+}
+
+// --- querying ----------------------------------------------------------------
+
+// Index of the last character of the escape whose letter is at `i`: the hex
+// digits of \xNN / \uNNNN, \u{...} and \p{...}, the letter of \cX, the name of
+// \k<name> and the digits of \0 or a backreference, none of them literal text
+function escapeOperandEnd(pattern, i) {
+  const c = pattern[i];
+  const closing = (open, close) => (pattern[i + 1] === open && pattern.indexOf(close, i) !== -1 ? pattern.indexOf(close, i) : null);
+  const upTo = (re, max) => {
+    let j = i;
+    while (j - i < max && re.test(pattern[j + 1] ?? "")) j++;
+    return j;
+  };
+  if (c === "x") return upTo(/[0-9A-Fa-f]/, 2);
+  if (c === "u") return closing("{", "}") ?? upTo(/[0-9A-Fa-f]/, 4);
+  if (c === "p" || c === "P") return closing("{", "}") ?? i;
+  if (c === "k") return closing("<", ">") ?? i;
+  if (c === "c") return upTo(/[A-Za-z]/, 1);
+  if (/[0-9]/.test(c)) return upTo(/[0-9]/, Infinity);
+  return i;
+}
+
+// Literal runs (3+ chars) that every match of `pattern` must contain. Returns
+// [] when unsure (alternation), which means "scan every file".
+function requiredLiterals(pattern) {
+  const literals = [];
+  let cur = "";
+  let depth = 0;
+  const flush = () => {
+    if (cur.length >= 3 && depth === 0) literals.push(cur);
+    cur = "";
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "\\") {
+      const next = pattern[++i];
+      // \. \( \\ are literal; \w \d \b \n ... are classes/assertions
+      if (next !== undefined && !/[A-Za-z0-9]/.test(next)) cur += next;
+      else {
+        flush();
+        i = escapeOperandEnd(pattern, i);
+      }
+    } else if (c === "|") {
+      return [];
+    } else if (c === "[") {
+      flush();
+      let j = i + 1;
+      if (pattern[j] === "^") j++;
+      if (pattern[j] === "]") j++;
+      while (j < pattern.length && pattern[j] !== "]") j += pattern[j] === "\\" ? 2 : 1;
+      i = j;
+    } else if (c === "*" || c === "?" || c === "{") {
+      // The preceding character may be absent
+      cur = cur.slice(0, -1);
+      flush();
+      if (c === "{") i = Math.max(i, pattern.indexOf("}", i));
+    } else if (c === "(") {
+      flush();
+      depth++;
+    } else if (c === ")") {
+      flush();
+      depth = Math.max(0, depth - 1);
+    } else if (c === "+" || c === "." || c === "^" || c === "$") {
+      flush();
+    } else {
+      cur += c;
+    }
+  }
+  flush();
+  return literals;
+}
+
+function candidateFiles(pattern, under) {
+  const needed = INDEX_TRIGRAMS
+    ? requiredLiterals(pattern).flatMap((lit) => [...trigramsOf(lit)])
+    : [];
+  const prefix = under && under !== "." ? under.replace(/^\.\//, "").replace(/\/?$/, "/") : "";
+  const out = [];
+  for (const [rel, f] of state.files) {
+    if (f.binary) continue;
+    if (prefix && !rel.startsWith(prefix)) continue;
+    if (f.trigrams && !needed.every((t) => f.trigrams.has(t))) continue;
+    out.push(rel);
+  }
+  return out.sort();
+}
+
+function compile(pattern) {
+  try {
+    return new RegExp(pattern, "g");
+  } catch {
+    return null; // rg syntax JS cannot parse: let the caller fall back to rg
+  }
+}
+
+// Line matches like `rg --vimgrep`: [{ file, line, col, text }], or null when
+// the index cannot answer (disabled, still building, or unsupported regex).
+export async function searchIndex(pattern, { maxResults = 50, under = "." } = {}) {
+  const re = compile(pattern);
+  if (!re || !(await ensureFresh())) return null;
+
+  const results = [];
+  for (const rel of candidateFiles(pattern, under)) {
+    let text;
+    try { text = await readFile(path.join(REPO_ROOT, rel), "utf8"); } catch { continue; }
+    const lines = text.split("\n");
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].replace(/\r$/, "");
+      re.lastIndex = 0;
+      for (let m = re.exec(line); m; m = re.exec(line)) {
+        results.push({ file: rel, line: i + 1, col: m.index + 1, text: line.slice(0, 200) });
+        if (results.length >= maxResults) return results;
+        if (m[0] === "") re.lastIndex++; // avoid looping on empty matches
+      }
+    }
+  }
+  return results;
+}
+
+// Files containing a match, with match counts: [{ path, matches }], or null
+// when the index cannot answer.
+export async function findFilesIndexed(pattern, limit = Infinity) {
+  const re = compile(pattern);
+  if (!re || !(await ensureFresh())) return null;
+
+  const out = [];
+  for (const rel of candidateFiles(pattern)) {
+    let text;
+    try { text = await readFile(path.join(REPO_ROOT, rel), "utf8"); } catch { continue; }
+    const matches = text.match(re)?.length ?? 0;
+    if (matches > 0) out.push({ path: rel, matches });
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+// Per-file counts of the given terms for BM25: [{ rel, tf: { term: n }, length }]
+// over every indexed text file, or null when the index cannot answer.
+export async function termDocuments(terms) {
+  if (!(await ensureFresh())) return null;
+  const docs = [];
+  for (const [rel, f] of state.files) {
+    if (f.binary) continue;
+    const tf = {};
+    for (const t of terms) if (f.tokens[t]) tf[t] = f.tokens[t];
+    docs.push({ rel, tf, length: f.length });
+  }
+  return docs;
+}
+
+// Every indexable text file (the index's view when ready, else a disk scan)
+export async function indexedFiles() {
+  if (await ensureFresh()) {
+    return [...state.files].filter(([, f]) => !f.binary).map(([rel]) => rel).sort();
+  }
+  return [...(await scanDisk()).disk.keys()].sort();
+}
+
+// Text files that may contain the identifier `name`: narrowed by the index's
+// token counts when it is ready, otherwise every indexable file on disk.
+export async function filesMentioning(name) {
+  const [token] = tokenize(name);
+  if (token === name.toLowerCase() && (await ensureFresh())) {
+    return [...state.files].filter(([, f]) => !f.binary && f.tokens[token]).map(([rel]) => rel).sort();
+  }
+  return [...(await scanDisk()).disk.keys()].sort();
+}
+
+export async function indexStatus({ verify = false } = {}) {
+  const status = {
+    enabled: Boolean(INDEX_FILE),
+    indexFile: INDEX_FILE,
+    ready: state.ready,
+    building: Boolean(state.refreshing),
+    source: state.source,
+    files: state.files.size,
+    binaryFiles: [...state.files.values()].filter((f) => f.binary).length,
+    trigrams: INDEX_TRIGRAMS,
+    lastRefresh: state.lastRefresh ? new Date(state.lastRefresh).toISOString() : null,
+    ageSeconds: state.lastRefresh ? Math.round((Date.now() - state.lastRefresh) / 1000) : null,
+    refreshDurationMs: state.refreshDurationMs,
+  };
+  if (verify && state.ready) {
+    // Compare against disk without reindexing
+    const { changed, removed } = diffAgainst((await scanDisk()).disk);
+    status.outOfDate = { changed: changed.length, removed: removed.length };
+  }
+  return status;
+}
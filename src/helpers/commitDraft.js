@@ -0,0 +1,181 @@
+// src/helpers/commitDraft.js
+// Deterministic commit message drafts: the staged files decide the type,
+// scope and summary; recent subjects decide the style (Conventional Commits
+// or plain, scopes, capitalization, where ticket IDs go).
+import path from "node:path";
+import { CONVENTIONAL_TYPES } from "./commitGuard.js";
+
+const CONVENTIONAL = new RegExp(`^(${CONVENTIONAL_TYPES.join("|")})(?:\\(([^)]+)\\))?!?: (.*)$`);
+
+// Where subjects carry a ticket ID; `template` puts one back in place
+const TICKET_STYLES = [
+  { name: "bracket-prefix", re: /^\[([^\]\s]+)\]\s+(.*)$/, template: (id, s) => `[${id}] ${s}` },
+  { name: "key-prefix", re: /^([A-Z][A-Z0-9]+-\d+):?\s+(.*)$/, template: (id, s) => `${id}: ${s}` },
+  { name: "issue-suffix", re: /^(.*?)\s+\(#(\d+)\)$/, template: (id, s) => `${s} (#${id})`, suffix: true },
+  { name: "key-suffix", re: /^(.*?)\s+\(?([A-Z][A-Z0-9]+-\d+)\)?$/, template: (id, s) => `${s} (${id})`, suffix: true },
+];
+
+const DOC_FILE = /(^|\/)(docs?\/|README|CHANGELOG|CONTRIBUTING|LICENSE)|\.(md|mdx|rst|adoc)$/i;
+const TEST_FILE = /(^|\/)(tests?|__tests__|spec|e2e)\/|[._-](test|spec)\.[^/]+$|_test\.go$/;
+const CI_FILE = /^(\.github\/workflows\/|\.gitlab-ci\.yml$|\.circleci\/|azure-pipelines\.yml$|\.travis\.yml$)/;
+const BUILD_FILE = /(^|\/)(package(-lock)?\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-(lock|workspace)\.yaml|Dockerfile|Makefile|go\.(mod|sum)|Cargo\.(toml|lock)|pyproject\.toml|requirements[^/]*\.txt|setup\.(py|cfg)|pom\.xml|[^/]*\.gradle(\.kts)?|Gemfile(\.lock)?|tsconfig[^/]*\.json|\.npmrc|\.nvmrc)$/;
+
+const VERBS = { A: "add", D: "remove", R: "rename", C: "copy" };
+const PAST = { A: "new", D: "deleted", R: "renamed", C: "copied", T: "type changed" };
+
+function categoryOf(file) {
+  if (CI_FILE.test(file)) return "ci";
+  if (BUILD_FILE.test(file)) return "build";
+  if (TEST_FILE.test(file)) return "test";
+  if (DOC_FILE.test(file)) return "docs";
+  return "source";
+}
+
+// Files are grouped by directory; top-level files stand alone
+export const moduleOf = (file) => (path.posix.dirname(file) === "." ? file : path.posix.dirname(file));
+
+// As a conventional-commit scope: "src/api" -> "api", "server.js" -> "server"
+const moduleName = (mod) => path.posix.basename(mod).replace(/\.[^.]+$/, "") || mod;
+
+function tally(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) ?? 0) + 1);
+  return counts;
+}
+
+// What recent subjects have in common. `subjects` newest first.
+export function learnConventions(subjects) {
+  const total = subjects.length;
+  let rest = subjects;
+
+  const tickets = TICKET_STYLES.map((style) => ({ style, hits: subjects.filter((s) => style.re.test(s)) }))
+    .sort((a, b) => b.hits.length - a.hits.length)[0];
+  const ticketStyle = total && tickets.hits.length / total >= 0.5 ? tickets.style : null;
+  if (ticketStyle) {
+    rest = subjects.map((s) => {
+      const m = ticketStyle.re.exec(s);
+      return m ? (ticketStyle.suffix ? m[1] : m[2]) : s;
+    });
+  }
+
+  const conventional = rest.map((s) => CONVENTIONAL.exec(s)).filter(Boolean);
+  const isConventional = total > 0 && conventional.length / total >= 0.5;
+  const descriptions = isConventional ? conventional.map((m) => m[3]) : rest;
+  const capitalized = descriptions.filter((d) => /^[A-Z]/.test(d)).length;
+  const withPeriod = descriptions.filter((d) => /[^.]\.$/.test(d)).length;
+  const scoped = conventional.filter((m) => m[2]);
+
+  return {
+    sampled: total,
+    style: isConventional ? "conventional" : "plain",
+    types: Object.fromEntries(tally(conventional.map((m) => m[1]))),
+    scopes: [...tally(scoped.map((m) => m[2]))].sort((a, b) => b[1] - a[1]).map(([s]) => s),
+    usesScopes: conventional.length > 0 && scoped.length / conventional.length >= 0.5,
+    capitalized: descriptions.length ? capitalized / descriptions.length >= 0.5 : !isConventional,
+    trailingPeriod: descriptions.length > 0 && withPeriod / descriptions.length >= 0.5,
+    ticketStyle: ticketStyle?.name ?? null,
+    ticketExample: ticketStyle ? tickets.hits[0] : null,
+  };
+}
+
+// A ticket ID in the branch name for the learned style, or null
+export function ticketFromBranch(branch, ticketStyle) {
+  if (!branch || !ticketStyle) return null;
+  if (ticketStyle === "issue-suffix") return /(?:^|[/_-])(\d+)(?:[/_-]|$)/.exec(branch)?.[1] ?? null;
+  if (ticketStyle === "bracket-prefix") return /[A-Za-z][A-Za-z0-9]*-\d+/.exec(branch)?.[0] ?? null;
+  return /[A-Z][A-Z0-9]+-\d+/i.exec(branch)?.[0].toUpperCase() ?? null;
+}
+
+function inferType(files) {
+  const categories = new Set(files.map((f) => categoryOf(f.file)));
+  if (categories.size === 1 && !categories.has("source")) return [...categories][0];
+  const source = files.filter((f) => categoryOf(f.file) === "source");
+  if (!source.length) return "chore";
+  if (source.every((f) => f.status === "R")) return "refactor";
+  if (source.some((f) => f.status === "A")) return "feat";
+  const added = source.reduce((n, f) => n + f.additions, 0);
+  const deleted = source.reduce((n, f) => n + f.deletions, 0);
+  return deleted > added ? "refactor" : "fix";
+}
+
+// One verb for the whole change when all files agree, "update" otherwise
+function inferVerb(files) {
+  const verbs = new Set(files.map((f) => VERBS[f.status] ?? "update"));
+  return verbs.size === 1 ? [...verbs][0] : "update";
+}
+
+// Files and directories as named in the subject: the basename, extension
+// kept, or the whole path when another path shares that basename
+function subjectNames(paths) {
+  const unique = [...new Set(paths)];
+  const bases = tally(unique.map((p) => path.posix.basename(p)));
+  return unique.map((p) => (bases.get(path.posix.basename(p)) > 1 ? p : path.posix.basename(p)));
+}
+
+function listNames(names) {
+  if (names.length <= 3) return names.length === 1 ? names[0] : `${names.slice(0, -1).join(", ")} and ${names.at(-1)}`;
+  return `${names.slice(0, 2).join(", ")} and ${names.length - 2} more`;
+}
+
+// `files`: [{ file, oldFile, status, additions, deletions, binary }] (staged).
+// Returns { subject, body, message, type, scope, ticket, modules }.
+export function draftCommitMessage(files, conventions, { ticket = null, maxBodyFiles = 20 } = {}) {
+  const modules = new Map();
+  for (const f of files) {
+    const mod = moduleOf(f.file);
+    if (!modules.has(mod)) modules.set(mod, []);
+    modules.get(mod).push(f);
+  }
+
+  // A few files of one module by name; otherwise the modules, largest first
+  const bySize = [...modules].sort((a, b) => {
+    const size = (fs) => fs.reduce((n, f) => n + f.additions + f.deletions, 0);
+    return size(b[1]) - size(a[1]) || (a[0] < b[0] ? -1 : 1);
+  });
+  const names = modules.size === 1 && files.length <= 3 ? subjectNames(files.map((f) => f.file)) : subjectNames(bySize.map(([mod]) => mod));
+  const object = listNames(names);
+
+  const type = inferType(files);
+  let scope = null;
+  if (conventions.style === "conventional" && conventions.usesScopes) {
+    // A scope the history already uses wins over a derived one
+    const candidates = bySize.flatMap(([mod]) => [moduleName(mod), ...mod.split("/")]);
+    scope = candidates.find((c) => conventions.scopes.includes(c)) ?? (modules.size === 1 ? moduleName(bySize[0][0]) : null);
+    if (scope === type) scope = null; // "docs(docs)"
+  }
+
+  let description = `${inferVerb(files)} ${object}`;
+  if (conventions.capitalized) description = description[0].toUpperCase() + description.slice(1);
+  if (conventions.trailingPeriod) description += ".";
+
+  let subject = conventions.style === "conventional" ? `${type}${scope ? `(${scope})` : ""}: ${description}` : description;
+  const style = TICKET_STYLES.find((s) => s.name === conventions.ticketStyle);
+  if (style && ticket) subject = style.template(ticket, subject);
+
+  const lines = [];
+  let listed = 0;
+  for (const [mod, modFiles] of bySize) {
+    if (listed >= maxBodyFiles) break;
+    const shown = modFiles.slice(0, maxBodyFiles - listed);
+    listed += shown.length;
+    const parts = shown.map((f) => {
+      const name = mod === f.file ? f.file : path.posix.basename(f.file);
+      const notes = [PAST[f.status], f.oldFile && `from ${f.oldFile}`, f.binary ? "binary" : `+${f.additions} -${f.deletions}`];
+      return `${name} (${notes.filter(Boolean).join(", ")})`;
+    });
+    const label = modFiles.length === 1 && mod === modFiles[0].file ? "" : `${mod}/: `;
+    lines.push(`- ${label}${parts.join(", ")}`);
+  }
+  if (listed < files.length) lines.push(`- … ${files.length - listed} more file(s)`);
+  const body = lines.join("\n");
+
+  return {
+    subject,
+    body,
+    message: `${subject}\n\n${body}\n`,
+    type: conventions.style === "conventional" ? type : null,
+    scope,
+    ticket: style && ticket ? ticket : null,
+    modules: bySize.map(([mod, fs]) => ({ module: mod, files: fs.map((f) => f.file) })),
+  };
+}
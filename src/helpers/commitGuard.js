@@ -0,0 +1,143 @@
+// src/helpers/commitGuard.js
+// Pre-commit checks for git_commit: secrets in the staged diff, oversized
+// files, build/backup artifacts, and a Conventional Commits message.
+// Each problem is a violation { rule, message, file?, line? }.
+import { run } from "./process.js";
+import { matchesAnyGlob } from "./glob.js";
+import { parseNameStatus } from "./gitDiff.js";
+
+const SECRET_PATTERNS = [
+  ["private-key", /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/],
+  ["aws-access-key-id", /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/],
+  ["aws-secret-access-key", /aws_?secret_?access_?key\s*[:=]\s*["']?[A-Za-z0-9/+=]{40}\b/i],
+  ["github-token", /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/],
+  ["github-fine-grained-token", /\bgithub_pat_[A-Za-z0-9_]{22,255}\b/],
+];
+
+// Build output, dependency folders, editor/OS litter and repo_write_file's
+// legacy `<file>.backup-<timestamp>` copies
+export const ARTIFACT_GLOBS = [
+  "*.backup-[0-9]*", "*.orig", "*.rej", "*.swp", "*.swo", "*~", ".DS_Store", "Thumbs.db",
+  "node_modules/", "dist/", "build/", "target/", "coverage/", ".next/", ".nuxt/",
+  "__pycache__/", "*.pyc", "*.pyo", ".venv/", "venv/", "*.egg-info/",
+  "*.class", "*.o", "*.obj", "*.so", "*.dylib", "*.dll", "*.exe", "*.log", "*.tsbuildinfo",
+];
+
+// Lockfiles are full of integrity hashes; entropy checks there are noise
+const ENTROPY_SKIP = ["package-lock.json", "npm-shrinkwrap.json", "yarn.lock", "pnpm-lock.yaml", "*.lock", "go.sum", "*.svg", "*.min.*"];
+
+export const CONVENTIONAL_TYPES = ["feat", "fix", "docs", "style", "refactor", "perf", "test", "build", "ci", "chore", "revert"];
+const CONVENTIONAL_HEADER = new RegExp(`^(${CONVENTIONAL_TYPES.join("|")})(\\([\\w$.\\-/ ]+\\))?!?: \\S`);
+const MAX_HEADER = 100;
+
+// Shannon entropy in bits per character
+function entropy(s) {
+  const counts = {};
+  for (const c of s) counts[c] = (counts[c] || 0) + 1;
+  return Object.values(counts).reduce((h, n) => h - (n / s.length) * Math.log2(n / s.length), 0);
+}
+
+// Quoted or assigned values that look like random keys: long, mixed, high entropy
+function highEntropyStrings(line) {
+  const found = [];
+  for (const [, value] of line.matchAll(/["'`=:]\s*["']?([A-Za-z0-9+/=_\-]{20,})/g)) {
+    const hex = /^[0-9a-fA-F]+$/.test(value);
+    const mixed = /[a-z]/.test(value) && /[A-Z]/.test(value) && /\d/.test(value);
+    if (hex ? value.length >= 40 && entropy(value) > 3.5 : mixed && entropy(value) > 4.5) found.push(value);
+  }
+  return found;
+}
+
+const redactSecret = (s) => `${s.slice(0, 4)}…(${s.length} chars)`;
+
+export function checkCommitMessage(message) {
+  const violations = [];
+  const [header, second] = message.split("\n");
+  if (!CONVENTIONAL_HEADER.test(header)) {
+    violations.push({
+      rule: "conventional-commit",
+      message: `Header must look like "type(scope)!: description" with type one of ${CONVENTIONAL_TYPES.join(", ")}`,
+    });
+  }
+  if (header.length > MAX_HEADER) {
+    violations.push({ rule: "conventional-commit", message: `Header is ${header.length} characters; keep it within ${MAX_HEADER}` });
+  }
+  if (second !== undefined && second.trim() !== "") {
+    violations.push({ rule: "conventional-commit", message: "Separate the header from the body with a blank line" });
+  }
+  return violations;
+}
+
+// Secrets on added lines of the staged diff
+async function scanStagedSecrets() {
+  const { code, out, err } = await run("git", ["diff", "--cached", "-U0", "--no-color", "--no-ext-diff"], { timeoutMs: 60000 });
+  if (code > 1) throw new Error(`git diff --cached failed: ${err || "unknown error"}`);
+
+  const violations = [];
+  let file = null;
+  let line = 0;
+  let inHeader = false; // between "diff --git" and the first hunk
+  for (const raw of out.split("\n")) {
+    if (raw.startsWith("diff --git ")) {
+      inHeader = true;
+      file = null;
+      continue;
+    }
+    if (inHeader) {
+      if (raw.startsWith("+++ ")) file = raw === "+++ /dev/null" ? null : raw.slice(6);
+      if (!raw.startsWith("@@")) continue;
+      inHeader = false;
+    }
+    const hunk = /^@@ -\S+ \+(\d+)/.exec(raw);
+    if (hunk) {
+      line = Number(hunk[1]);
+      continue;
+    }
+    if (!file || !raw.startsWith("+")) continue;
+
+    const text = raw.slice(1);
+    for (const [kind, re] of SECRET_PATTERNS) {
+      const m = re.exec(text);
+      if (m) violations.push({ rule: "secret", kind, file, line, message: `Possible ${kind}: ${redactSecret(m[0])}` });
+    }
+    if (!matchesAnyGlob(file, ENTROPY_SKIP)) {
+      for (const value of highEntropyStrings(text)) {
+        if (SECRET_PATTERNS.some(([, re]) => re.test(value))) continue; // already reported
+        violations.push({ rule: "secret", kind: "high-entropy-string", file, line, message: `High-entropy string: ${redactSecret(value)}` });
+      }
+    }
+    line++;
+  }
+  return violations;
+}
+
+// Sizes of the staged blobs: Map path -> bytes
+async function stagedSizes(paths) {
+  if (!paths.length) return new Map();
+  const input = paths.map((p) => `:${p}`).join("\n") + "\n";
+  const { out } = await run("git", ["cat-file", "--batch-check=%(objectsize)"], { input, timeoutMs: 30000 });
+  const sizes = out.split("\n");
+  return new Map(paths.map((p, i) => [p, Number(sizes[i]) || 0]));
+}
+
+// All checks against what is staged now. `message` is checked when given.
+export async function runCommitGuard({ message, maxFileBytes }) {
+  const violations = message === undefined ? [] : checkCommitMessage(message);
+
+  const status = await run("git", ["diff", "--cached", "--name-status", "-z", "--no-renames"], { timeoutMs: 20000 });
+  if (status.code !== 0) throw new Error(`git diff --cached failed: ${status.err || "unknown error"}`);
+  const added = parseNameStatus(status.out).filter((f) => f.status !== "D").map((f) => f.file);
+
+  for (const file of added) {
+    if (matchesAnyGlob(file, ARTIFACT_GLOBS)) {
+      violations.push({ rule: "artifact", file, message: `${file} looks like a build, backup or editor artifact` });
+    }
+  }
+  for (const [file, bytes] of await stagedSizes(added)) {
+    if (bytes > maxFileBytes) {
+      violations.push({ rule: "file-size", file, message: `${file} is ${bytes} bytes (limit ${maxFileBytes})` });
+    }
+  }
+  violations.push(...(await scanStagedSecrets()));
+  return violations;
+}
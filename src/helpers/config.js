@@ -1,7 +1,9 @@
 // src/helpers/config.js
 import path from "node:path";
+import os from "node:os";
+import { createHash } from "node:crypto";
 
-function getArgValue(flag) {
+export function getArgValue(flag) {
   // supports: --root C:\path  OR  --root=C:\path
   const i = process.argv.indexOf(flag);
   if (i >= 0 && process.argv[i + 1] && !process.argv[i + 1].startsWith("--")) {
@@ -11,6 +13,13 @@ function getArgValue(flag) {
   return kv ? kv.split("=", 2)[1] : undefined;
 }
 
+export function hasFlag(flag) {
+  // supports: --read-only  OR  --read-only=true / --read-only=false
+  if (process.argv.includes(flag)) return true;
+  const value = getArgValue(flag);
+  return value !== undefined && !/^(false|0|no)$/i.test(value);
+}
+
 const rootFromArg = getArgValue("--root");
 const rootFromEnv = process.env.MCP_REPO_ROOT;
 
@@ -20,10 +29,62 @@ export const REPO_ROOT = path.resolve(rootFromArg || rootFromEnv || process.cwd(
 // Optional: narrow searches if you want (used by repo.search/docs.search)
 export const SEARCH_ROOT = process.env.SEARCH_ROOT || ".";
 
+// Server state (backups, audit log) lives outside the working tree, keyed per repo
+const STATE_DIR = path.join(os.homedir(), ".mcp-code-assistant");
+const repoKey = `${path.basename(REPO_ROOT)}-${createHash("sha1").update(REPO_ROOT).digest("hex").slice(0, 12)}`;
+
+export const BACKUP_DIR = path.resolve(
+  getArgValue("--backup-dir") || process.env.MCP_BACKUP_DIR || path.join(STATE_DIR, "backups"),
+  repoKey
+);
+
+// JSONL record of every tool call; "off" disables it
+const auditFromArg = getArgValue("--audit-log") || process.env.MCP_AUDIT_LOG;
+export const AUDIT_LOG = auditFromArg === "off"
+  ? null
+  : path.resolve(auditFromArg || path.join(STATE_DIR, "audit", `${repoKey}.jsonl`));
+
+// On-disk code index used by repo_search/repo_smart_context ("off" disables it).
+// The trigram index speeds up substring search but costs memory; --index-trigrams=false drops it.
+const indexFromArg = getArgValue("--index-file") || process.env.MCP_INDEX_FILE;
+export const INDEX_FILE = indexFromArg === "off"
+  ? null
+  : path.resolve(indexFromArg || path.join(STATE_DIR, "index", `${repoKey}.json`));
+export const INDEX_TRIGRAMS = !/^(false|0|no)$/i.test(getArgValue("--index-trigrams") ?? "true");
+
 // Read caps
 export const MAX_BYTES = 200 * 1024;
 
-export function isAllowed(p) {
-  const abs = path.resolve(p);
-  return abs.startsWith(path.resolve(REPO_ROOT));
-}
+// Paths no tool may read or write (see helpers/sandbox.js for the glob syntax).
+// Override with --deny ".env,*.pem" or MCP_DENY_GLOBS; an empty value disables.
+const denyFromArg = getArgValue("--deny") ?? process.env.MCP_DENY_GLOBS;
+export const DENY_GLOBS = denyFromArg !== undefined
+  ? denyFromArg.split(",").map(g => g.trim()).filter(Boolean)
+  : [".env", ".env.*", "*.pem", "*.key", ".git/"];
+
+// deps_audit: local OSV advisory database (a directory of OSV JSON files,
+// e.g. an unzipped osv.dev ecosystem export) and the allowed SPDX licenses
+const osvFromArg = getArgValue("--osv-db") || process.env.MCP_OSV_DB;
+export const OSV_DB_DIR = osvFromArg ? path.resolve(osvFromArg) : null;
+
+const licensesFromArg = getArgValue("--license-allow") ?? process.env.MCP_LICENSE_ALLOW;
+export const LICENSE_ALLOWLIST = licensesFromArg !== undefined
+  ? licensesFromArg.split(",").map(l => l.trim()).filter(Boolean)
+  : ["MIT", "ISC", "BSD-2-Clause", "BSD-3-Clause", "Apache-2.0", "0BSD", "Unlicense", "CC0-1.0", "BlueOak-1.0.0", "Python-2.0"];
+
+// git_commit pre-commit guard: on for every commit with --commit-guard /
+// MCP_COMMIT_GUARD, otherwise only when a call asks for it
+export const COMMIT_GUARD = hasFlag("--commit-guard") || /^(true|1|yes)$/i.test(process.env.MCP_COMMIT_GUARD ?? "");
+export const COMMIT_MAX_FILE_BYTES = Number(getArgValue("--commit-max-file-bytes") || process.env.MCP_COMMIT_MAX_FILE_BYTES) || 1024 * 1024;
+
+// issues_*/prs_* backend: gh (GitHub CLI), rest (API with a token) or fixture
+// (a local JSON file). "auto" picks fixture when a file is set, then rest when
+// a token is, then gh.
+export const GITHUB_PROVIDER = (getArgValue("--github-provider") || process.env.MCP_GITHUB_PROVIDER || "auto").toLowerCase();
+const fixtureFromArg = getArgValue("--github-fixture") || process.env.MCP_GITHUB_FIXTURE;
+export const GITHUB_FIXTURE = fixtureFromArg ? path.resolve(fixtureFromArg) : null;
+export const GITHUB_TOKEN = process.env.GITHUB_TOKEN || process.env.GH_TOKEN || null;
+// owner/name; defaults to the origin remote
+export const GITHUB_REPO = getArgValue("--github-repo") || process.env.MCP_GITHUB_REPO || null;
+export const GITHUB_API_URL = (process.env.GITHUB_API_URL || "https://api.github.com").replace(/\/+$/, "");
+export const GITHUB_CACHE_TTL_MS = Number(getArgValue("--github-cache-ttl") ?? process.env.MCP_GITHUB_CACHE_TTL ?? 60) * 1000;
@@ -0,0 +1,168 @@
+// src/helpers/conflicts.js
+// Conflict-marker parsing and resolution for files a merge, rebase,
+// cherry-pick or revert stopped on:
+//   <<<<<<< ours-label
+//   ours
+//   ||||||| base-label      (only with merge.conflictStyle=diff3/zdiff3)
+//   base
+//   =======
+//   theirs
+//   >>>>>>> theirs-label
+import path from "node:path";
+import { access, readFile } from "node:fs/promises";
+import { REPO_ROOT } from "./config.js";
+import { run } from "./process.js";
+
+const OPEN = /^<{7}(?: (.*))?$/;
+const BASE = /^\|{7}(?: (.*))?$/;
+const SEP = /^={7}$/;
+const CLOSE = /^>{7}(?: (.*))?$/;
+
+const side = (label, lines, startLine) => ({
+  label: label ?? null,
+  text: lines.join("\n"),
+  startLine,                                  // first content line (1-based)
+  endLine: startLine + lines.length - 1,      // startLine - 1 when empty
+});
+
+// { hunks: [{ index, startLine, endLine, ours, base, theirs }], lines, eol }.
+// Marker lines are included in startLine..endLine. Throws Error on unbalanced markers.
+export function parseConflicts(text) {
+  const eol = text.includes("\r\n") ? "\r\n" : "\n";
+  const lines = text.split(eol);
+  const hunks = [];
+  let cur = null;
+
+  lines.forEach((line, i) => {
+    const n = i + 1;
+    let m;
+    if (!cur) {
+      if ((m = OPEN.exec(line))) cur = { startLine: n, oursLabel: m[1], part: "ours", ours: [], base: null, theirs: [], starts: { ours: n + 1 } };
+      return;
+    }
+    if (cur.part === "ours" && (m = BASE.exec(line))) {
+      cur.part = "base";
+      cur.base = [];
+      cur.baseLabel = m[1];
+      cur.starts.base = n + 1;
+    } else if (cur.part !== "theirs" && SEP.test(line)) {
+      cur.part = "theirs";
+      cur.starts.theirs = n + 1;
+    } else if (cur.part === "theirs" && (m = CLOSE.exec(line))) {
+      hunks.push({
+        index: hunks.length + 1,
+        startLine: cur.startLine,
+        endLine: n,
+        ours: side(cur.oursLabel, cur.ours, cur.starts.ours),
+        base: cur.base ? side(cur.baseLabel, cur.base, cur.starts.base) : null,
+        theirs: side(m[1], cur.theirs, cur.starts.theirs),
+      });
+      cur = null;
+    } else if (OPEN.test(line)) {
+      throw new Error(`Nested conflict marker at line ${n}`);
+    } else {
+      cur[cur.part].push(line);
+    }
+  });
+  if (cur) throw new Error(`Conflict starting at line ${cur.startLine} is not closed`);
+  return { hunks, lines, eol };
+}
+
+// Replace hunks by their resolution. `resolutions`: [{ hunk, take, text? }]
+// with take one of ours | theirs | base | both (ours then theirs) | custom.
+// Hunks without a resolution keep their markers. Throws RangeError on bad input.
+export function resolveConflicts(text, resolutions) {
+  const { hunks, lines, eol } = parseConflicts(text);
+  const byHunk = new Map();
+  for (const r of resolutions) {
+    if (!hunks[r.hunk - 1]) throw new RangeError(`No conflict hunk ${r.hunk} (file has ${hunks.length})`);
+    if (r.take === "base" && !hunks[r.hunk - 1].base) {
+      throw new RangeError(`Hunk ${r.hunk} has no base section (enable merge.conflictStyle=diff3)`);
+    }
+    if (r.take === "custom" && typeof r.text !== "string") throw new RangeError(`Hunk ${r.hunk}: custom needs text`);
+    byHunk.set(r.hunk, r);
+  }
+
+  const out = [];
+  let next = 1; // next line to copy (1-based)
+  for (const h of hunks) {
+    const r = byHunk.get(h.index);
+    if (!r) continue;
+    out.push(...lines.slice(next - 1, h.startLine - 1));
+    const sideLines = (sd) => lines.slice(sd.startLine - 1, sd.endLine);
+    const pick = {
+      ours: () => sideLines(h.ours),
+      theirs: () => sideLines(h.theirs),
+      base: () => sideLines(h.base),
+      both: () => [...sideLines(h.ours), ...sideLines(h.theirs)],
+      custom: () => (r.text === "" ? [] : r.text.replace(/\r?\n$/, "").split(/\r?\n/)),
+    }[r.take];
+    out.push(...pick());
+    next = h.endLine + 1;
+  }
+  out.push(...lines.slice(next - 1));
+  return { text: out.join(eol), remaining: hunks.length - byHunk.size };
+}
+
+// The operation the repo is in the middle of, or null
+export async function currentOperation() {
+  const markers = [
+    ["rebase", "rebase-merge"],
+    ["rebase", "rebase-apply"],
+    ["merge", "MERGE_HEAD"],
+    ["cherry-pick", "CHERRY_PICK_HEAD"],
+    ["revert", "REVERT_HEAD"],
+  ];
+  for (const [operation, name] of markers) {
+    const { code, out } = await run("git", ["rev-parse", "--git-path", name], { timeoutMs: 10000 });
+    if (code !== 0) continue;
+    try {
+      await access(path.resolve(REPO_ROOT, out.trim()));
+      return operation;
+    } catch {
+      // Not in this state
+    }
+  }
+  return null;
+}
+
+async function readGitFile(name) {
+  const { code, out } = await run("git", ["rev-parse", "--git-path", name], { timeoutMs: 10000 });
+  if (code !== 0) return null;
+  try {
+    return await readFile(path.resolve(REPO_ROOT, out.trim()), "utf8");
+  } catch {
+    return null;
+  }
+}
+
+// Commits still to be applied, from a rebase or sequencer todo list
+const TODO_LINE = /^(?:p|pick|r|reword|e|edit|s|squash|f|fixup|revert)\s+([0-9a-f]{7,40})\b/;
+const todoCommits = (text) => (text ?? "").split("\n").map((l) => TODO_LINE.exec(l.trim())?.[1]).filter(Boolean);
+
+// git commands (-z, one path per entry) listing the working-tree files that
+// `git <operation> --<action>` may rewrite: local changes it resets, the
+// commits it goes back to and the commits it still applies. null when they
+// cannot be told (the apply backend of rebase, used by git am).
+export async function operationWrites(operation, action) {
+  if (action === "status") return [];
+  const local = ["diff", "--name-only", "--no-renames", "-z", "HEAD"];
+  const changedBy = (sha) => ["diff-tree", "--no-commit-id", "--name-only", "--no-renames", "-r", "-z", "--root", sha];
+
+  if (operation === "merge") return action === "abort" ? [local] : [];
+  if (operation === "rebase") {
+    const todo = await readGitFile("rebase-merge/git-rebase-todo");
+    if (todo === null) return null;
+    const pending = todoCommits(todo).map(changedBy);
+    if (action === "continue") return pending;
+    if (action === "skip") return [local, ...pending];
+    const orig = (await readGitFile("rebase-merge/orig-head"))?.trim();
+    return orig ? [local, ["diff", "--name-only", "--no-renames", "-z", "HEAD", orig]] : null;
+  }
+  // cherry-pick / revert: a single pick has no sequencer directory
+  const pending = todoCommits(await readGitFile("sequencer/todo")).map(changedBy);
+  if (action === "continue") return pending;
+  if (action === "skip") return [local, ...pending];
+  const head = (await readGitFile("sequencer/head"))?.trim();
+  return [local, ...(head ? [["diff", "--name-only", "--no-renames", "-z", "HEAD", head]] : [])];
+}
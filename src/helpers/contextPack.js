@@ -0,0 +1,219 @@
+// src/helpers/contextPack.js
+// Token-budgeted context for repo_smart_context: cut each ranked file down to
+// the regions that match the query (widened to the enclosing function or
+// block), merge overlaps, and greedily pack the best regions into the budget.
+import { tokenize } from "./codeIndex.js";
+
+const CONTEXT_LINES = 3;        // around a match that has no enclosing block
+const MAX_BLOCK_LINES = 80;     // longer blocks fall back to the window above
+const HEAD_LINES = 40;          // shown for files that matched on path only
+const MIN_PARTIAL_TOKENS = 40;  // smallest fragment worth squeezing into the budget
+const WHOLE_FILE_SLACK = 1.25;  // take the whole file when it costs little more
+
+// Rough BPE-style estimate: ~4 letters or 3 digits per token, one per
+// punctuation mark and line break, other whitespace free.
+export function estimateTokens(text) {
+  let n = 0;
+  for (const [piece] of text.matchAll(/[A-Za-z]+|\d+|\n|[^\sA-Za-z\d]/g)) {
+    if (/[A-Za-z]/.test(piece[0])) n += Math.ceil(piece.length / 4);
+    else if (/\d/.test(piece[0])) n += Math.ceil(piece.length / 3);
+    else n += 1;
+  }
+  return n;
+}
+
+// Lines that open a function, method or class in the common languages
+const DECLARATION = new RegExp([
+  /^\s*(export\s+)?(default\s+)?(async\s+)?(function\*?|class|def|fn|func|interface|struct|impl|enum)\b/.source,
+  /^\s*(export\s+)?(const|let|var)\s+[\w$]+\s*=\s*(async\s+)?(function\b|\(?[\w$,\s{}[\]=]*\)?\s*=>)/.source,
+  /^\s*(public|private|protected|internal|static|override)\b[^=;]*\(/.source,
+  /^\s*(async\s+)?(?!(if|for|while|switch|catch|with)\b)[\w$]+\s*\([^)]*\)\s*\{\s*$/.source,
+].join("|"));
+
+const indentOf = (line) => line.match(/^\s*/)[0].length;
+
+// Last line of the block opened at `start`: brace matching, or for
+// indentation-based code (a trailing ":"), the last more-indented line.
+function blockEnd(lines, start) {
+  if (/:\s*(#.*)?$/.test(lines[start]) && !lines[start].includes("{")) {
+    const base = indentOf(lines[start]);
+    let end = start;
+    for (let i = start + 1; i < lines.length && i - start <= MAX_BLOCK_LINES; i++) {
+      if (!lines[i].trim()) continue;
+      if (indentOf(lines[i]) <= base) break;
+      end = i;
+    }
+    return end;
+  }
+
+  let depth = 0;
+  let opened = false;
+  for (let i = start; i < lines.length && i - start <= MAX_BLOCK_LINES; i++) {
+    // Ignore braces inside simple one-line string literals
+    for (const c of lines[i].replace(/(["'`])(?:\\.|(?!\1).)*\1/g, "")) {
+      if (c === "{") { depth++; opened = true; }
+      else if (c === "}") depth--;
+    }
+    if (opened && depth <= 0) return i;
+    if (!opened && i - start >= 2) return null; // a declaration without a body
+  }
+  return null;
+}
+
+// [start, end] of the nearest function/block around line `idx`, or null
+function enclosingBlock(lines, idx) {
+  const indent = lines[idx].trim() ? indentOf(lines[idx]) : Infinity;
+  for (let start = idx; start >= 0 && idx - start < MAX_BLOCK_LINES; start--) {
+    if (indentOf(lines[start]) > indent || !DECLARATION.test(lines[start])) continue;
+    const end = blockEnd(lines, start);
+    if (end !== null && end >= idx && end - start < MAX_BLOCK_LINES) return [start, end];
+  }
+  return null;
+}
+
+const WHOLE_TERM_SCORE = 4;      // the query word itself, not just one of its parts
+const DECLARATION_SCORE = 8;     // ...on a line that declares it
+
+// Score of a line for the query, 0 when it does not match: one point per
+// query sub-token on the line, more when a whole query word appears, most
+// when the line declares it ("getUserName" over lines that only say "user").
+function lineScorer(query, terms) {
+  if (terms.length) {
+    const wanted = new Set(terms);
+    const words = new Set([...query.matchAll(/[A-Za-z0-9_$]+/g)].map(([w]) => w.toLowerCase()).filter((w) => wanted.has(w)));
+    return (line) => {
+      const tokens = new Set(tokenize(line));
+      let score = 0;
+      for (const t of tokens) if (wanted.has(t)) score++;
+      if (!score) return 0;
+      for (const w of words) {
+        if (tokens.has(w)) score += DECLARATION.test(line) ? DECLARATION_SCORE : WHOLE_TERM_SCORE;
+      }
+      return score;
+    };
+  }
+  let re = null;
+  try { re = new RegExp(query, "i"); } catch {}
+  const isMatch = re ? (line) => re.test(line) : (line) => line.includes(query);
+  return (line) => (isMatch(line) ? (DECLARATION.test(line) ? 1 + DECLARATION_SCORE : 1) : 0);
+}
+
+// Match regions widened to their enclosing block; overlapping or adjacent
+// regions are merged so no line is sent twice. `best` is the region's
+// highest-scoring hit.
+function matchRanges(lines, scoreLine) {
+  const ranges = [];
+  for (let i = 0; i < lines.length; i++) {
+    const score = scoreLine(lines[i]);
+    if (!score) continue;
+    const [start, end] = enclosingBlock(lines, i)
+      ?? [Math.max(0, i - CONTEXT_LINES), Math.min(lines.length - 1, i + CONTEXT_LINES)];
+    ranges.push({ start, end, hits: [i], best: i, score });
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end + 1) {
+      last.end = Math.max(last.end, r.end);
+      last.hits.push(...r.hits);
+      if (r.score > last.score) [last.best, last.score] = [r.best, r.score];
+    } else {
+      merged.push({ ...r, hits: [...r.hits] });
+    }
+  }
+  return merged;
+}
+
+const sliceText = (lines, start, end) => lines.slice(start, end + 1).join("\n");
+
+// Widest window around the region's best match that fits in `budget`
+function fitWindow(lines, range, budget) {
+  const center = range.best;
+  let start = center;
+  let end = center;
+  let tokens = estimateTokens(lines[center]);
+  if (tokens > budget) return null;
+  for (;;) {
+    let grew = false;
+    for (const [s, e] of [[start - 1, end], [start, end + 1]]) {
+      if (s < range.start || e > range.end) continue;
+      const t = estimateTokens(sliceText(lines, s, e));
+      if (t <= budget) { [start, end, tokens] = [s, e, t]; grew = true; }
+    }
+    if (!grew) return { start, end, hits: range.hits.filter((h) => h >= start && h <= end), tokens };
+  }
+}
+
+// Pack ranked files ([{ path, score, reasons, text }], best first) into
+// `tokenBudget`. Every file first gets its best region in rank order, then
+// leftover budget goes to further regions. Returns { files, omitted, tokensUsed }.
+export function packContext(files, { query, terms, tokenBudget }) {
+  const scoreLine = lineScorer(query, terms);
+
+  const plans = files.map((file) => {
+    const lines = file.text.split("\n");
+    let regions = matchRanges(lines, scoreLine);
+    if (!regions.length) {
+      regions = [{ start: 0, end: Math.min(lines.length, HEAD_LINES) - 1, hits: [0], best: 0, score: 0 }];
+    }
+    for (const r of regions) r.tokens = estimateTokens(sliceText(lines, r.start, r.end));
+
+    const wholeTokens = estimateTokens(file.text);
+    const regionTokens = regions.reduce((n, r) => n + r.tokens, 0);
+    if (wholeTokens <= regionTokens * WHOLE_FILE_SLACK) {
+      const top = regions.reduce((a, b) => (b.score > a.score ? b : a));
+      regions = [{ start: 0, end: lines.length - 1, hits: regions.flatMap((r) => r.hits), best: top.best, score: top.score, tokens: wholeTokens }];
+    }
+
+    // Best-matching regions first, then the densest
+    regions.sort((a, b) => b.score - a.score || b.hits.length - a.hits.length || a.start - b.start);
+    return { file, lines, regions, chosen: [] };
+  });
+
+  let remaining = tokenBudget;
+  for (const firstPass of [true, false]) {
+    for (const plan of plans) {
+      for (const region of firstPass ? plan.regions.slice(0, 1) : plan.regions.slice(1)) {
+        if (region.tokens <= remaining) {
+          plan.chosen.push(region);
+          remaining -= region.tokens;
+        } else if (firstPass && remaining >= MIN_PARTIAL_TOKENS) {
+          const part = fitWindow(plan.lines, region, remaining);
+          if (part) {
+            plan.chosen.push(part);
+            remaining -= part.tokens;
+          }
+        }
+      }
+    }
+  }
+
+  const packed = [];
+  const omitted = [];
+  for (const { file, lines, regions, chosen } of plans) {
+    if (!chosen.length) {
+      omitted.push({ path: file.path, score: file.score, reason: "token budget exhausted" });
+      continue;
+    }
+    chosen.sort((a, b) => a.start - b.start);
+    const whole = chosen.length === 1 && chosen[0].start === 0 && chosen[0].end === lines.length - 1;
+    packed.push({
+      path: file.path,
+      score: file.score,
+      reasons: file.reasons,
+      size: file.text.length,
+      tokens: chosen.reduce((n, r) => n + r.tokens, 0),
+      truncated: !whole,
+      omittedSnippets: regions.length - chosen.length,
+      snippets: chosen.map((r) => ({
+        startLine: r.start + 1,
+        endLine: r.end + 1,
+        text: sliceText(lines, r.start, r.end),
+      })),
+    });
+  }
+
+  return { files: packed, omitted, tokensUsed: tokenBudget - remaining };
+}
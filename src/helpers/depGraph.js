@@ -0,0 +1,340 @@
+// src/helpers/depGraph.js
+// File-level module graph for JS/TS: resolves import/require/import() edges
+// between repo files (relative paths, tsconfig/jsconfig baseUrl and paths
+// aliases), then finds cycles, orphans and reverse dependents.
+import path from "node:path";
+import { readFile, stat } from "node:fs/promises";
+import { REPO_ROOT } from "./config.js";
+import { indexedFiles } from "./codeIndex.js";
+import { isJsFile, parseJs, moduleSpecifiers } from "./symbols.js";
+
+const RESOLVE_EXTENSIONS = [".ts", ".tsx", ".mts", ".cts", ".js", ".jsx", ".mjs", ".cjs", ".json"];
+// TypeScript ESM code imports "./x.js" meaning "./x.ts"
+const TS_SOURCES = { ".js": [".ts", ".tsx"], ".jsx": [".tsx"], ".mjs": [".mts"], ".cjs": [".cts"] };
+
+// Never imported by design, so not reported as orphans
+const NOT_ORPHANS = [
+  /(^|\/)(__tests__|__mocks__|tests?|spec|e2e)\//,
+  /\.(test|spec|stories)\.[cm]?[jt]sx?$/,
+  /(^|\/)[^/]*\.config\.[cm]?[jt]s$/,
+  /(^|\/)\.[^/]+rc\.[cm]?js$/,
+  /\.d\.[cm]?ts$/,
+];
+
+const toPosix = (p) => p.split(path.sep).join("/");
+
+function repoRelative(abs) {
+  const rel = path.relative(REPO_ROOT, abs);
+  return rel.startsWith("..") || path.isAbsolute(rel) ? null : toPosix(rel);
+}
+
+// --- parsing (cached by mtime) ---------------------------------------------------
+
+const specCache = new Map(); // rel -> { mtimeMs, specs | null }
+
+async function specifiersOf(rel) {
+  const abs = path.join(REPO_ROOT, rel);
+  let st;
+  try { st = await stat(abs); } catch { return []; }
+  const cached = specCache.get(rel);
+  if (cached?.mtimeMs === st.mtimeMs) return cached.specs;
+
+  let specs = null; // null: the file does not parse
+  try {
+    specs = moduleSpecifiers(parseJs(await readFile(abs, "utf8"), rel));
+  } catch {
+    // reported as unparsed
+  }
+  specCache.set(rel, { mtimeMs: st.mtimeMs, specs });
+  return specs;
+}
+
+// --- tsconfig paths ------------------------------------------------------------
+
+// tsconfig allows comments and trailing commas
+function parseJsonc(text) {
+  const stripped = text
+    .replace(/("(?:\\.|[^"\\])*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (m, str) => str ?? "")
+    .replace(/,(\s*[}\]])/g, "$1");
+  return JSON.parse(stripped);
+}
+
+// compilerOptions.baseUrl/paths from `file`, following relative "extends".
+// paths resolve against baseUrl, else against the config that declares them.
+async function compilerOptions(file, seen = new Set()) {
+  if (seen.has(file)) return {};
+  seen.add(file);
+  let json;
+  try {
+    json = parseJsonc(await readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+
+  let out = {};
+  const parents = [json.extends].flat().filter((e) => typeof e === "string" && e.startsWith("."));
+  for (const parent of parents) {
+    const target = path.resolve(path.dirname(file), parent.endsWith(".json") ? parent : `${parent}.json`);
+    out = { ...out, ...(await compilerOptions(target, seen)) };
+  }
+
+  const own = json.compilerOptions ?? {};
+  if (own.baseUrl !== undefined) out.baseUrl = path.resolve(path.dirname(file), own.baseUrl);
+  if (own.paths) {
+    out.paths = own.paths;
+    out.pathsBase = path.dirname(file);
+  }
+  return out;
+}
+
+async function loadAliases() {
+  for (const config of ["tsconfig.json", "jsconfig.json"]) {
+    const opts = await compilerOptions(path.join(REPO_ROOT, config));
+    if (!opts) continue;
+    const base = opts.baseUrl ?? opts.pathsBase ?? REPO_ROOT;
+    // Longest prefix first, as TypeScript picks the most specific pattern
+    const paths = Object.entries(opts.paths ?? {})
+      .map(([pattern, targets]) => ({ pattern, prefix: pattern.split("*")[0], targets }))
+      .sort((a, b) => b.prefix.length - a.prefix.length);
+    return { config, baseUrl: opts.baseUrl ?? null, base, paths };
+  }
+  return null;
+}
+
+// --- resolution ------------------------------------------------------------------
+
+function resolveFile(abs, files) {
+  const rel = repoRelative(abs);
+  if (rel === null) return null;
+  const ext = path.extname(rel);
+  const stem = rel.slice(0, rel.length - ext.length);
+  const candidates = [
+    rel,
+    ...RESOLVE_EXTENSIONS.map((e) => rel + e),
+    ...(TS_SOURCES[ext] ?? []).map((e) => stem + e),
+    ...RESOLVE_EXTENSIONS.map((e) => `${rel}/index${e}`),
+  ];
+  return candidates.find((c) => files.has(c)) ?? null;
+}
+
+function matchAlias(spec, { pattern, targets }) {
+  const star = pattern.indexOf("*");
+  if (star === -1) return spec === pattern ? targets : null;
+  const [prefix, suffix] = [pattern.slice(0, star), pattern.slice(star + 1)];
+  if (!spec.startsWith(prefix) || !spec.endsWith(suffix) || spec.length < prefix.length + suffix.length) return null;
+  const captured = spec.slice(prefix.length, spec.length - suffix.length);
+  return targets.map((t) => t.replace("*", captured));
+}
+
+const packageName = (spec) =>
+  spec.startsWith("node:") ? spec : spec.split("/").slice(0, spec.startsWith("@") ? 2 : 1).join("/");
+
+// { to } for a repo file, { external } for a package or builtin, { unresolved } otherwise
+function resolveSpecifier(spec, fromRel, files, aliases) {
+  const clean = spec.replace(/[?#].*$/, "");
+  if (clean.startsWith(".") || path.isAbsolute(clean)) {
+    const to = resolveFile(path.resolve(REPO_ROOT, path.dirname(fromRel), clean), files);
+    return to ? { to } : { unresolved: true };
+  }
+  if (aliases) {
+    for (const alias of aliases.paths) {
+      const targets = matchAlias(clean, alias);
+      if (!targets) continue;
+      for (const t of targets) {
+        const to = resolveFile(path.resolve(aliases.base, t), files);
+        if (to) return { to, alias: alias.pattern };
+      }
+    }
+    if (aliases.baseUrl) {
+      const to = resolveFile(path.resolve(aliases.baseUrl, clean), files);
+      if (to) return { to, alias: "baseUrl" };
+    }
+  }
+  return { external: packageName(clean) };
+}
+
+// --- entry points ----------------------------------------------------------------
+
+// Files package.json runs or publishes: main/module/browser/bin/exports, and
+// script files named in "scripts"; plus a root index.* (Node's default main),
+// with or without a package.json
+async function packageEntryPoints(files) {
+  const entries = new Set([...files].filter((f) => /^index\.[cm]?[jt]sx?$/.test(f)));
+  let pkg;
+  try {
+    pkg = JSON.parse(await readFile(path.join(REPO_ROOT, "package.json"), "utf8"));
+  } catch {
+    return [...entries].sort();
+  }
+  const strings = (v) => typeof v === "string" ? [v] : v && typeof v === "object" ? Object.values(v).flatMap(strings) : [];
+  const declared = [pkg.main, pkg.module, pkg.browser, pkg.bin, pkg.exports].flatMap(strings);
+  const fromScripts = strings(pkg.scripts).flatMap((s) => s.match(/[\w@./-]+\.[cm]?[jt]sx?\b/g) ?? []);
+  for (const p of [...declared, ...fromScripts]) {
+    const rel = resolveFile(path.resolve(REPO_ROOT, p), files);
+    if (rel) entries.add(rel);
+  }
+  return [...entries].sort();
+}
+
+// --- graph -------------------------------------------------------------------------
+
+// { nodes, edges: [{ from, to, kinds, line, typeOnly, alias? }], external, unresolved, unparsed, entryPoints, aliases }
+export async function buildDependencyGraph() {
+  const all = await indexedFiles();
+  const files = new Set(all);
+  const aliases = await loadAliases();
+  const sources = all.filter(isJsFile);
+
+  const nodes = new Set(sources);
+  const edges = new Map(); // "from\0to" -> edge
+  const external = new Map(); // package -> Set(importers)
+  const unresolved = [];
+  const unparsed = [];
+
+  for (const from of sources) {
+    const specs = await specifiersOf(from);
+    if (!specs) {
+      unparsed.push(from);
+      continue;
+    }
+    for (const { source, kind, line, typeOnly } of specs) {
+      const r = resolveSpecifier(source, from, files, aliases);
+      if (r.to) {
+        nodes.add(r.to);
+        const key = `${from}\0${r.to}`;
+        const edge = edges.get(key);
+        if (edge) {
+          if (!edge.kinds.includes(kind)) edge.kinds.push(kind);
+          edge.typeOnly &&= typeOnly;
+        } else {
+          edges.set(key, { from, to: r.to, kinds: [kind], line, typeOnly, ...(r.alias && { alias: r.alias }) });
+        }
+      } else if (r.external) {
+        if (!external.has(r.external)) external.set(r.external, new Set());
+        external.get(r.external).add(from);
+      } else {
+        unresolved.push({ from, source, line });
+      }
+    }
+  }
+
+  return {
+    nodes: [...nodes].sort(),
+    edges: [...edges.values()],
+    external: [...external].map(([name, importers]) => ({ name, importers: [...importers].sort() }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    unresolved,
+    unparsed,
+    entryPoints: await packageEntryPoints(files),
+    aliases: aliases && { config: aliases.config, baseUrl: aliases.baseUrl && (repoRelative(aliases.baseUrl) || "."), paths: aliases.paths.map((a) => a.pattern) },
+  };
+}
+
+function adjacency(nodes, edges, reverse = false) {
+  const adj = new Map(nodes.map((n) => [n, []]));
+  for (const e of edges) adj.get(reverse ? e.to : e.from)?.push(reverse ? e.from : e.to);
+  return adj;
+}
+
+// Strongly connected components with more than one file (or a self-import),
+// each with one concrete cycle through its first file
+export function findCycles(nodes, edges) {
+  const adj = adjacency(nodes, edges);
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let counter = 0;
+
+  const strongConnect = (v) => {
+    index.set(v, counter);
+    low.set(v, counter++);
+    stack.push(v);
+    onStack.add(v);
+    for (const w of adj.get(v)) {
+      if (!index.has(w)) {
+        strongConnect(w);
+        low.set(v, Math.min(low.get(v), low.get(w)));
+      } else if (onStack.has(w)) {
+        low.set(v, Math.min(low.get(v), index.get(w)));
+      }
+    }
+    if (low.get(v) === index.get(v)) {
+      const component = [];
+      let w;
+      do {
+        w = stack.pop();
+        onStack.delete(w);
+        component.push(w);
+      } while (w !== v);
+      if (component.length > 1 || adj.get(v).includes(v)) components.push(component.sort());
+    }
+  };
+  for (const n of nodes) if (!index.has(n)) strongConnect(n);
+
+  return components.map((files) => {
+    // Shortest path from the first file back to itself inside the component
+    const inside = new Set(files);
+    const start = files[0];
+    const prev = new Map();
+    const queue = [start];
+    let end = null;
+    while (queue.length && end === null) {
+      const v = queue.shift();
+      for (const w of adj.get(v)) {
+        if (!inside.has(w)) continue;
+        if (w === start) { end = v; break; }
+        if (!prev.has(w)) { prev.set(w, v); queue.push(w); }
+      }
+    }
+    const cycle = [start];
+    for (let v = end; v !== start; v = prev.get(v)) cycle.splice(1, 0, v);
+    cycle.push(start);
+    return { files, cycle };
+  });
+}
+
+// Files nothing imports, other than entry points, tests, configs and .d.ts
+export function findOrphans(nodes, edges, entryPoints) {
+  const imported = new Set(edges.map((e) => e.to));
+  const entries = new Set(entryPoints);
+  return nodes.filter((n) => isJsFile(n) && !imported.has(n) && !entries.has(n) && !NOT_ORPHANS.some((re) => re.test(n)));
+}
+
+// Everything that imports `file`, directly or transitively: [{ file, depth }]
+export function dependentsOf(file, nodes, edges) {
+  const radj = adjacency(nodes, edges, true);
+  const depth = new Map([[file, 0]]);
+  const queue = [file];
+  while (queue.length) {
+    const v = queue.shift();
+    for (const w of radj.get(v) ?? []) {
+      if (depth.has(w)) continue;
+      depth.set(w, depth.get(v) + 1);
+      queue.push(w);
+    }
+  }
+  depth.delete(file);
+  return [...depth].map(([f, d]) => ({ file: f, depth: d })).sort((a, b) => a.depth - b.depth || a.file.localeCompare(b.file));
+}
+
+const dotId = (s) => `"${s.replace(/["\\]/g, "\\$&")}"`;
+
+// Graphviz DOT; dashed edges are dynamic or type-only imports, red ones are in a cycle
+export function toDot(nodes, edges, cycles = []) {
+  const inCycle = new Set();
+  for (const { cycle } of cycles) {
+    for (let i = 0; i + 1 < cycle.length; i++) inCycle.add(`${cycle[i]}\0${cycle[i + 1]}`);
+  }
+  const out = ["digraph dependencies {", "  rankdir=LR;", "  node [shape=box, fontsize=10];"];
+  for (const n of nodes) out.push(`  ${dotId(n)};`);
+  for (const e of edges) {
+    const attrs = [];
+    if (e.typeOnly || e.kinds.every((k) => k === "dynamic")) attrs.push("style=dashed");
+    if (inCycle.has(`${e.from}\0${e.to}`)) attrs.push("color=red");
+    out.push(`  ${dotId(e.from)} -> ${dotId(e.to)}${attrs.length ? ` [${attrs.join(", ")}]` : ""};`);
+  }
+  out.push("}");
+  return out.join("\n");
+}
@@ -0,0 +1,62 @@
+// src/helpers/gitBlame.js
+// Parser for `git blame --porcelain`: each line starts with
+// "<hash> <original line> <final line> [<group size>]"; the first time a
+// commit appears its author/committer/summary headers follow; then the line
+// content prefixed with a tab.
+
+const UNCOMMITTED = /^0{40}$|^0{64}$/;
+
+const isoDate = (epoch) => new Date(Number(epoch) * 1000).toISOString();
+
+// { lines: [{ line, commit, author, date, originalLine, originalPath, content }],
+//   commits: [{ hash, author, email, date, summary, uncommitted }] }
+export function parseBlamePorcelain(out) {
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+
+  for (const raw of out.split("\n")) {
+    if (raw.startsWith("\t")) {
+      const c = commits.get(current.hash);
+      lines.push({
+        line: current.finalLine,
+        commit: current.hash,
+        author: c.author,
+        date: c.date,
+        originalLine: current.originalLine,
+        originalPath: current.filename ?? c.filename,
+        content: raw.slice(1),
+      });
+      continue;
+    }
+    const head = /^([0-9a-f]{40,64}) (\d+) (\d+)(?: \d+)?$/.exec(raw);
+    if (head) {
+      const [, hash, originalLine, finalLine] = head;
+      if (!commits.has(hash)) {
+        commits.set(hash, { hash, author: "", email: "", date: "", summary: "", uncommitted: UNCOMMITTED.test(hash) });
+      }
+      current = { hash, originalLine: Number(originalLine), finalLine: Number(finalLine), filename: null };
+      continue;
+    }
+    if (!current) continue;
+
+    const space = raw.indexOf(" ");
+    const key = space === -1 ? raw : raw.slice(0, space);
+    const value = space === -1 ? "" : raw.slice(space + 1);
+    const c = commits.get(current.hash);
+    if (key === "author") c.author = value;
+    else if (key === "author-mail") c.email = value.replace(/^<|>$/g, "");
+    else if (key === "author-time") c.date = isoDate(value);
+    else if (key === "summary") c.summary = value;
+    else if (key === "filename") {
+      // Only sent with a commit's first group; later groups reuse it
+      current.filename = value;
+      c.filename = value;
+    }
+  }
+
+  return {
+    lines,
+    commits: [...commits.values()].map(({ filename, ...c }) => c),
+  };
+}
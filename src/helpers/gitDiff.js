@@ -0,0 +1,91 @@
+// src/helpers/gitDiff.js
+// Splitting `git diff` output into per-file sections and hunks, so tools can
+// stage or unstage individual hunks with `git apply --cached`.
+
+// [{ file, oldFile, header, hunks: [{ header, text }] }] in diff order.
+// `header` holds the "diff --git" / "---" / "+++" lines up to the first hunk.
+export function splitDiff(text) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+  for (const line of text.split("\n")) {
+    if (line.startsWith("diff --git ")) {
+      const m = /^diff --git a\/(.*) b\/(.*)$/.exec(line);
+      current = { file: m?.[2] ?? line, oldFile: m?.[1] ?? null, header: [line], hunks: [] };
+      files.push(current);
+      hunk = null;
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith("@@")) {
+      hunk = { header: line, lines: [line] };
+      current.hunks.push(hunk);
+    } else if (hunk) {
+      hunk.lines.push(line);
+    } else {
+      current.header.push(line);
+    }
+  }
+  for (const f of files) {
+    f.header = f.header.join("\n");
+    f.hunks = f.hunks.map((h) => ({ header: h.header, text: trimTrailing(h.lines).join("\n") }));
+  }
+  return files;
+}
+
+// The last hunk of a diff ends with the empty string after its final newline
+function trimTrailing(lines) {
+  let end = lines.length;
+  while (end > 1 && lines[end - 1] === "") end--;
+  return lines.slice(0, end);
+}
+
+// A patch with only the chosen hunks (1-based) of one file's diff, for
+// `git apply --cached --recount`. Throws RangeError on bad indices.
+export function selectHunks(fileDiff, indices) {
+  const picked = [...new Set(indices)].sort((a, b) => a - b).map((i) => {
+    const hunk = fileDiff.hunks[i - 1];
+    if (!Number.isInteger(i) || !hunk) {
+      throw new RangeError(`${fileDiff.file} has ${fileDiff.hunks.length} hunk(s); no hunk ${i}`);
+    }
+    return hunk.text;
+  });
+  return [fileDiff.header, ...picked].join("\n") + "\n";
+}
+
+// `--name-status -z`: [{ status, file, oldFile, similarity }], with the
+// similarity score split off the status ("R100" -> "R", 100)
+export function parseNameStatus(out) {
+  const fields = out.split("\0");
+  const files = [];
+  for (let i = 0; i < fields.length && fields[i]; ) {
+    const code = fields[i++];
+    const status = code[0];
+    if (status === "R" || status === "C") {
+      files.push({ status, file: fields[i + 1], oldFile: fields[i], similarity: Number(code.slice(1)) || null });
+      i += 2;
+    } else {
+      files.push({ status, file: fields[i++], oldFile: null, similarity: null });
+    }
+  }
+  return files;
+}
+
+// `--numstat -z`: Map file -> { additions, deletions, binary, oldFile }
+export function parseNumstat(out) {
+  const fields = out.split("\0");
+  const stats = new Map();
+  for (let i = 0; i < fields.length && fields[i]; ) {
+    const [added, deleted, file] = fields[i++].split("\t");
+    let path = file;
+    let oldFile = null;
+    if (!path) {
+      // Renames and copies: empty path, then old and new path as separate fields
+      oldFile = fields[i];
+      path = fields[i + 1];
+      i += 2;
+    }
+    const binary = added === "-";
+    stats.set(path, { additions: binary ? 0 : Number(added), deletions: binary ? 0 : Number(deleted), binary, oldFile });
+  }
+  return stats;
+}
@@ -0,0 +1,198 @@
+// src/helpers/gitHistory.js
+// History analytics over a window of `git log`: per-file churn, hotspots
+// (churn × size), authors per directory, co-change coupling and commit cadence.
+// Renames are followed, so a file's older history counts under its current path.
+import path from "node:path";
+import { readFile } from "node:fs/promises";
+import { REPO_ROOT, DENY_GLOBS } from "./config.js";
+import { run } from "./process.js";
+import { matchesAnyGlob } from "./glob.js";
+import { parseNumstat } from "./gitDiff.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SIZE_BYTES = 4 * 1024 * 1024; // larger files are not line-counted
+const round = (n, digits = 3) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// Newest first: [{ hash, author, email, time, files: [{ file, additions, deletions, binary }] }],
+// with renamed paths mapped to the newest name. Merges are skipped (their
+// changes already appear in the merged commits).
+export async function readHistory({ since, until, maxCommits = 1000, path: pathspec, ref = "HEAD" } = {}) {
+  const args = ["log", "--no-merges", "-M", "--numstat", "-z", "--format=%x1e%H%x1f%aN%x1f%aE%x1f%at", `-n${maxCommits}`];
+  if (since) args.push(`--since=${since}`);
+  if (until) args.push(`--until=${until}`);
+  args.push(ref, "--");
+  if (pathspec) args.push(pathspec);
+
+  const { code, out, err } = await run("git", args, { timeoutMs: 120000 });
+  if (code !== 0) {
+    if (/does not have any commits yet|bad revision 'HEAD'/i.test(err)) return []; // empty repo
+    throw new Error(`git log failed: ${err || "unknown error"}`);
+  }
+
+  const renamedTo = new Map(); // old path -> newest path
+  const current = (p) => renamedTo.get(p) ?? p;
+  const commits = [];
+  for (const chunk of out.split("\x1e")) {
+    if (!chunk) continue;
+    const end = chunk.indexOf("\0");
+    const [hash, author, email, time] = chunk.slice(0, end).split("\x1f");
+    const files = [];
+    for (const [file, s] of parseNumstat(chunk.slice(end + 1).replace(/^\n/, ""))) {
+      const name = current(file);
+      if (s.oldFile && s.oldFile !== file) renamedTo.set(s.oldFile, name);
+      if (!matchesAnyGlob(name, DENY_GLOBS)) files.push({ file: name, additions: s.additions, deletions: s.deletions, binary: s.binary });
+    }
+    commits.push({ hash, author, email, time: Number(time) * 1000, files });
+  }
+  return commits;
+}
+
+// Map file -> { commits, additions, deletions, churn, authors, lastChange }
+export function fileChurn(commits) {
+  const stats = new Map();
+  for (const c of commits) {
+    for (const f of c.files) {
+      let s = stats.get(f.file);
+      if (!s) {
+        s = { file: f.file, commits: 0, additions: 0, deletions: 0, churn: 0, authors: new Set(), lastChange: c.time };
+        stats.set(f.file, s);
+      }
+      s.commits++;
+      s.additions += f.additions;
+      s.deletions += f.deletions;
+      s.churn += f.additions + f.deletions;
+      s.authors.add(c.author);
+    }
+  }
+  return stats;
+}
+
+async function lineCount(file) {
+  try {
+    const buf = await readFile(path.join(REPO_ROOT, file));
+    if (buf.length > MAX_SIZE_BYTES || buf.includes(0)) return null; // huge or binary
+    if (!buf.length) return 0;
+    let lines = 0;
+    for (const byte of buf) if (byte === 10) lines++;
+    return buf[buf.length - 1] === 10 ? lines : lines + 1;
+  } catch {
+    return null; // deleted since
+  }
+}
+
+// Files that still exist, scored by churn × size, each normalized to the
+// largest in the window: score 1 is the most changed and largest file.
+export async function hotspots(churn) {
+  const rows = [];
+  for (const s of churn.values()) {
+    const lines = await lineCount(s.file);
+    if (lines) rows.push({ file: s.file, commits: s.commits, churn: s.churn, lines });
+  }
+  const maxChurn = Math.max(1, ...rows.map((r) => r.churn));
+  const maxLines = Math.max(1, ...rows.map((r) => r.lines));
+  for (const r of rows) r.score = round((r.churn / maxChurn) * (r.lines / maxLines));
+  return rows.sort((a, b) => b.score - a.score || b.churn - a.churn || (a.file < b.file ? -1 : 1));
+}
+
+// Directory of a file cut to `depth` segments ("." for top-level files)
+const dirOf = (file, depth) => {
+  const parts = path.posix.dirname(file).split("/").filter((p) => p !== ".");
+  return parts.slice(0, depth).join("/") || ".";
+};
+
+// [{ directory, commits, churn, authors: [{ name, email, commits, churn, share }] }]
+// with share = the author's fraction of the directory's churn
+export function ownership(commits, { depth = 2, topAuthors = 3 } = {}) {
+  const dirs = new Map();
+  for (const c of commits) {
+    const touched = new Map(); // directory -> churn in this commit
+    for (const f of c.files) {
+      const dir = dirOf(f.file, depth);
+      touched.set(dir, (touched.get(dir) ?? 0) + f.additions + f.deletions);
+    }
+    for (const [dir, churn] of touched) {
+      let d = dirs.get(dir);
+      if (!d) dirs.set(dir, (d = { directory: dir, commits: 0, churn: 0, authors: new Map() }));
+      d.commits++;
+      d.churn += churn;
+      let a = d.authors.get(c.author);
+      if (!a) d.authors.set(c.author, (a = { name: c.author, email: c.email, commits: 0, churn: 0 }));
+      a.commits++;
+      a.churn += churn;
+    }
+  }
+  return [...dirs.values()]
+    .map((d) => ({
+      ...d,
+      authors: [...d.authors.values()]
+        .sort((a, b) => b.churn - a.churn || b.commits - a.commits)
+        .slice(0, topAuthors)
+        .map((a) => ({ ...a, share: round(d.churn ? a.churn / d.churn : a.commits / d.commits) })),
+    }))
+    .sort((a, b) => b.churn - a.churn || (a.directory < b.directory ? -1 : 1));
+}
+
+// Pairs of files changed in the same commits: [{ files: [a, b], together, degree }]
+// where degree = together / average commits of the two. Commits touching more
+// than maxFilesPerCommit files (mass renames, formatting) are skipped.
+export function coupling(commits, churn, { minTogether = 3, maxFilesPerCommit = 30 } = {}) {
+  const pairs = new Map();
+  for (const c of commits) {
+    const files = [...new Set(c.files.map((f) => f.file))].sort();
+    if (files.length < 2 || files.length > maxFilesPerCommit) continue;
+    for (let i = 0; i < files.length; i++) {
+      for (let j = i + 1; j < files.length; j++) {
+        const key = `${files[i]}\0${files[j]}`;
+        pairs.set(key, (pairs.get(key) ?? 0) + 1);
+      }
+    }
+  }
+  const out = [];
+  for (const [key, together] of pairs) {
+    if (together < minTogether) continue;
+    const [a, b] = key.split("\0");
+    const avg = (churn.get(a).commits + churn.get(b).commits) / 2;
+    out.push({ files: [a, b], together, degree: round(together / avg) });
+  }
+  return out.sort((x, y) => y.together - x.together || y.degree - x.degree);
+}
+
+// Start of the UTC day/week (Monday)/month holding `time`, as YYYY-MM-DD
+function periodStart(time, interval) {
+  const d = new Date(time);
+  if (interval === "month") return `${d.toISOString().slice(0, 7)}-01`;
+  if (interval === "week") d.setTime(time - ((d.getUTCDay() + 6) % 7) * DAY_MS);
+  return d.toISOString().slice(0, 10);
+}
+
+// Oldest first, including empty periods between the first and last commit
+export function cadence(commits, interval = "week") {
+  const buckets = new Map();
+  for (const c of commits) {
+    const key = periodStart(c.time, interval);
+    let b = buckets.get(key);
+    if (!b) buckets.set(key, (b = { period: key, commits: 0, additions: 0, deletions: 0, authors: new Set() }));
+    b.commits++;
+    for (const f of c.files) {
+      b.additions += f.additions;
+      b.deletions += f.deletions;
+    }
+    b.authors.add(c.author);
+  }
+  if (!buckets.size) return [];
+
+  const keys = [...buckets.keys()].sort();
+  const rows = [];
+  for (let key = keys[0]; key <= keys.at(-1); key = nextPeriod(key, interval)) {
+    const b = buckets.get(key);
+    rows.push(b ? { ...b, authors: b.authors.size } : { period: key, commits: 0, additions: 0, deletions: 0, authors: 0 });
+  }
+  return rows;
+}
+
+function nextPeriod(key, interval) {
+  const d = new Date(`${key}T00:00:00Z`);
+  if (interval === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+  else d.setTime(d.getTime() + (interval === "week" ? 7 : 1) * DAY_MS);
+  return d.toISOString().slice(0, 10);
+}
@@ -0,0 +1,102 @@
+// src/helpers/gitStatus.js
+// Parser for `git status --porcelain=v2 --branch -z`. Records are separated
+// by NUL, so paths arrive verbatim (no quoting); renames and copies carry
+// their origin path in the following record.
+// Format: https://git-scm.com/docs/git-status#_porcelain_format_version_2
+
+const CONFLICTS = {
+  DD: "both deleted",
+  AU: "added by us",
+  UD: "deleted by them",
+  UA: "added by them",
+  DU: "deleted by us",
+  AA: "both added",
+  UU: "both modified",
+};
+
+// "N..." for regular files; "S<c><m><u>" for submodules
+function submoduleState(sub) {
+  if (!sub?.startsWith("S")) return null;
+  return { commitChanged: sub[1] === "C", modified: sub[2] === "M", untracked: sub[3] === "U" };
+}
+
+function entry(kind, xy, file, extra = {}) {
+  const [index, worktree] = xy;
+  return {
+    file,
+    // v1-style code ("M", "MM", "R", "UU", "??"), kept for existing callers
+    status: xy.replace(/\./g, " ").trim(),
+    kind, // changed | renamed | copied | unmerged | untracked | ignored
+    index,
+    worktree,
+    staged: kind !== "untracked" && kind !== "ignored" && kind !== "unmerged" && index !== ".",
+    unstaged: kind === "untracked" || (kind !== "ignored" && kind !== "unmerged" && worktree !== "."),
+    origFile: null,
+    similarity: null,
+    conflict: null,
+    submodule: null,
+    ...extra,
+  };
+}
+
+// { branch: { head, oid, upstream, ahead, behind, detached, initial }, files }
+export function parseStatusV2(out) {
+  const branch = { head: null, oid: null, upstream: null, ahead: 0, behind: 0, detached: false, initial: false };
+  const files = [];
+  const records = out.split("\0");
+
+  for (let i = 0; i < records.length; i++) {
+    const rec = records[i];
+    if (!rec) continue;
+
+    if (rec.startsWith("# ")) {
+      const [key, ...rest] = rec.slice(2).split(" ");
+      const value = rest.join(" ");
+      if (key === "branch.oid") {
+        branch.initial = value === "(initial)";
+        branch.oid = branch.initial ? null : value;
+      } else if (key === "branch.head") {
+        branch.detached = value === "(detached)";
+        branch.head = branch.detached ? null : value;
+      } else if (key === "branch.upstream") {
+        branch.upstream = value;
+      } else if (key === "branch.ab") {
+        const m = /^\+(\d+) -(\d+)$/.exec(value);
+        if (m) [branch.ahead, branch.behind] = [Number(m[1]), Number(m[2])];
+      }
+      continue;
+    }
+
+    const type = rec[0];
+    if (type === "?" || type === "!") {
+      const kind = type === "?" ? "untracked" : "ignored";
+      files.push(entry(kind, type + type, rec.slice(2)));
+      continue;
+    }
+
+    // Fixed fields are space-separated; the path is the rest (it may contain spaces)
+    const fieldCount = { 1: 8, 2: 9, u: 10 }[type];
+    if (!fieldCount) continue;
+    const parts = rec.split(" ");
+    const fields = parts.slice(0, fieldCount);
+    const file = parts.slice(fieldCount).join(" ");
+    const [, xy, sub] = fields;
+    const submodule = submoduleState(sub);
+
+    if (type === "1") {
+      files.push(entry("changed", xy, file, { submodule }));
+    } else if (type === "2") {
+      const score = fields[8]; // "R100" / "C75"
+      const origFile = records[++i];
+      files.push(entry(score[0] === "C" ? "copied" : "renamed", xy, file, {
+        origFile,
+        similarity: Number(score.slice(1)),
+        submodule,
+      }));
+    } else {
+      files.push(entry("unmerged", xy, file, { conflict: CONFLICTS[xy] ?? "unmerged", submodule }));
+    }
+  }
+
+  return { branch, files };
+}
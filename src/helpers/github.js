@@ -0,0 +1,139 @@
+// src/helpers/github.js
+// The configured GitHub provider (see githubProviders.js) plus everything
+// done on top of it the same way for every backend: a short-lived cache of
+// each list, filtering, paging and dry runs of detail reads and writes.
+import { GITHUB_PROVIDER, GITHUB_FIXTURE, GITHUB_TOKEN, GITHUB_CACHE_TTL_MS } from "./config.js";
+import { GitHubError, hasGh, ghProvider, restProvider, fixtureProvider, restRequests } from "./githubProviders.js";
+
+const GH_MISSING =
+  "GitHub CLI (gh) is not installed or not on PATH. Install from https://cli.github.com/ and run `gh auth login`, " +
+  "or set GITHUB_TOKEN to use the REST API, or --github-fixture <file> to work offline.";
+
+let provider = null;
+const cache = new Map(); // "issues" | "pulls" -> { at, items, truncated }
+
+async function selectProvider() {
+  const wanted = GITHUB_PROVIDER === "auto"
+    ? (GITHUB_FIXTURE ? "fixture" : GITHUB_TOKEN ? "rest" : "gh")
+    : GITHUB_PROVIDER;
+  if (wanted === "fixture") {
+    if (!GITHUB_FIXTURE) throw new GitHubError("unavailable", "The fixture provider needs --github-fixture <file> or MCP_GITHUB_FIXTURE.");
+    return fixtureProvider(GITHUB_FIXTURE);
+  }
+  if (wanted === "rest") {
+    if (!GITHUB_TOKEN) throw new GitHubError("unavailable", "The rest provider needs GITHUB_TOKEN or GH_TOKEN.");
+    return restProvider({ token: GITHUB_TOKEN });
+  }
+  if (wanted === "gh") {
+    if (!(await hasGh())) throw new GitHubError("unavailable", GH_MISSING);
+    return ghProvider();
+  }
+  throw new GitHubError("unavailable", `Unknown GitHub provider "${GITHUB_PROVIDER}" (use auto, gh, rest or fixture).`);
+}
+
+// Chosen once; an unavailable provider is looked for again on the next call
+export async function getProvider() {
+  provider ??= await selectProvider();
+  return provider;
+}
+
+// All issues or pulls (kind), from the cache while it is fresh
+async function listAll(kind, refresh) {
+  const p = await getProvider();
+  const hit = cache.get(kind);
+  if (hit && !refresh && Date.now() - hit.at < GITHUB_CACHE_TTL_MS) return { items: hit.items, truncated: hit.truncated, cached: true, provider: p.name };
+  const { items, truncated } = kind === "issues" ? await p.listIssues() : await p.listPulls();
+  cache.set(kind, { at: Date.now(), items, truncated });
+  return { items, truncated, cached: false, provider: p.name };
+}
+
+export function invalidateCache(kind) {
+  if (kind) cache.delete(kind);
+  else cache.clear();
+}
+
+const lower = (s) => String(s ?? "").toLowerCase();
+
+// state OPEN | CLOSED | MERGED | ALL; CLOSED includes merged pull requests, as in gh.
+// search: every word must appear in the title or body ("#12" matches the number).
+export function filterItems(items, { state = "OPEN", search, labels = [], author, assignee } = {}) {
+  const wantedState = state.toUpperCase();
+  const words = lower(search).split(/\s+/).filter(Boolean);
+  const wantedLabels = labels.map(lower);
+  return items.filter((item) => {
+    if (wantedState !== "ALL" && item.state !== wantedState && !(wantedState === "CLOSED" && item.state === "MERGED")) return false;
+    if (author && lower(item.author?.login) !== lower(author)) return false;
+    if (assignee && !item.assignees.some((a) => lower(a.login) === lower(assignee))) return false;
+    const itemLabels = item.labels.map((l) => lower(l.name));
+    if (!wantedLabels.every((l) => itemLabels.includes(l))) return false;
+    const text = lower(`${item.title}\n${item.body}`);
+    return words.every((w) => text.includes(w) || w === `#${item.number}`);
+  });
+}
+
+// One page of the filtered list, newest first, without bodies
+export async function queryItems(kind, { page = 1, perPage = 20, refresh = false, ...filters } = {}) {
+  const { items, truncated, cached, provider: name } = await listAll(kind, refresh);
+  const matched = filterItems(items, filters).sort((a, b) => b.number - a.number);
+  const start = (page - 1) * perPage;
+  return {
+    items: matched.slice(start, start + perPage).map(({ body, ...rest }) => rest),
+    page,
+    perPage,
+    total: matched.length,
+    hasMore: start + perPage < matched.length,
+    // The provider stops at LIST_LIMIT items; anything older was not searched
+    complete: !truncated,
+    provider: name,
+    cached,
+  };
+}
+
+// --- details and writes ------------------------------------------------------
+// With dryRun nothing is read or written; the result lists the exact REST
+// requests (method, path, body) the provider would send.
+
+async function plan(requests) {
+  const p = await getProvider();
+  return { provider: p.name, via: p.via, requests: requests(await p.slug()) };
+}
+
+export async function getIssue(number, { dryRun = false } = {}) {
+  const planned = await plan((slug) => restRequests.getIssue(slug, number));
+  if (dryRun) return { dryRun, ...planned };
+  return { dryRun, ...planned, issue: await (await getProvider()).getIssue(number) };
+}
+
+export async function getPull(number, { includeDiff = true, dryRun = false } = {}) {
+  const planned = await plan((slug) => restRequests.getPull(slug, number).filter((r) => includeDiff || r.accept !== "application/vnd.github.diff"));
+  if (dryRun) return { dryRun, ...planned };
+  return { dryRun, ...planned, pull: await (await getProvider()).getPull(number, { includeDiff }) };
+}
+
+// Empty optional fields are left out of the payload
+export function issuePayload({ title, body, labels = [], assignees = [] }) {
+  return {
+    title,
+    ...(body ? { body } : {}),
+    ...(labels.length ? { labels } : {}),
+    ...(assignees.length ? { assignees } : {}),
+  };
+}
+
+export async function createIssue(input, { dryRun = false } = {}) {
+  const body = issuePayload(input);
+  const planned = await plan((slug) => restRequests.createIssue(slug, body));
+  if (dryRun) return { dryRun, ...planned };
+  const issue = await (await getProvider()).createIssue(body);
+  invalidateCache("issues");
+  return { dryRun, ...planned, issue };
+}
+
+export async function commentIssue(number, text, { dryRun = false } = {}) {
+  const body = { body: text };
+  const planned = await plan((slug) => restRequests.commentIssue(slug, number, body));
+  if (dryRun) return { dryRun, ...planned };
+  const comment = await (await getProvider()).commentIssue(number, body);
+  invalidateCache();
+  return { dryRun, ...planned, comment };
+}
@@ -0,0 +1,437 @@
+// src/helpers/githubProviders.js
+// Backends for the issues_* / prs_* tools. Each provider reads and writes a
+// repo's issues and pull requests in one normalized shape and does nothing
+// else: filtering, paging, caching and dry runs live in helpers/github.js so
+// every backend behaves the same. Lists come back as { items, truncated },
+// truncated when older items were left unfetched.
+//   gh      – the GitHub CLI (uses its login); details and writes go through `gh api`
+//   rest    – the REST API with GITHUB_TOKEN / GH_TOKEN
+//   fixture – a local JSON file { issues: [...], pulls: [...] } for offline use
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { run } from "./process.js";
+import { GITHUB_API_URL, GITHUB_REPO } from "./config.js";
+
+// Most items a provider fetches per list; older ones are not searched
+export const LIST_LIMIT = 500;
+
+export class GitHubError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "GitHubError";
+    this.code = code; // "unavailable" | "auth" | "not_found" | "request_failed"
+  }
+}
+
+const login = (user) => (user?.login ? { login: user.login } : null);
+const names = (labels) => (labels ?? []).map((l) => ({ name: typeof l === "string" ? l : l.name }));
+const logins = (users) => (users ?? []).map(login).filter(Boolean);
+
+// The shared shape; gh JSON and fixture entries already use these field names
+export function normalizeIssue(raw) {
+  return {
+    number: raw.number,
+    title: raw.title ?? "",
+    state: String(raw.state ?? "OPEN").toUpperCase(),
+    labels: names(raw.labels),
+    assignees: logins(raw.assignees),
+    author: login(raw.author),
+    createdAt: raw.createdAt ?? null,
+    updatedAt: raw.updatedAt ?? null,
+    url: raw.url ?? "",
+    body: raw.body ?? "",
+  };
+}
+
+export function normalizePull(raw) {
+  return {
+    ...normalizeIssue(raw),
+    headRefName: raw.headRefName ?? null,
+    baseRefName: raw.baseRefName ?? null,
+    isDraft: Boolean(raw.isDraft),
+  };
+}
+
+const normalizeComment = (c) => ({
+  author: login(c.author),
+  body: c.body ?? "",
+  createdAt: c.createdAt ?? null,
+  url: c.url ?? "",
+});
+
+// success | failure | pending | none over [{ status, conclusion }]
+export function checksSummary(runs) {
+  const failed = runs.filter((r) => ["failure", "error", "cancelled", "timed_out", "action_required"].includes(r.conclusion));
+  const pending = runs.filter((r) => r.status !== "completed");
+  const state = !runs.length ? "none" : failed.length ? "failure" : pending.length ? "pending" : "success";
+  return { state, total: runs.length, failed: failed.length, pending: pending.length, runs };
+}
+
+// owner/name from an origin URL: git@github.com:o/n.git, https://github.com/o/n, ssh://…
+export function repoFromRemote(url) {
+  const m = /[/:]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/.exec(url.trim());
+  return m ? `${m[1]}/${m[2]}` : null;
+}
+
+let originSlug;
+export async function repoSlug() {
+  if (GITHUB_REPO) return GITHUB_REPO;
+  if (originSlug === undefined) {
+    const { code, out } = await run("git", ["remote", "get-url", "origin"], { timeoutMs: 5000 });
+    originSlug = code === 0 ? repoFromRemote(out) : null;
+  }
+  if (!originSlug) throw new GitHubError("unavailable", "Cannot tell which GitHub repo to use: set --github-repo owner/name or an origin remote.");
+  return originSlug;
+}
+
+// --- REST requests (rest provider, and gh through `gh api`) -------------------
+
+// The REST calls behind each operation, shared with dry runs so they show
+// exactly what would be sent. Paths are relative to the API root.
+export const restRequests = {
+  getIssue: (slug, n) => [
+    { method: "GET", path: `repos/${slug}/issues/${n}` },
+    { method: "GET", path: `repos/${slug}/issues/${n}/comments?per_page=100` },
+    { method: "GET", path: `repos/${slug}/issues/${n}/timeline?per_page=100` },
+  ],
+  getPull: (slug, n) => [
+    { method: "GET", path: `repos/${slug}/pulls/${n}` },
+    { method: "GET", path: `repos/${slug}/issues/${n}/comments?per_page=100` },
+    { method: "GET", path: `repos/${slug}/pulls/${n}/comments?per_page=100` },
+    { method: "GET", path: `repos/${slug}/pulls/${n}/reviews?per_page=100` },
+    { method: "GET", path: `repos/${slug}/pulls/${n}/files?per_page=100` },
+    { method: "GET", path: `repos/${slug}/pulls/${n}`, accept: "application/vnd.github.diff" },
+    { method: "GET", path: `repos/${slug}/commits/{head sha}/check-runs?per_page=100` },
+    { method: "GET", path: `repos/${slug}/commits/{head sha}/status` },
+  ],
+  createIssue: (slug, body) => [{ method: "POST", path: `repos/${slug}/issues`, body }],
+  commentIssue: (slug, n, body) => [{ method: "POST", path: `repos/${slug}/issues/${n}/comments`, body }],
+};
+
+const JSON_ACCEPT = "application/vnd.github+json";
+
+function httpError(status, detail) {
+  const code = status === 401 || status === 403 ? "auth" : status === 404 ? "not_found" : "request_failed";
+  return new GitHubError(code, `GitHub API ${status}: ${detail}`);
+}
+
+// request(method, path, { body, accept }) -> { data, next }; `next` is the
+// rel="next" URL, which request() also accepts as path
+function fetchTransport(token, apiUrl) {
+  return async (method, pathname, { body, accept = JSON_ACCEPT } = {}) => {
+    const url = /^https?:/.test(pathname) ? pathname : `${apiUrl}/${pathname}`;
+    let res, text;
+    try {
+      res = await fetch(url, {
+        method,
+        headers: {
+          Accept: accept,
+          Authorization: `Bearer ${token}`,
+          "X-GitHub-Api-Version": "2022-11-28",
+          "User-Agent": "code-assistant-mcp",
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(30000),
+      });
+      text = await res.text();
+    } catch (e) {
+      // Offline, DNS, TLS or the timeout: no HTTP status to go by
+      const reason = e.name === "TimeoutError" ? "timed out after 30s" : e.cause?.message ?? e.message;
+      throw new GitHubError("request_failed", `GitHub API ${method} ${url} failed: ${reason}`);
+    }
+    if (!res.ok) {
+      let detail = res.statusText;
+      try { detail = JSON.parse(text).message ?? detail; } catch { /* not JSON */ }
+      throw httpError(res.status, detail);
+    }
+    const next = /<([^>]+)>;\s*rel="next"/.exec(res.headers.get("link") ?? "")?.[1] ?? null;
+    if (accept !== JSON_ACCEPT) return { data: text, next };
+    try {
+      return { data: JSON.parse(text), next };
+    } catch {
+      throw new GitHubError("request_failed", `GitHub API ${method} ${url} returned invalid JSON`);
+    }
+  };
+}
+
+// `gh api` with the CLI's login; -i prints the response headers first, so
+// `next` comes from the Link header as with fetch
+function ghTransport() {
+  return async (method, pathname, { body, accept = JSON_ACCEPT } = {}) => {
+    const args = ["api", "-i", "-X", method, "-H", `Accept: ${accept}`, pathname];
+    if (body) args.push("--input", "-");
+    const { code, out, err } = await run("gh", args, { input: body ? JSON.stringify(body) : undefined, timeoutMs: 60000 });
+    if (code !== 0) {
+      const status = Number(/HTTP (\d{3})/.exec(err)?.[1]);
+      if (status) throw httpError(status, err.trim());
+      const auth = /auth login|authenticat/i.test(err);
+      throw new GitHubError(auth ? "auth" : "request_failed", `gh api failed: ${err.trim() || "unknown error"}`);
+    }
+    const split = /\r?\n\r?\n/.exec(out);
+    const headers = split ? out.slice(0, split.index) : "";
+    const text = split ? out.slice(split.index + split[0].length) : out;
+    const next = /^link:.*<([^>]+)>;\s*rel="next"/im.exec(headers)?.[1] ?? null;
+    return { data: accept === JSON_ACCEPT ? JSON.parse(text) : text, next };
+  };
+}
+
+const restUser = (u) => (u ? { login: u.login } : null);
+
+function fromRestIssue(raw) {
+  return normalizeIssue({
+    ...raw,
+    author: restUser(raw.user),
+    createdAt: raw.created_at,
+    updatedAt: raw.updated_at,
+    url: raw.html_url,
+  });
+}
+
+function fromRestPull(raw) {
+  return normalizePull({
+    ...fromRestIssue(raw),
+    state: raw.merged_at ? "MERGED" : raw.state,
+    headRefName: raw.head?.ref,
+    baseRefName: raw.base?.ref,
+    isDraft: raw.draft,
+  });
+}
+
+const fromRestComment = (c) => normalizeComment({ ...c, author: restUser(c.user), createdAt: c.created_at, url: c.html_url });
+
+// Issues and pull requests over a transport
+function restApi(request) {
+  // Follows rel="next" links up to LIST_LIMIT raw items; truncated is decided
+  // on the raw count, before any filtering by the caller
+  async function list(pathname) {
+    const items = [];
+    let next = pathname;
+    while (next && items.length < LIST_LIMIT) {
+      const page = await request("GET", next);
+      items.push(...page.data);
+      next = page.next;
+    }
+    return { items: items.slice(0, LIST_LIMIT), truncated: Boolean(next) || items.length > LIST_LIMIT };
+  }
+  const all = async (pathname) => (await list(pathname)).items;
+  const listQuery = "?state=all&per_page=100&sort=created&direction=desc";
+
+  return {
+    slug: repoSlug,
+    // The issues endpoint includes pull requests; they are listed by listPulls
+    async listIssues() {
+      const { items, truncated } = await list(`repos/${await repoSlug()}/issues${listQuery}`);
+      return { items: items.filter((i) => !i.pull_request).map(fromRestIssue), truncated };
+    },
+    async listPulls() {
+      const { items, truncated } = await list(`repos/${await repoSlug()}/pulls${listQuery}`);
+      return { items: items.map(fromRestPull), truncated };
+    },
+
+    async getIssue(n) {
+      const [issue, comments, timeline] = restRequests.getIssue(await repoSlug(), n);
+      const raw = (await request("GET", issue.path)).data;
+      if (raw.pull_request) throw new GitHubError("not_found", `#${n} is a pull request; use prs_get.`);
+      const linked = new Map();
+      for (const e of await all(timeline.path)) {
+        const source = e.event === "cross-referenced" ? e.source?.issue : null;
+        if (source?.pull_request) linked.set(source.number, fromRestPull({ ...source, merged_at: source.pull_request.merged_at }));
+      }
+      return {
+        ...fromRestIssue(raw),
+        comments: (await all(comments.path)).map(fromRestComment),
+        linkedPullRequests: [...linked.values()].map(({ number, title, state, url }) => ({ number, title, state, url })),
+      };
+    },
+
+    async getPull(n, { includeDiff = true } = {}) {
+      const [pull, comments, reviewComments, reviews, files, diff, checkRuns, status] = restRequests.getPull(await repoSlug(), n);
+      const raw = (await request("GET", pull.path)).data;
+      const sha = raw.head.sha;
+      const runs = [
+        ...(await request("GET", checkRuns.path.replace("{head sha}", sha))).data.check_runs
+          .map((r) => ({ name: r.name, status: r.status, conclusion: r.conclusion, url: r.html_url })),
+        ...(await request("GET", status.path.replace("{head sha}", sha))).data.statuses
+          .map((s) => ({ name: s.context, status: s.state === "pending" ? "in_progress" : "completed", conclusion: s.state === "pending" ? null : s.state, url: s.target_url })),
+      ];
+      return {
+        ...fromRestPull(raw),
+        additions: raw.additions,
+        deletions: raw.deletions,
+        mergeable: raw.mergeable ?? null,
+        comments: (await all(comments.path)).map(fromRestComment),
+        reviews: (await all(reviews.path)).map((r) => ({ author: restUser(r.user), state: r.state, body: r.body ?? "", submittedAt: r.submitted_at ?? null })),
+        reviewComments: (await all(reviewComments.path)).map((c) => ({
+          ...fromRestComment(c),
+          path: c.path,
+          line: c.line ?? c.original_line ?? null,
+        })),
+        files: (await all(files.path)).map((f) => ({
+          file: f.filename,
+          oldFile: f.previous_filename ?? null,
+          status: f.status,
+          additions: f.additions,
+          deletions: f.deletions,
+        })),
+        checks: checksSummary(runs),
+        diff: includeDiff ? (await request("GET", diff.path, { accept: diff.accept })).data : null,
+      };
+    },
+
+    async createIssue(body) {
+      const [req] = restRequests.createIssue(await repoSlug(), body);
+      return fromRestIssue((await request(req.method, req.path, { body })).data);
+    },
+
+    async commentIssue(n, body) {
+      const [req] = restRequests.commentIssue(await repoSlug(), n, body);
+      return fromRestComment((await request(req.method, req.path, { body })).data);
+    },
+  };
+}
+
+// --- gh ----------------------------------------------------------------------
+
+const GH_ISSUE_FIELDS = "number,title,state,labels,assignees,author,createdAt,updatedAt,url,body";
+const GH_PR_FIELDS = `${GH_ISSUE_FIELDS},headRefName,baseRefName,isDraft`;
+
+export async function hasGh() {
+  const { code } = await run("gh", ["--version"], { timeoutMs: 5000 });
+  return code === 0;
+}
+
+export function ghProvider() {
+  async function list(kind, fields, normalize) {
+    const args = [kind, "list", "--state", "all", "--limit", String(LIST_LIMIT), "--json", fields];
+    if (GITHUB_REPO) args.push("--repo", GITHUB_REPO);
+    const { code, out, err } = await run("gh", args, { timeoutMs: 60000 });
+    if (code !== 0) {
+      const auth = /auth login|authenticat/i.test(err);
+      throw new GitHubError(auth ? "auth" : "request_failed", `gh ${kind} list failed: ${err.trim() || "unknown error"}`);
+    }
+    const items = JSON.parse(out);
+    // gh stops at --limit without saying whether more exist
+    return { items: items.map(normalize), truncated: items.length >= LIST_LIMIT };
+  }
+  return {
+    ...restApi(ghTransport()),
+    name: "gh",
+    via: "gh api",
+    listIssues: () => list("issue", GH_ISSUE_FIELDS, normalizeIssue),
+    listPulls: () => list("pr", GH_PR_FIELDS, normalizePull),
+  };
+}
+
+// --- rest --------------------------------------------------------------------
+
+export function restProvider({ token, apiUrl = GITHUB_API_URL }) {
+  return { ...restApi(fetchTransport(token, apiUrl)), name: "rest", via: apiUrl };
+}
+
+// --- fixture -----------------------------------------------------------------
+// Issues may carry `comments`; pulls `comments`, `reviews`, `reviewComments`,
+// `files`, `checks` (runs: [{ name, status, conclusion }]) and `diff`.
+
+// A missing file is an empty repo
+export async function readFixture(file) {
+  try {
+    const data = JSON.parse(await readFile(file, "utf8"));
+    return { ...data, issues: data.issues ?? [], pulls: data.pulls ?? [] };
+  } catch (e) {
+    if (e.code === "ENOENT") return { issues: [], pulls: [] };
+    throw new GitHubError("unavailable", `Cannot read GitHub fixture ${file}: ${e.message}`);
+  }
+}
+
+async function writeFixture(file, data) {
+  await mkdir(path.dirname(file), { recursive: true });
+  await writeFile(file, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+// Pull requests whose description says "closes #n" (or fixes/resolves)
+const closesIssue = (pull, n) => new RegExp(`\\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\\s+#${n}\\b`, "i").test(pull.body ?? "");
+
+export function fixtureProvider(file) {
+  async function find(kind, n) {
+    const data = await readFixture(file);
+    const item = data[kind].find((i) => i.number === n);
+    if (!item) throw new GitHubError("not_found", `No ${kind === "issues" ? "issue" : "pull request"} #${n} in ${file}`);
+    return { data, item };
+  }
+
+  return {
+    name: "fixture",
+    via: file,
+    // Dry runs show the REST request the other providers would send
+    slug: async () => GITHUB_REPO ?? "fixture/fixture",
+    listIssues: async () => ({ items: (await readFixture(file)).issues.map(normalizeIssue), truncated: false }),
+    listPulls: async () => ({ items: (await readFixture(file)).pulls.map(normalizePull), truncated: false }),
+
+    async getIssue(n) {
+      const { data, item } = await find("issues", n);
+      const linked = item.linkedPullRequests ?? data.pulls.filter((p) => closesIssue(p, n));
+      return {
+        ...normalizeIssue(item),
+        comments: (item.comments ?? []).map(normalizeComment),
+        linkedPullRequests: linked.map(normalizePull).map(({ number, title, state, url }) => ({ number, title, state, url })),
+      };
+    },
+
+    async getPull(n, { includeDiff = true } = {}) {
+      const { item } = await find("pulls", n);
+      const files = (item.files ?? []).map((f) => ({
+        file: f.file,
+        oldFile: f.oldFile ?? null,
+        status: f.status ?? "modified",
+        additions: f.additions ?? 0,
+        deletions: f.deletions ?? 0,
+      }));
+      return {
+        ...normalizePull(item),
+        additions: item.additions ?? files.reduce((s, f) => s + f.additions, 0),
+        deletions: item.deletions ?? files.reduce((s, f) => s + f.deletions, 0),
+        mergeable: item.mergeable ?? null,
+        comments: (item.comments ?? []).map(normalizeComment),
+        reviews: (item.reviews ?? []).map((r) => ({ author: login(r.author), state: r.state ?? "COMMENTED", body: r.body ?? "", submittedAt: r.submittedAt ?? null })),
+        reviewComments: (item.reviewComments ?? []).map((c) => ({ ...normalizeComment(c), path: c.path ?? "", line: c.line ?? null })),
+        files,
+        checks: checksSummary((item.checks ?? []).map((r) => ({ name: r.name, status: r.status ?? "completed", conclusion: r.conclusion ?? null, url: r.url ?? null }))),
+        diff: includeDiff ? item.diff ?? "" : null,
+      };
+    },
+
+    async createIssue(body) {
+      const data = await readFixture(file);
+      const number = Math.max(0, ...data.issues.map((i) => i.number), ...data.pulls.map((p) => p.number)) + 1;
+      const now = new Date().toISOString();
+      const issue = {
+        number,
+        title: body.title,
+        state: "OPEN",
+        labels: (body.labels ?? []).map((name) => ({ name })),
+        assignees: (body.assignees ?? []).map((l) => ({ login: l })),
+        author: { login: "fixture" },
+        createdAt: now,
+        updatedAt: now,
+        url: `fixture://issues/${number}`,
+        body: body.body ?? "",
+        comments: [],
+      };
+      data.issues.push(issue);
+      await writeFixture(file, data);
+      return normalizeIssue(issue);
+    },
+
+    async commentIssue(n, body) {
+      const data = await readFixture(file);
+      const item = data.issues.find((i) => i.number === n) ?? data.pulls.find((p) => p.number === n);
+      if (!item) throw new GitHubError("not_found", `No issue or pull request #${n} in ${file}`);
+      const comment = { author: { login: "fixture" }, body: body.body, createdAt: new Date().toISOString(), url: `${item.url}#comment-${(item.comments ?? []).length + 1}` };
+      (item.comments ??= []).push(comment);
+      item.updatedAt = comment.createdAt;
+      await writeFixture(file, data);
+      return normalizeComment(comment);
+    },
+  };
+}
@@ -0,0 +1,61 @@
+// src/helpers/glob.js
+// Minimal gitignore-style globs over "/"-separated repo-relative paths:
+//   *  any run of characters except "/"     **  any number of path segments
+//   ?  one character except "/"             [abc] character class
+// A pattern without "/" matches the basename at any depth; a trailing "/"
+// matches a directory and everything below it; a leading "/" anchors to the root.
+// With { exact: true } a pattern matches only the path itself, not paths below
+// it, and directory paths are expected to end with "/" (for ignore-file walks).
+// { ignoreCase: true } is for case-insensitive file systems.
+
+const cache = new Map();
+
+export function globToRegExp(glob, { exact = false, ignoreCase = false } = {}) {
+  const key = `${exact ? "exact\0" : ""}${ignoreCase ? "i\0" : ""}${glob}`;
+  if (cache.has(key)) return cache.get(key);
+
+  let pattern = glob;
+  const dirOnly = pattern.endsWith("/");
+  if (dirOnly) pattern = pattern.slice(0, -1);
+  const anchored = pattern.startsWith("/") || pattern.includes("/");
+  if (pattern.startsWith("/")) pattern = pattern.slice(1);
+
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "*") {
+      if (pattern[i + 1] === "*") {
+        // "**/" matches zero or more directories; a bare "**" anything at all
+        if (pattern[i + 2] === "/") { re += "(?:.*/)?"; i += 2; }
+        else { re += ".*"; i += 1; }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "[") {
+      const close = pattern.indexOf("]", i + 1);
+      if (close === -1) { re += "\\["; continue; }
+      re += `[${pattern.slice(i + 1, close).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+      i = close;
+    } else {
+      re += c.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+
+  const prefix = anchored ? "^" : "^(?:.*/)?";
+  // Directory patterns (and any match on a parent) cover everything below
+  const suffix = exact ? (dirOnly ? "/$" : "/?$") : dirOnly ? "/.*$" : "(?:/.*)?$";
+  const compiled = new RegExp(prefix + re + suffix, ignoreCase ? "i" : "");
+  cache.set(key, compiled);
+  return compiled;
+}
+
+export function matchesGlob(relPath, glob, { ignoreCase = false } = {}) {
+  const normalized = relPath.split("\\").join("/").replace(/^\.\//, "");
+  return globToRegExp(glob, { ignoreCase }).test(normalized);
+}
+
+export function matchesAnyGlob(relPath, globs, options) {
+  return globs.some((g) => matchesGlob(relPath, g, options));
+}
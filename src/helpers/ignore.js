@@ -0,0 +1,50 @@
+// src/helpers/ignore.js
+// .gitignore / .ignore semantics for pure-Node directory walks: every
+// directory's ignore files apply to paths below it, later rules (and deeper
+// files) win, "!" re-includes, and a trailing "/" only matches directories.
+import path from "node:path";
+import { readFile } from "node:fs/promises";
+import { REPO_ROOT } from "./config.js";
+import { globToRegExp } from "./glob.js";
+
+export const IGNORE_FILES = [".gitignore", ".ignore"];
+
+// Rules of one ignore file; `base` is its directory ("" or "src/lib/")
+export function parseIgnore(text, base = "") {
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    if (!line || line.startsWith("#")) continue;
+    line = line.replace(/(?<!\\)\s+$/, "");
+    const negate = line.startsWith("!");
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\([#!])/, "$1").replace(/\\ /g, " ");
+    if (!line || line === "/") continue;
+    rules.push({ base, negate, regex: globToRegExp(line, { exact: true }) });
+  }
+  return rules;
+}
+
+// Rules from the ignore files in repo directory `dir` ("" for the root)
+export async function loadIgnoreRules(dir) {
+  const base = dir ? dir.replace(/\/?$/, "/") : "";
+  const rules = [];
+  for (const name of IGNORE_FILES) {
+    try {
+      rules.push(...parseIgnore(await readFile(path.join(REPO_ROOT, base, name), "utf8"), base));
+    } catch {
+      // No such file
+    }
+  }
+  return rules;
+}
+
+// Last matching rule wins. `rel` is repo-relative; directories end with "/".
+// Callers walk top-down and skip ignored directories, as git does, so only
+// the entry itself is matched, never its parents.
+export function isIgnored(rel, rules) {
+  let ignored = false;
+  for (const { base, negate, regex } of rules) {
+    if (rel.startsWith(base) && regex.test(rel.slice(base.length))) ignored = !negate;
+  }
+  return ignored;
+}
@@ -0,0 +1,101 @@
+// src/helpers/licenses.js
+// License fields of installed npm packages (node_modules/*/package.json and
+// node_modules/@scope/*/package.json) checked against an SPDX allowlist.
+import path from "node:path";
+import { readdir, readFile } from "node:fs/promises";
+import { REPO_ROOT } from "./config.js";
+
+// The declared license as an SPDX expression, or null.
+// Handles "MIT", { type: "MIT" } and the legacy licenses: [{ type }] array.
+export function licenseOf(pkg) {
+  const { license, licenses } = pkg;
+  if (typeof license === "string" && license.trim()) return license.trim();
+  if (license?.type) return String(license.type);
+  if (Array.isArray(licenses) && licenses.length) {
+    const types = licenses.map((l) => (typeof l === "string" ? l : l?.type)).filter(Boolean);
+    if (types.length) return types.length === 1 ? types[0] : `(${types.join(" OR ")})`;
+  }
+  return null;
+}
+
+// true/false for an SPDX expression against the allowlist, null when it can't
+// be evaluated ("SEE LICENSE IN ...", "UNLICENSED", garbage).
+// OR needs one allowed side, AND needs both; "X WITH exception" is judged by X.
+export function licenseAllowed(expression, allowlist) {
+  const allowed = new Set(allowlist.map((l) => l.toLowerCase()));
+  const tokens = expression.match(/\(|\)|[^\s()]+/g) ?? [];
+  let i = 0;
+
+  const primary = () => {
+    const tok = tokens[i++];
+    if (tok === "(") {
+      const value = or();
+      if (tokens[i++] !== ")") throw new Error("unbalanced parentheses");
+      return value;
+    }
+    if (!tok || !/^[A-Za-z0-9.+-]+$/.test(tok) || /^(AND|OR|WITH)$/i.test(tok)) throw new Error(`unexpected ${tok ?? "end"}`);
+    if (/^WITH$/i.test(tokens[i] ?? "")) i += 2;
+    return allowed.has(tok.toLowerCase()) || allowed.has(tok.replace(/\+$/, "").toLowerCase());
+  };
+  const and = () => {
+    let value = primary();
+    while (/^AND$/i.test(tokens[i] ?? "")) {
+      i++;
+      value = primary() && value;
+    }
+    return value;
+  };
+  function or() {
+    let value = and();
+    while (/^OR$/i.test(tokens[i] ?? "")) {
+      i++;
+      value = and() || value;
+    }
+    return value;
+  }
+
+  if (/^(SEE LICENSE IN|UNLICENSED$)/i.test(expression)) return null;
+  try {
+    const value = or();
+    return i === tokens.length ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+async function packageDirs(nodeModules) {
+  let dirents;
+  try {
+    dirents = await readdir(nodeModules, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const dirs = [];
+  for (const d of dirents) {
+    if (!(d.isDirectory() || d.isSymbolicLink()) || d.name.startsWith(".")) continue;
+    if (!d.name.startsWith("@")) {
+      dirs.push(d.name);
+      continue;
+    }
+    const scoped = await readdir(path.join(nodeModules, d.name)).catch(() => []);
+    for (const name of scoped) dirs.push(`${d.name}/${name}`);
+  }
+  return dirs.sort();
+}
+
+// [{ name, version, license, path }] for every package installed at the repo root
+export async function installedLicenses() {
+  const nodeModules = path.join(REPO_ROOT, "node_modules");
+  const packages = [];
+  for (const dir of await packageDirs(nodeModules)) {
+    const rel = `node_modules/${dir}/package.json`;
+    let pkg;
+    try {
+      pkg = JSON.parse(await readFile(path.join(REPO_ROOT, rel), "utf8"));
+    } catch {
+      continue; // not a package (or a broken install)
+    }
+    packages.push({ name: pkg.name ?? dir, version: pkg.version ?? null, license: licenseOf(pkg), path: rel });
+  }
+  return packages;
+}
@@ -0,0 +1,518 @@
+// src/helpers/manifests.js
+// Dependency manifests and lockfiles for every ecosystem in the repo:
+// detection, parsing into { name, version, scope } entries, and
+// declared-vs-locked version drift.
+//
+// Scopes are normalized across ecosystems: production, development, test,
+// build, peer, optional, provided, runtime, indirect, managed.
+import path from "node:path";
+import { readFile } from "node:fs/promises";
+import semver from "semver";
+import { REPO_ROOT } from "./config.js";
+import { indexedFiles } from "./codeIndex.js";
+import { parseToml } from "./toml.js";
+
+const REQUIREMENTS = /^requirements([-_.][\w.-]+)?\.txt$/;
+
+export const ECOSYSTEMS = [
+  { id: "nodejs", manifests: ["package.json"], lockfiles: ["package-lock.json", "npm-shrinkwrap.json"] },
+  { id: "python", manifests: ["pyproject.toml", REQUIREMENTS], lockfiles: ["poetry.lock"] },
+  { id: "go", manifests: ["go.mod"], lockfiles: ["go.sum"] },
+  { id: "java-maven", manifests: ["pom.xml"], lockfiles: [] },
+  { id: "java-gradle", manifests: ["build.gradle", "build.gradle.kts"], lockfiles: [] },
+  { id: "rust", manifests: ["Cargo.toml"], lockfiles: ["Cargo.lock"] },
+];
+
+const matches = (name, patterns) => patterns.some((p) => (typeof p === "string" ? p === name : p.test(name)));
+
+// { ecosystem, role: "manifest" | "lockfile" } for a repo path, or null
+function classify(rel) {
+  const base = path.posix.basename(rel);
+  // requirements/*.txt is a common layout for split requirement sets
+  const isRequirementsDir = path.posix.basename(path.posix.dirname(rel)) === "requirements" && base.endsWith(".txt");
+  for (const eco of ECOSYSTEMS) {
+    if (matches(base, eco.manifests) || (eco.id === "python" && isRequirementsDir)) return { ecosystem: eco.id, role: "manifest" };
+    if (matches(base, eco.lockfiles)) return { ecosystem: eco.id, role: "lockfile" };
+  }
+  return null;
+}
+
+const readRepoFile = (rel) => readFile(path.join(REPO_ROOT, rel), "utf8");
+
+// --- manifest parsers: text -> [{ name, version, scope, group? }] ---------------------
+
+function parsePackageJson(text) {
+  const pkg = JSON.parse(text);
+  const scopes = { dependencies: "production", devDependencies: "development", peerDependencies: "peer", optionalDependencies: "optional" };
+  return Object.entries(scopes).flatMap(([field, scope]) =>
+    Object.entries(pkg[field] ?? {}).map(([name, version]) => ({ name, version: String(version), scope })));
+}
+
+// PEP 508 requirement: "name[extra] >=1,<2 ; python_version < '3.9'"
+function parsePep508(line) {
+  const m = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(.*)$/.exec(line.trim());
+  if (!m) return null;
+  const spec = m[3].split(";")[0].trim().replace(/^\((.*)\)$/, "$1");
+  return { name: m[1], version: spec && !spec.startsWith("@") ? spec : null };
+}
+
+function parseRequirements(text, rel) {
+  const scope = /dev|test|lint|doc/i.test(rel) ? "development" : "production";
+  const out = [];
+  for (const raw of text.replace(/\\\r?\n/g, " ").split(/\r?\n/)) {
+    const line = raw.replace(/(^|\s)#.*$/, "").trim();
+    // Options (-r, -e, --hash ...), URLs and local paths are not named requirements
+    if (!line || line.startsWith("-") || line.includes("://") || /^[./]/.test(line)) continue;
+    const req = parsePep508(line.split(/\s--/)[0]);
+    if (req) out.push({ ...req, scope });
+  }
+  return out;
+}
+
+function parsePyproject(text) {
+  const toml = parseToml(text);
+  const out = [];
+  const pep508 = (list, scope, group) => {
+    for (const line of list ?? []) {
+      if (typeof line !== "string") continue; // {include-group = ...}
+      const req = parsePep508(line);
+      if (req) out.push({ ...req, scope, ...(group && { group }) });
+    }
+  };
+  const poetry = (table, scope, group) => {
+    for (const [name, value] of Object.entries(table ?? {})) {
+      if (name === "python") continue;
+      const version = typeof value === "string" ? value : value?.version ?? null;
+      out.push({ name, version, scope, ...(group && { group }) });
+    }
+  };
+
+  pep508(toml.project?.dependencies, "production");
+  for (const [group, list] of Object.entries(toml.project?.["optional-dependencies"] ?? {})) pep508(list, "optional", group);
+  for (const [group, list] of Object.entries(toml["dependency-groups"] ?? {})) pep508(list, "development", group);
+
+  const tool = toml.tool?.poetry;
+  poetry(tool?.dependencies, "production");
+  poetry(tool?.["dev-dependencies"], "development");
+  for (const [group, def] of Object.entries(tool?.group ?? {})) {
+    poetry(def.dependencies, group === "main" ? "production" : "development", group);
+  }
+  return out;
+}
+
+function parseGoMod(text) {
+  const out = [];
+  const add = (line) => {
+    const indirect = /\/\/\s*indirect/.test(line);
+    const [name, version] = line.replace(/\/\/.*$/, "").trim().split(/\s+/);
+    if (name && version) out.push({ name, version, scope: indirect ? "indirect" : "production" });
+  };
+  let inBlock = false;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (inBlock) {
+      if (line.startsWith(")")) inBlock = false;
+      else if (line && !line.startsWith("//")) add(line);
+    } else if (/^require\s*\($/.test(line)) {
+      inBlock = true;
+    } else if (line.startsWith("require ")) {
+      add(line.slice("require ".length));
+    }
+  }
+  return out;
+}
+
+const MAVEN_SCOPES = { compile: "production", test: "test", provided: "provided", system: "provided", runtime: "runtime", import: "managed" };
+
+function parsePom(text) {
+  const xml = text.replace(/<!--[\s\S]*?-->/g, "");
+  const tag = (block, name) => new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`).exec(block)?.[1] ?? null;
+
+  // ${property} references, including the project's own version
+  const props = {};
+  const propsBlock = /<properties>([\s\S]*?)<\/properties>/.exec(xml)?.[1] ?? "";
+  for (const [, k, v] of propsBlock.matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)) props[k] = v;
+  const projectLevel = xml.replace(/<(parent|dependencies|dependencyManagement|build|profiles)>[\s\S]*?<\/\1>/g, "");
+  props["project.version"] = tag(projectLevel, "version");
+  const expand = (v) => v?.replace(/\$\{([^}]+)\}/g, (m, k) => props[k] ?? m) ?? null;
+
+  const withoutPlugins = xml.replace(/<plugins>[\s\S]*?<\/plugins>/g, "");
+  const managed = /<dependencyManagement>([\s\S]*?)<\/dependencyManagement>/.exec(withoutPlugins)?.[1] ?? "";
+  const direct = withoutPlugins.replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, "");
+
+  const out = [];
+  for (const [block, isManaged] of [[direct, false], [managed, true]]) {
+    for (const [, dep] of block.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+      const scope = tag(dep, "scope") ?? "compile";
+      out.push({
+        name: `${expand(tag(dep, "groupId"))}:${expand(tag(dep, "artifactId"))}`,
+        version: expand(tag(dep, "version")),
+        scope: isManaged ? "managed" : tag(dep, "optional") === "true" ? "optional" : MAVEN_SCOPES[scope] ?? scope,
+      });
+    }
+  }
+  return out;
+}
+
+function gradleScope(configuration) {
+  if (/^(test|androidTest)/.test(configuration)) return "test";
+  if (/^compileOnly/.test(configuration)) return "provided";
+  if (configuration === "runtimeOnly") return "runtime";
+  if (/^(annotationProcessor|kapt|ksp|classpath)$/.test(configuration)) return "build";
+  if (configuration === "developmentOnly") return "development";
+  return "production";
+}
+
+function parseGradle(text) {
+  const code = text.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/gm, "");
+  const conf = "(implementation|api|compile|compileOnly|compileOnlyApi|runtimeOnly|testImplementation|testCompileOnly|testRuntimeOnly|androidTestImplementation|annotationProcessor|kapt|ksp|classpath|developmentOnly)";
+  const out = [];
+  // implementation "g:a:v", implementation("g:a:v"), api(platform("g:a:v"))
+  const coords = new RegExp(`\\b${conf}\\s*\\(?\\s*(?:(?:platform|enforcedPlatform)\\s*\\(\\s*)?["']([^"':]+):([^"':]+)(?::([^"'@:]+))?[^"']*["']`, "g");
+  for (const [, configuration, group, artifact, version] of code.matchAll(coords)) {
+    out.push({ name: `${group}:${artifact}`, version: version ?? null, scope: gradleScope(configuration) });
+  }
+  // implementation group: "g", name: "a", version: "v"
+  const mapNotation = new RegExp(`\\b${conf}\\s*\\(?\\s*group\\s*[:=]\\s*["']([^"']+)["']\\s*,\\s*name\\s*[:=]\\s*["']([^"']+)["'](?:\\s*,\\s*version\\s*[:=]\\s*["']([^"']+)["'])?`, "g");
+  for (const [, configuration, group, artifact, version] of code.matchAll(mapNotation)) {
+    out.push({ name: `${group}:${artifact}`, version: version ?? null, scope: gradleScope(configuration) });
+  }
+  return out;
+}
+
+function parseCargo(text) {
+  const toml = parseToml(text);
+  const out = [];
+  const scopes = { dependencies: "production", "dev-dependencies": "development", "build-dependencies": "build" };
+  const add = (table, scope) => {
+    for (const [key, value] of Object.entries(table ?? {})) {
+      const name = typeof value === "object" && value.package ? value.package : key;
+      const version = typeof value === "string" ? value : value?.version ?? null;
+      out.push({ name, version, scope: typeof value === "object" && value.optional ? "optional" : scope });
+    }
+  };
+  for (const [field, scope] of Object.entries(scopes)) {
+    add(toml[field], scope);
+    for (const target of Object.values(toml.target ?? {})) add(target[field], scope);
+  }
+  add(toml.workspace?.dependencies, "managed");
+  return out;
+}
+
+const MANIFEST_PARSERS = {
+  "package.json": parsePackageJson,
+  "pyproject.toml": parsePyproject,
+  "go.mod": parseGoMod,
+  "pom.xml": parsePom,
+  "build.gradle": parseGradle,
+  "build.gradle.kts": parseGradle,
+  "Cargo.toml": parseCargo,
+};
+
+// --- lockfile parsers: text -> [{ name, version, direct? }] ------------------------
+
+function parsePackageLock(text) {
+  const lock = JSON.parse(text);
+  const out = [];
+  if (lock.packages) {
+    // v2/v3: keyed by install path, e.g. "node_modules/a/node_modules/b"
+    for (const [key, info] of Object.entries(lock.packages)) {
+      const at = key.lastIndexOf("node_modules/");
+      if (at === -1 || info.link || !info.version) continue;
+      out.push({ name: info.name ?? key.slice(at + "node_modules/".length), version: info.version, direct: key === key.slice(at) });
+    }
+    return out;
+  }
+  // v1: nested "dependencies" trees
+  const walk = (deps, top) => {
+    for (const [name, info] of Object.entries(deps ?? {})) {
+      if (info.version) out.push({ name, version: info.version, direct: top });
+      walk(info.dependencies, false);
+    }
+  };
+  walk(lock.dependencies, true);
+  return out;
+}
+
+function parseTomlPackages(text) {
+  return (parseToml(text).package ?? []).map((p) => ({ name: p.name, version: p.version }));
+}
+
+function parseGoSum(text) {
+  const seen = new Set();
+  const out = [];
+  for (const line of text.split(/\r?\n/)) {
+    const [name, rawVersion] = line.trim().split(/\s+/);
+    if (!name || !rawVersion) continue;
+    const version = rawVersion.replace(/\/go\.mod$/, "");
+    if (seen.has(`${name}@${version}`)) continue;
+    seen.add(`${name}@${version}`);
+    out.push({ name, version });
+  }
+  return out;
+}
+
+const LOCKFILE_PARSERS = {
+  "package-lock.json": parsePackageLock,
+  "npm-shrinkwrap.json": parsePackageLock,
+  "poetry.lock": parseTomlPackages,
+  "Cargo.lock": parseTomlPackages,
+  "go.sum": parseGoSum,
+};
+
+// --- version checks -------------------------------------------------------------
+
+// PEP 503 name normalization, so "Foo_Bar" matches "foo-bar" in poetry.lock
+export const normalizePython = (name) => name.toLowerCase().replace(/[-_.]+/g, "-");
+
+export function comparePep440(a, b) {
+  const parts = (v) => v.replace(/^v/, "").split(/[^0-9]+/).filter(Boolean).map(Number);
+  const [pa, pb] = [parts(a), parts(b)];
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] ?? 0) - (pb[i] ?? 0);
+    if (d) return Math.sign(d);
+  }
+  return 0;
+}
+
+// PEP 440 specifier sets ("~=1.4.2", ">=1,<2", "==1.2.*"), or Poetry's
+// caret/tilde/bare constraints. Returns null when the spec is not understood.
+function satisfiesPython(version, spec) {
+  const trimmed = spec.trim();
+  if (trimmed === "*" || trimmed === "") return true;
+  if (!/^(==|!=|<=|>=|<|>|~=|===)/.test(trimmed)) {
+    // Poetry: "^1.2", "~1.2", "1.2" (same as ^1.2 in Poetry), "1.2.*"
+    const range = trimmed.replace(/^(\d)/, "^$1").replace(/,/g, " ");
+    const coerced = semver.coerce(version);
+    return semver.validRange(range) && coerced ? semver.satisfies(coerced, range) : null;
+  }
+  for (const clause of trimmed.split(",")) {
+    const m = /^(===|==|!=|<=|>=|~=|<|>)\s*(.+)$/.exec(clause.trim());
+    if (!m) return null;
+    const [, op, target] = m;
+    if (target.endsWith(".*")) {
+      const prefix = target.slice(0, -2);
+      const inPrefix = comparePep440(version.split(".").slice(0, prefix.split(".").length).join("."), prefix) === 0;
+      if ((op === "==") !== inPrefix) return false;
+      continue;
+    }
+    const c = comparePep440(version, target);
+    const ok = {
+      "==": c === 0, "===": version === target, "!=": c !== 0,
+      "<=": c <= 0, ">=": c >= 0, "<": c < 0, ">": c > 0,
+      // ~=1.4.2 means >=1.4.2, ==1.4.*
+      "~=": c >= 0 && comparePep440(version.split(".").slice(0, target.split(".").length - 1).join("."), target.split(".").slice(0, -1).join(".")) === 0,
+    }[op];
+    if (!ok) return false;
+  }
+  return true;
+}
+
+// Cargo requirements: a bare "1.2" means "^1.2"; clauses are comma-separated
+function satisfiesCargo(version, spec) {
+  const range = spec.split(",").map((c) => c.trim().replace(/^(\d)/, "^$1")).join(" ");
+  return semver.validRange(range) ? semver.satisfies(version, range) : null;
+}
+
+function satisfiesNpm(version, spec) {
+  return semver.validRange(spec) ? semver.satisfies(version, spec, { includePrerelease: true }) : null;
+}
+
+const SATISFIES = { nodejs: satisfiesNpm, python: satisfiesPython, rust: satisfiesCargo };
+
+// --- repo-wide analysis -----------------------------------------------------------
+
+// Every manifest and lockfile in the repo: [{ path, ecosystem, role }]
+export async function findDependencyFiles() {
+  const out = [];
+  for (const rel of await indexedFiles()) {
+    const kind = classify(rel);
+    if (kind) out.push({ path: rel, ...kind });
+  }
+  return out;
+}
+
+// Parsed lockfiles: [{ path, ecosystem, packages: [{ name, version, direct? }] }]
+// plus errors for the ones that could not be read
+export async function loadLockfiles(files) {
+  const lockfiles = [];
+  const errors = [];
+  for (const f of files ?? await findDependencyFiles()) {
+    if (f.role !== "lockfile") continue;
+    try {
+      const parse = LOCKFILE_PARSERS[path.posix.basename(f.path)];
+      lockfiles.push({ path: f.path, ecosystem: f.ecosystem, packages: parse(await readRepoFile(f.path)) });
+    } catch (e) {
+      errors.push({ path: f.path, error: e.message });
+    }
+  }
+  return { lockfiles, errors };
+}
+
+// Which lockfiles pin which manifests (requirements*.txt have none)
+const LOCKS = {
+  "package.json": ["package-lock.json", "npm-shrinkwrap.json"],
+  "pyproject.toml": ["poetry.lock"],
+  "go.mod": ["go.sum"],
+  "Cargo.toml": ["Cargo.lock"],
+};
+
+// The manifest's lockfile in its directory or nearest ancestor (workspaces)
+function lockfileFor(manifest, lockfiles) {
+  const names = LOCKS[path.posix.basename(manifest.path)] ?? [];
+  let dir = path.posix.dirname(manifest.path);
+  for (;;) {
+    const lock = lockfiles.find((l) => names.includes(path.posix.basename(l.path)) && path.posix.dirname(l.path) === dir);
+    if (lock) return lock;
+    if (dir === ".") return null;
+    dir = path.posix.dirname(dir);
+  }
+}
+
+function driftFor(manifest, entries, lock) {
+  const drift = [];
+  const key = manifest.ecosystem === "python" ? normalizePython : (n) => n;
+  const locked = new Map();
+  for (const p of lock.packages) {
+    // package-lock: only top-level installs answer for the manifest's own deps
+    if (p.direct === false) continue;
+    const k = key(p.name);
+    if (!locked.has(k)) locked.set(k, []);
+    locked.get(k).push(p.version);
+  }
+
+  for (const dep of entries) {
+    if (!dep.version || dep.scope === "managed") continue;
+    const versions = locked.get(key(dep.name)) ?? [];
+    const base = { ecosystem: manifest.ecosystem, manifest: manifest.path, lockfile: lock.path, name: dep.name, declared: dep.version, locked: versions };
+
+    if (!versions.length) {
+      // npm omits optional/peer deps that were never installed
+      if (!["optional", "peer"].includes(dep.scope)) drift.push({ ...base, status: "missing" });
+      continue;
+    }
+    if (manifest.ecosystem === "go") {
+      // go.sum must hold exactly the required version
+      if (!versions.includes(dep.version)) drift.push({ ...base, status: "mismatch" });
+      continue;
+    }
+    const satisfies = SATISFIES[manifest.ecosystem];
+    const results = versions.map((v) => satisfies(v, dep.version));
+    if (results.every((r) => r === false)) drift.push({ ...base, status: "mismatch" });
+  }
+  return drift;
+}
+
+async function parseManifest(rel) {
+  const parse = MANIFEST_PARSERS[path.posix.basename(rel)] ?? parseRequirements;
+  return parse(await readRepoFile(rel), rel);
+}
+
+// The exact version a manifest pins, or null for ranges and placeholders
+function exactPin(ecosystem, spec) {
+  if (!spec || spec.includes("${")) return null;
+  switch (ecosystem) {
+    case "python": return /^===?\s*([\w.!+-]+)$/.exec(spec)?.[1] ?? null;
+    case "rust": return /^=\s*(\d[\w.+-]*)$/.exec(spec)?.[1] ?? null;
+    case "nodejs": return semver.valid(spec);
+    default: return /^v?\d[\w.+-]*$/.test(spec) ? spec : null; // go, maven, gradle
+  }
+}
+
+// Concrete package versions in the repo: everything in lockfiles, plus exact
+// pins from manifests without a lockfile (requirements "==", Maven, Gradle).
+// [{ ecosystem, name, version, source }] and unreadable files in errors.
+export async function resolvedPackages() {
+  const files = await findDependencyFiles();
+  const { lockfiles, errors } = await loadLockfiles(files);
+  const seen = new Set();
+  const packages = [];
+  const add = (p) => {
+    const key = `${p.ecosystem}\0${p.name}\0${p.version}\0${p.source}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      packages.push(p);
+    }
+  };
+
+  for (const lock of lockfiles) {
+    for (const p of lock.packages) add({ ecosystem: lock.ecosystem, name: p.name, version: p.version, source: lock.path });
+  }
+  for (const manifest of files.filter((f) => f.role === "manifest" && !lockfileFor(f, lockfiles))) {
+    let parsed;
+    try {
+      parsed = await parseManifest(manifest.path);
+    } catch (e) {
+      errors.push({ path: manifest.path, error: e.message });
+      continue;
+    }
+    for (const dep of parsed) {
+      const version = exactPin(manifest.ecosystem, dep.version);
+      if (version) add({ ecosystem: manifest.ecosystem, name: dep.name, version, source: manifest.path });
+    }
+  }
+  return { packages, errors };
+}
+
+// Ecosystems, dependency entries, lockfiles and drift for the whole repo
+export async function analyzeManifests() {
+  const files = await findDependencyFiles();
+  const { lockfiles, errors } = await loadLockfiles(files);
+  const entries = [];
+  const drift = [];
+
+  for (const manifest of files.filter((f) => f.role === "manifest")) {
+    let parsed;
+    try {
+      parsed = await parseManifest(manifest.path);
+    } catch (e) {
+      errors.push({ path: manifest.path, error: e.message });
+      continue;
+    }
+    entries.push(...parsed.map((d) => ({ ecosystem: manifest.ecosystem, manifest: manifest.path, ...d })));
+
+    const lock = lockfileFor(manifest, lockfiles);
+    if (lock) drift.push(...driftFor(manifest, parsed, lock));
+  }
+
+  const ecosystems = ECOSYSTEMS.map(({ id }) => ({
+    id,
+    manifests: files.filter((f) => f.ecosystem === id && f.role === "manifest").map((f) => f.path),
+    lockfiles: files.filter((f) => f.ecosystem === id && f.role === "lockfile").map((f) => f.path),
+  })).filter((e) => e.manifests.length || e.lockfiles.length);
+
+  return {
+    ecosystems,
+    entries,
+    lockfiles: lockfiles.map((l) => ({ path: l.path, ecosystem: l.ecosystem, packages: l.packages.length })),
+    drift,
+    errors,
+  };
+}
+
+// Name/version/description from the root manifests, for projects without package.json
+export async function rootProjectInfo() {
+  const tryRead = async (rel, fn) => {
+    try { return fn(await readRepoFile(rel)); } catch { return null; }
+  };
+  return (
+    await tryRead("pyproject.toml", (t) => {
+      const toml = parseToml(t);
+      const p = toml.project ?? toml.tool?.poetry;
+      return p && { name: p.name, version: p.version, description: p.description, license: typeof p.license === "object" ? p.license.text : p.license };
+    }) ??
+    await tryRead("Cargo.toml", (t) => {
+      const p = parseToml(t).package;
+      return p && { name: p.name, version: typeof p.version === "string" ? p.version : null, description: p.description, license: p.license };
+    }) ??
+    await tryRead("go.mod", (t) => {
+      const name = /^module\s+(\S+)/m.exec(t)?.[1];
+      return name && { name };
+    }) ??
+    await tryRead("pom.xml", (t) => {
+      const top = t.replace(/<(parent|dependencies|dependencyManagement|build|profiles)>[\s\S]*?<\/\1>/g, "");
+      const tag = (n) => new RegExp(`<${n}>\\s*([^<]*?)\\s*</${n}>`).exec(top)?.[1] ?? null;
+      return { name: tag("artifactId"), version: tag("version"), description: tag("description") };
+    })
+  );
+}
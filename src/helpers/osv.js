@@ -0,0 +1,148 @@
+// src/helpers/osv.js
+// Offline vulnerability matching against a local OSV database: a directory
+// (searched recursively) of OSV JSON records, as exported by osv.dev.
+// Spec: https://ossf.github.io/osv-schema/
+import path from "node:path";
+import { readdir, readFile } from "node:fs/promises";
+import semver from "semver";
+import { comparePep440, normalizePython } from "./manifests.js";
+
+// Our ecosystem ids -> OSV ecosystem names
+export const OSV_ECOSYSTEMS = {
+  nodejs: "npm",
+  python: "PyPI",
+  go: "Go",
+  rust: "crates.io",
+  "java-maven": "Maven",
+  "java-gradle": "Maven",
+};
+
+export const packageKey = (osvEcosystem, name) =>
+  `${osvEcosystem}\0${osvEcosystem === "PyPI" ? normalizePython(name) : name}`;
+
+async function* jsonFiles(dir) {
+  let dirents;
+  try { dirents = await readdir(dir, { withFileTypes: true }); } catch { return; }
+  for (const d of dirents) {
+    const abs = path.join(dir, d.name);
+    if (d.isDirectory()) yield* jsonFiles(abs);
+    else if (d.isFile() && d.name.endsWith(".json")) yield abs;
+  }
+}
+
+// Advisories affecting any of `wanted` (Set of packageKey), grouped by key.
+// Records for other packages are dropped while reading to keep memory flat.
+export async function loadAdvisories(dir, wanted) {
+  const byPackage = new Map();
+  let records = 0;
+  const errors = [];
+  for await (const file of jsonFiles(dir)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(await readFile(file, "utf8"));
+    } catch (e) {
+      errors.push({ path: file, error: e.message });
+      continue;
+    }
+    for (const vuln of [parsed].flat()) {
+      records++;
+      if (vuln.withdrawn) continue;
+      for (const affected of vuln.affected ?? []) {
+        // Ecosystems may carry a suffix, e.g. "Debian:11"; only the base matters here
+        const ecosystem = affected.package?.ecosystem?.split(":")[0];
+        const key = ecosystem && packageKey(ecosystem, affected.package.name);
+        if (!key || !wanted.has(key)) continue;
+        if (!byPackage.has(key)) byPackage.set(key, []);
+        byPackage.get(key).push({ vuln, affected });
+      }
+    }
+  }
+  return { byPackage, records, errors };
+}
+
+function comparator(osvEcosystem) {
+  if (osvEcosystem === "PyPI" || osvEcosystem === "Maven") return comparePep440;
+  return (a, b) => {
+    const [va, vb] = [semver.valid(a.replace(/^v/, "")), semver.valid(b.replace(/^v/, ""))];
+    return va && vb ? semver.compare(va, vb) : comparePep440(a, b);
+  };
+}
+
+const eventOf = (e) => Object.entries(e).find(([k]) => ["introduced", "fixed", "last_affected", "limit"].includes(k));
+
+// OSV range evaluation: walk the sorted events up to `version`
+function inRange(version, range, compare) {
+  const events = range.events.map(eventOf).filter(Boolean)
+    .sort(([, a], [, b]) => (a === "0" ? -1 : b === "0" ? 1 : compare(a, b)));
+  let affected = false;
+  for (const [type, at] of events) {
+    const c = at === "0" ? 1 : compare(version, at);
+    if (type === "introduced") {
+      if (c < 0) break;
+      affected = true;
+    } else if (type === "last_affected") {
+      if (c <= 0) break;
+      affected = false;
+    } else {
+      // fixed, limit
+      if (c < 0) break;
+      affected = false;
+    }
+  }
+  return affected;
+}
+
+// ">=1.0.0 <1.2.3 || >=2.0.0 <=2.0.4" for the report
+function describeRange(range) {
+  const parts = [];
+  let current = [];
+  for (const [type, at] of range.events.map(eventOf).filter(Boolean)) {
+    if (type === "introduced") {
+      if (current.length) parts.push(current.join(" "));
+      current = [at === "0" ? ">=0" : `>=${at}`];
+    } else {
+      current.push(type === "last_affected" ? `<=${at}` : `<${at}`);
+    }
+  }
+  if (current.length) parts.push(current.join(" "));
+  return parts.join(" || ");
+}
+
+function severityOf(vuln, affected) {
+  return (
+    affected.ecosystem_specific?.severity ??
+    affected.database_specific?.severity ??
+    vuln.database_specific?.severity ??
+    null
+  );
+}
+
+// Vulnerabilities affecting one package version:
+// [{ id, aliases, summary, severity, cvss, affectedRanges, fixedIn }]
+export function matchVulnerabilities(advisories, osvEcosystem, name, version) {
+  const compare = comparator(osvEcosystem);
+  const found = new Map();
+  for (const { vuln, affected } of advisories.byPackage.get(packageKey(osvEcosystem, name)) ?? []) {
+    const ranges = (affected.ranges ?? []).filter((r) => r.type !== "GIT");
+    const hit = (affected.versions ?? []).some((v) => compare(v, version) === 0) || ranges.some((r) => inRange(version, r, compare));
+    if (!hit) continue;
+
+    const entry = found.get(vuln.id) ?? {
+      id: vuln.id,
+      aliases: vuln.aliases ?? [],
+      summary: vuln.summary ?? vuln.details?.split("\n")[0]?.slice(0, 200) ?? "",
+      severity: severityOf(vuln, affected),
+      cvss: vuln.severity?.find((s) => s.type?.startsWith("CVSS"))?.score ?? null,
+      affectedRanges: [],
+      fixedIn: [],
+    };
+    for (const r of ranges) {
+      entry.affectedRanges.push(describeRange(r));
+      for (const [type, at] of r.events.map(eventOf).filter(Boolean)) {
+        if (type === "fixed" && !entry.fixedIn.includes(at)) entry.fixedIn.push(at);
+      }
+    }
+    found.set(vuln.id, entry);
+  }
+  return [...found.values()];
+}
@@ -0,0 +1,255 @@
+// src/helpers/patch.js
+import { createHash } from "node:crypto";
+import { createReadStream } from "node:fs";
+
+export class PatchError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "PatchError";
+    this.code = code; // "not_found" | "ambiguous" | "mismatch" | "malformed" | "stale"
+  }
+}
+
+export function sha256(text) {
+  return createHash("sha256").update(text, "utf8").digest("hex");
+}
+
+// sha256() of a file's text, streamed so a large file is never held in memory
+export async function sha256File(abs) {
+  const hash = createHash("sha256");
+  for await (const chunk of createReadStream(abs, { encoding: "utf8" })) hash.update(chunk, "utf8");
+  return hash.digest("hex");
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + needle.length)) {
+    count++;
+  }
+  return count;
+}
+
+// Apply exact search/replace edits in order. Each search string must match
+// exactly once unless replaceAll is set.
+export function applyEdits(content, edits) {
+  let next = content;
+  edits.forEach(({ search, replace, replaceAll = false }, i) => {
+    if (!search) throw new PatchError("malformed", `Edit #${i + 1}: search text is empty`);
+    const count = countOccurrences(next, search);
+    if (count === 0) {
+      throw new PatchError("not_found", `Edit #${i + 1}: search text not found`);
+    }
+    if (count > 1 && !replaceAll) {
+      throw new PatchError(
+        "ambiguous",
+        `Edit #${i + 1}: search text matches ${count} times; add surrounding context or set replaceAll`
+      );
+    }
+    next = replaceAll ? next.split(search).join(replace) : next.replace(search, () => replace);
+  });
+  return next;
+}
+
+// --- unified diff ------------------------------------------------------------
+
+const NO_EOL = "\n\\ No newline at end of file";
+
+// Split into lines without the empty element after a trailing newline; a last
+// line lacking one carries git's marker so it never compares equal to "x\n".
+function toDiffLines(text) {
+  const lines = text.split("\n");
+  if (lines.at(-1) === "") lines.pop();
+  else lines[lines.length - 1] += NO_EOL;
+  return lines;
+}
+
+function fromDiffLines(lines) {
+  if (lines.length === 0) return "";
+  const text = lines.join("\n");
+  return text.endsWith(NO_EOL) ? text.slice(0, -NO_EOL.length) : text + "\n";
+}
+
+function parseUnifiedDiff(patch) {
+  const lines = patch.replace(/\r\n/g, "\n").split("\n");
+  const hunks = [];
+  let hunk = null;
+  let lastOp = null;
+  let fileHeaders = 0;
+
+  for (const line of lines) {
+    // Hunk bodies are consumed by their line counts, so headers are only
+    // recognized between hunks ("--- a" inside a hunk is a removed "-- a")
+    if (line.startsWith("\\") && hunk && lastOp) {
+      // "\ No newline at end of file" belongs to the line before it
+      if (lastOp !== "+") hunk.before[hunk.before.length - 1] += NO_EOL;
+      if (lastOp !== "-") hunk.after[hunk.after.length - 1] += NO_EOL;
+      continue;
+    }
+    if (hunk && (hunk.before.length < hunk.oldLines || hunk.after.length < hunk.newLines)) {
+      const op = line[0];
+      const text = line.slice(1);
+      if (op === " " || line === "") {
+        hunk.before.push(text);
+        hunk.after.push(text);
+      } else if (op === "-") {
+        hunk.before.push(text);
+      } else if (op === "+") {
+        hunk.after.push(text);
+      } else {
+        throw new PatchError("malformed", `Unexpected line in hunk: ${line.slice(0, 80)}`);
+      }
+      lastOp = op === "-" || op === "+" ? op : " ";
+      continue;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      hunk = {
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        before: [],
+        after: [],
+      };
+      hunks.push(hunk);
+      lastOp = null;
+    } else if (line.startsWith("+++ ")) {
+      fileHeaders++;
+    }
+  }
+
+  if (fileHeaders > 1) throw new PatchError("malformed", "Patch touches more than one file");
+  if (hunks.length === 0) throw new PatchError("malformed", "Patch contains no hunks");
+  for (const h of hunks) {
+    if (h.before.length !== h.oldLines || h.after.length !== h.newLines) {
+      throw new PatchError(
+        "malformed",
+        `Hunk @@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@ is truncated`
+      );
+    }
+  }
+  return hunks;
+}
+
+function matchesAt(lines, block, at) {
+  if (at < 0 || at + block.length > lines.length) return false;
+  return block.every((l, i) => lines[at + i] === l);
+}
+
+// Apply a single-file unified diff. Every hunk must match exactly; when the
+// line numbers have drifted, the hunk is relocated only if its context is unique.
+export function applyUnifiedDiff(content, patch) {
+  const hunks = parseUnifiedDiff(patch);
+  const lines = toDiffLines(content);
+  let offset = 0; // line shift caused by earlier hunks (and any relocation)
+
+  for (const h of hunks) {
+    const label = `@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@`;
+    // oldStart is 1-based; a pure insertion (oldLines 0) goes after that line
+    const base = h.oldLines === 0 ? h.oldStart : h.oldStart - 1;
+    let at = base + offset;
+
+    if (!matchesAt(lines, h.before, at)) {
+      if (h.before.length === 0) {
+        throw new PatchError("mismatch", `Hunk ${label} inserts past the end of the file`);
+      }
+      const candidates = [];
+      for (let i = 0; i + h.before.length <= lines.length; i++) {
+        if (matchesAt(lines, h.before, i)) candidates.push(i);
+      }
+      if (candidates.length === 0) {
+        throw new PatchError("mismatch", `Hunk ${label} does not apply: context not found`);
+      }
+      if (candidates.length > 1) {
+        throw new PatchError(
+          "ambiguous",
+          `Hunk ${label} does not apply at its line numbers and its context matches ${candidates.length} places`
+        );
+      }
+      at = candidates[0];
+    }
+
+    lines.splice(at, h.before.length, ...h.after);
+    offset = at - base + h.after.length - h.before.length;
+  }
+
+  return fromDiffLines(lines);
+}
+
+// Line-level unified diff between two texts (LCS over the changed middle).
+export function createUnifiedDiff(oldText, newText, file = "file", context = 3) {
+  if (oldText === newText) return "";
+  const a = toDiffLines(oldText);
+  const b = toDiffLines(newText);
+
+  // Trim the common prefix/suffix so the LCS table only covers the changed region
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+
+  const am = a.slice(pre, a.length - suf);
+  const bm = b.slice(pre, b.length - suf);
+  const ops = []; // [op, text] with op in " ", "-", "+"
+  for (let i = 0; i < pre; i++) ops.push([" ", a[i]]);
+
+  if (am.length * bm.length > 4_000_000) {
+    // Too large for a table; report the region as a single replacement
+    for (const l of am) ops.push(["-", l]);
+    for (const l of bm) ops.push(["+", l]);
+  } else {
+    const n = am.length, m = bm.length;
+    const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        dp[i][j] = am[i] === bm[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+      if (am[i] === bm[j]) { ops.push([" ", am[i]]); i++; j++; }
+      else if (dp[i + 1][j] >= dp[i][j + 1]) ops.push(["-", am[i++]]);
+      else ops.push(["+", bm[j++]]);
+    }
+    while (i < n) ops.push(["-", am[i++]]);
+    while (j < m) ops.push(["+", bm[j++]]);
+  }
+  for (let i = a.length - suf; i < a.length; i++) ops.push([" ", a[i]]);
+
+  // Group changes into hunks with `context` lines around them
+  const out = [`--- a/${file}`, `+++ b/${file}`];
+  let k = 0;
+  let oldLine = 1, newLine = 1;
+  while (k < ops.length) {
+    if (ops[k][0] === " ") { oldLine++; newLine++; k++; continue; }
+
+    const startK = Math.max(0, k - context);
+    let endK = k;
+    let lastChange = k;
+    while (endK < ops.length && endK - lastChange <= context * 2) {
+      if (ops[endK][0] !== " ") lastChange = endK;
+      endK++;
+    }
+    endK = Math.min(ops.length, lastChange + context + 1);
+
+    const lead = k - startK;
+    const hOld = oldLine - lead, hNew = newLine - lead;
+    let oldCount = 0, newCount = 0;
+    const body = [];
+    for (let x = startK; x < endK; x++) {
+      const [op, text] = ops[x];
+      body.push(op + text);
+      if (op !== "+") oldCount++;
+      if (op !== "-") newCount++;
+    }
+    out.push(`@@ -${oldCount ? hOld : hOld - 1},${oldCount} +${newCount ? hNew : hNew - 1},${newCount} @@`, ...body);
+
+    for (let x = k; x < endK; x++) {
+      if (ops[x][0] !== "+") oldLine++;
+      if (ops[x][0] !== "-") newLine++;
+    }
+    k = endK;
+  }
+  return out.join("\n") + "\n";
+}
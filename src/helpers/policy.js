@@ -0,0 +1,78 @@
+// src/helpers/policy.js
+import path from "node:path";
+import { readFileSync } from "node:fs";
+import { REPO_ROOT, getArgValue, hasFlag } from "./config.js";
+import { matchesGlob, matchesAnyGlob } from "./glob.js";
+
+// Policy file at REPO_ROOT (or --policy <file>), e.g.
+// {
+//   "readOnly": false,
+//   "enabledTools": ["repo_*", "git_log"],   // allowlist; omit to allow all
+//   "disabledTools": ["runtime_processes"],
+//   "writePaths": ["src/**", "docs/**"]      // omit to allow writes anywhere in the repo
+// }
+// CLI flags take precedence: --read-only, --enable-tools a,b, --disable-tools a,b,
+// --write-paths "src/**,docs/**". Tool names accept * wildcards.
+export const POLICY_FILE = path.resolve(REPO_ROOT, getArgValue("--policy") || ".mcp-assistant.json");
+
+function readPolicyFile() {
+  let raw;
+  try {
+    raw = readFileSync(POLICY_FILE, "utf8");
+  } catch {
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    // A broken policy must not silently fall back to "everything allowed"
+    throw new Error(`Invalid policy file ${POLICY_FILE}: ${e.message}`);
+  }
+}
+
+function csv(value) {
+  return value === undefined ? undefined : value.split(",").map(s => s.trim()).filter(Boolean);
+}
+
+const file = readPolicyFile();
+
+export const POLICY = {
+  readOnly: hasFlag("--read-only") || file.readOnly === true,
+  enabledTools: csv(getArgValue("--enable-tools")) ?? file.enabledTools ?? null,
+  disabledTools: [...(file.disabledTools ?? []), ...(csv(getArgValue("--disable-tools")) ?? [])],
+  writePaths: csv(getArgValue("--write-paths")) ?? file.writePaths ?? null,
+};
+
+// Read-only tools that still expose the host beyond the repo (other
+// processes); read-only mode hides them along with the writers
+const SENSITIVE_TOOLS = ["runtime_processes"];
+
+// Tools without annotations.readOnlyHint === true count as writers, so a new
+// tool is hidden in read-only mode until it declares itself safe.
+export function toolDisabledReason(name, annotations) {
+  const matches = (patterns) => patterns.some(p => matchesGlob(name, p));
+  if (POLICY.enabledTools && !matches(POLICY.enabledTools)) return "not in enabledTools";
+  if (matches(POLICY.disabledTools)) return "in disabledTools";
+  if (POLICY.readOnly && annotations?.readOnlyHint !== true) return "read-only mode";
+  if (POLICY.readOnly && matches(SENSITIVE_TOOLS)) return "read-only mode (sensitive)";
+  return null;
+}
+
+export function isWritePathAllowed(relPath, { ignoreCase = false } = {}) {
+  return !POLICY.writePaths || matchesAnyGlob(relPath, POLICY.writePaths, { ignoreCase });
+}
+
+// Skip registration of tools the policy disables; returns the skipped names.
+export function applyToolPolicy(server) {
+  const skipped = [];
+  const registerTool = server.registerTool.bind(server);
+  server.registerTool = (name, config, cb) => {
+    const reason = toolDisabledReason(name, config.annotations);
+    if (reason) {
+      skipped.push({ name, reason });
+      return undefined;
+    }
+    return registerTool(name, config, cb);
+  };
+  return skipped;
+}
@@ -1,12 +1,13 @@
 import { spawn } from "node:child_process";
 import { REPO_ROOT } from "./config.js";
 
-export function run(cmd, args, { cwd = REPO_ROOT, timeoutMs = 60000 } = {}) {
+// `input`, when given, is written to the child's stdin; `env` is merged into process.env
+export function run(cmd, args, { cwd = REPO_ROOT, timeoutMs = 60000, input, env } = {}) {
   return new Promise((resolve) => {
     let out = "", err = "", done = false;
     let p;
     try {
-      p = spawn(cmd, args, { cwd, windowsHide: true });
+      p = spawn(cmd, args, { cwd, windowsHide: true, env: env ? { ...process.env, ...env } : process.env });
     } catch (e) {
       return resolve({ code: -1, out: "", err: `Spawn failed: ${e?.message || e}` });
     }
@@ -24,6 +25,10 @@ export function run(cmd, args, { cwd = REPO_ROOT, timeoutMs = 60000 } = {}) {
         resolve({ code: -3, out, err: `Spawn error: ${e?.message || e}` });
       }
     });
+    if (input !== undefined) {
+      p.stdin.on("error", () => {}); // child exited before reading it all
+      p.stdin.end(input);
+    }
     p.stdout.on("data", d => (out += d.toString()));
     p.stderr.on("data", d => (err += d.toString()));
     p.on("close", (code) => {
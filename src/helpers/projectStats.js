@@ -0,0 +1,216 @@
+// src/helpers/projectStats.js
+// Per-language code / comment / blank line counts over the repo's files
+// (the code index's file list: .gitignore and INDEX_EXCLUDES apply).
+import path from "node:path";
+import { lstat, open, readFile } from "node:fs/promises";
+import { REPO_ROOT } from "./config.js";
+import { repoFiles } from "./codeIndex.js";
+
+const MAX_COUNT_BYTES = 4 * 1024 * 1024; // larger files count towards bytes only
+const LARGEST_FILES = 10;
+const SNIFF_BYTES = 8192;                // a NUL in here marks a binary file
+
+// Whether the file looks binary, from its first bytes only
+async function isBinaryFile(abs) {
+  const handle = await open(abs, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Comment syntaxes: line prefixes and [open, close] block pairs
+const C_STYLE = { line: ["//"], block: [["/*", "*/"]] };
+const HASH = { line: ["#"], block: [] };
+const MARKUP = { line: [], block: [["<!--", "-->"]] };
+const NONE = { line: [], block: [] };
+
+const LANGUAGES = [
+  ["JavaScript", [".js", ".mjs", ".cjs", ".jsx"], C_STYLE],
+  ["TypeScript", [".ts", ".mts", ".cts", ".tsx"], C_STYLE],
+  ["Python", [".py", ".pyi"], { line: ["#"], block: [['"""', '"""'], ["'''", "'''"]] }],
+  ["Go", [".go"], C_STYLE],
+  ["Rust", [".rs"], C_STYLE],
+  ["Java", [".java"], C_STYLE],
+  ["Kotlin", [".kt", ".kts"], C_STYLE],
+  ["Scala", [".scala"], C_STYLE],
+  ["Groovy", [".groovy", ".gradle"], C_STYLE],
+  ["C", [".c", ".h"], C_STYLE],
+  ["C++", [".cc", ".cpp", ".cxx", ".hpp", ".hh", ".hxx"], C_STYLE],
+  ["C#", [".cs"], C_STYLE],
+  ["Objective-C", [".m", ".mm"], C_STYLE],
+  ["Swift", [".swift"], C_STYLE],
+  ["Dart", [".dart"], C_STYLE],
+  ["PHP", [".php"], { line: ["//", "#"], block: [["/*", "*/"]] }],
+  ["Ruby", [".rb", ".rake", ".gemspec"], { line: ["#"], block: [["=begin", "=end"]] }],
+  ["Perl", [".pl", ".pm"], HASH],
+  ["Lua", [".lua"], { line: ["--"], block: [["--[[", "]]"]] }],
+  ["Elixir", [".ex", ".exs"], HASH],
+  ["Erlang", [".erl", ".hrl"], { line: ["%"], block: [] }],
+  ["Haskell", [".hs"], { line: ["--"], block: [["{-", "-}"]] }],
+  ["Clojure", [".clj", ".cljs", ".cljc", ".edn"], { line: [";"], block: [] }],
+  ["R", [".r", ".R"], HASH],
+  ["Julia", [".jl"], { line: ["#"], block: [["#=", "=#"]] }],
+  ["Shell", [".sh", ".bash", ".zsh", ".fish"], HASH],
+  ["PowerShell", [".ps1", ".psm1"], { line: ["#"], block: [["<#", "#>"]] }],
+  ["SQL", [".sql"], { line: ["--"], block: [["/*", "*/"]] }],
+  ["HTML", [".html", ".htm"], MARKUP],
+  ["XML", [".xml", ".xsd", ".xsl", ".svg", ".plist"], MARKUP],
+  ["Vue", [".vue"], { line: ["//"], block: [["<!--", "-->"], ["/*", "*/"]] }],
+  ["Svelte", [".svelte"], { line: ["//"], block: [["<!--", "-->"], ["/*", "*/"]] }],
+  ["CSS", [".css"], { line: [], block: [["/*", "*/"]] }],
+  ["SCSS", [".scss", ".sass", ".less"], C_STYLE],
+  ["JSON", [".json", ".jsonc", ".json5"], C_STYLE],
+  ["YAML", [".yml", ".yaml"], HASH],
+  ["TOML", [".toml"], HASH],
+  ["INI", [".ini", ".cfg", ".conf", ".properties"], { line: ["#", ";"], block: [] }],
+  ["Markdown", [".md", ".mdx", ".markdown"], MARKUP],
+  ["reStructuredText", [".rst"], NONE],
+  ["Text", [".txt"], NONE],
+  ["Protobuf", [".proto"], C_STYLE],
+  ["GraphQL", [".graphql", ".gql"], HASH],
+  ["Terraform", [".tf", ".tfvars", ".hcl"], { line: ["#", "//"], block: [["/*", "*/"]] }],
+  ["Dockerfile", ["Dockerfile", ".dockerfile"], HASH],
+  ["Makefile", ["Makefile", "GNUmakefile", ".mk"], HASH],
+  ["CMake", ["CMakeLists.txt", ".cmake"], HASH],
+];
+
+const BY_NAME = new Map();
+const BY_EXT = new Map();
+for (const [name, keys, syntax] of LANGUAGES) {
+  for (const key of keys) (key.startsWith(".") ? BY_EXT : BY_NAME).set(key, { name, syntax });
+}
+
+export function languageFor(rel) {
+  const base = path.posix.basename(rel);
+  return BY_NAME.get(base) ?? BY_EXT.get(path.posix.extname(base)) ?? BY_EXT.get(path.posix.extname(base).toLowerCase()) ?? null;
+}
+
+// { code, comment, blank } for one file. Line based: a line with any code on
+// it is code; string literals are not tracked, so "//" inside one still counts.
+export function countLines(text, syntax) {
+  const counts = { code: 0, comment: 0, blank: 0 };
+  let closeWith = null; // inside a block comment ending with this
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+
+  for (const raw of lines) {
+    let rest = raw.trim();
+    if (!rest && !closeWith) {
+      counts.blank++;
+      continue;
+    }
+    let hasCode = false;
+    let hasComment = false;
+    while (rest) {
+      if (closeWith) {
+        hasComment = true;
+        const end = rest.indexOf(closeWith);
+        if (end === -1) break;
+        rest = rest.slice(end + closeWith.length).trim();
+        closeWith = null;
+        continue;
+      }
+      if (syntax.line.some((p) => rest.startsWith(p)) && !syntax.block.some(([open]) => rest.startsWith(open))) {
+        hasComment = true;
+        break;
+      }
+      const block = syntax.block.find(([open]) => rest.startsWith(open));
+      if (block) {
+        hasComment = true;
+        rest = rest.slice(block[0].length);
+        closeWith = block[1];
+        continue;
+      }
+      // Code up to the next comment opener on this line
+      hasCode = true;
+      const openers = [...syntax.line, ...syntax.block.map(([open]) => open)]
+        .map((p) => rest.indexOf(p, 1)).filter((idx) => idx > 0);
+      if (!openers.length) break;
+      rest = rest.slice(Math.min(...openers));
+    }
+    if (hasCode) counts.code++;
+    else if (hasComment) counts.comment++;
+    else counts.blank++; // blank line inside a block comment
+  }
+  return counts;
+}
+
+// Totals, per-language breakdown, file counts by extension and the largest files
+export async function projectStats() {
+  const { source, files } = await repoFiles();
+  const stats = {
+    source,
+    totalFiles: 0,
+    totalLines: 0,
+    codeLines: 0,
+    commentLines: 0,
+    blankLines: 0,
+    totalBytes: 0,
+    binaryFiles: 0,
+    languages: {},
+    fileTypes: {},
+    largestFiles: [],
+  };
+
+  const sized = [];
+  for (const rel of files) {
+    let st;
+    try {
+      st = await lstat(path.join(REPO_ROOT, rel));
+    } catch {
+      continue; // deleted but still tracked
+    }
+    if (!st.isFile()) continue;
+
+    const ext = path.posix.extname(rel) || path.posix.basename(rel);
+    stats.totalFiles++;
+    stats.totalBytes += st.size;
+    stats.fileTypes[ext] = (stats.fileTypes[ext] || 0) + 1;
+
+    const language = languageFor(rel);
+    const entry = { path: rel, bytes: st.size, lines: null, language: language?.name ?? null };
+    sized.push(entry);
+
+    // Every file is sniffed, whatever its extension (images, archives, …)
+    const abs = path.join(REPO_ROOT, rel);
+    let binary;
+    try {
+      binary = await isBinaryFile(abs);
+    } catch {
+      continue;
+    }
+    if (binary) {
+      stats.binaryFiles++;
+      entry.language = null;
+      continue;
+    }
+    if (!language || st.size > MAX_COUNT_BYTES) continue;
+
+    let buf;
+    try {
+      buf = await readFile(abs);
+    } catch {
+      continue;
+    }
+    const counts = countLines(buf.toString("utf8"), language.syntax);
+    entry.lines = counts.code + counts.comment + counts.blank;
+
+    const lang = (stats.languages[language.name] ??= { files: 0, code: 0, comment: 0, blank: 0, bytes: 0 });
+    lang.files++;
+    lang.bytes += st.size;
+    lang.code += counts.code;
+    lang.comment += counts.comment;
+    lang.blank += counts.blank;
+    stats.codeLines += counts.code;
+    stats.commentLines += counts.comment;
+    stats.blankLines += counts.blank;
+  }
+
+  stats.totalLines = stats.codeLines + stats.commentLines + stats.blankLines;
+  stats.languages = Object.fromEntries(Object.entries(stats.languages).sort(([, a], [, b]) => b.code - a.code));
+  stats.largestFiles = sized.sort((a, b) => b.bytes - a.bytes).slice(0, LARGEST_FILES);
+  return stats;
+}
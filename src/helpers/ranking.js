@@ -0,0 +1,118 @@
+// src/helpers/ranking.js
+// Relevance scoring for repo_smart_context: BM25 over file content, plus
+// bonuses for query terms in the path, a decaying bonus for recent commits and,
+// optionally, a bonus for git hotspots (files both large and often changed).
+import path from "node:path";
+import { tokenize } from "./codeIndex.js";
+
+const K1 = 1.2;
+const B = 0.75;
+const FILENAME_WEIGHT = 3;
+const PATH_WEIGHT = 1.5;
+const RECENCY_WEIGHT = 2;
+const RECENCY_HALF_LIFE_DAYS = 30;
+const HOTSPOT_WEIGHT = 1.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (n) => Math.round(n * 100) / 100;
+
+// Distinct query terms, split the same way file content is indexed
+export function queryTerms(query) {
+  return [...new Set(tokenize(query))];
+}
+
+// Corpus statistics from a list of { tf: { term: n }, length } documents
+export function corpusStats(docs, terms) {
+  const df = Object.fromEntries(terms.map((t) => [t, 0]));
+  let total = 0;
+  for (const doc of docs) {
+    total += doc.length;
+    for (const t of terms) if (doc.tf[t]) df[t]++;
+  }
+  return { N: docs.length, avgdl: docs.length ? total / docs.length : 0, df };
+}
+
+// BM25 score of one document; `parts` lists each term's contribution
+export function bm25(doc, terms, { N, avgdl, df }) {
+  const parts = [];
+  let score = 0;
+  for (const term of terms) {
+    const tf = doc.tf[term] ?? 0;
+    if (!tf) continue;
+    const idf = Math.log(1 + (N - df[term] + 0.5) / (df[term] + 0.5));
+    const norm = avgdl ? doc.length / avgdl : 1;
+    const contribution = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * norm));
+    parts.push({ term, tf, idf, contribution });
+    score += contribution;
+  }
+  return { score, parts };
+}
+
+// Terms found in the file name (stronger) or in a directory name
+export function pathMatch(rel, terms) {
+  const ext = path.extname(rel);
+  const nameTokens = tokenize(path.basename(rel, ext));
+  const dirTokens = tokenize(path.dirname(rel));
+  const has = (tokens, term) => tokens.some((t) => t === term || (term.length >= 3 && t.includes(term)));
+
+  const parts = [];
+  let score = 0;
+  for (const term of terms) {
+    if (has(nameTokens, term)) {
+      parts.push({ term, where: "filename", weight: FILENAME_WEIGHT });
+      score += FILENAME_WEIGHT;
+    } else if (has(dirTokens, term)) {
+      parts.push({ term, where: "path", weight: PATH_WEIGHT });
+      score += PATH_WEIGHT;
+    }
+  }
+  return { score, parts };
+}
+
+// Exponential decay: full weight for uncommitted changes, half after one half-life
+export function recency(lastChangeMs, now = Date.now()) {
+  const ageDays = Math.max(0, (now - lastChangeMs) / DAY_MS);
+  return { score: RECENCY_WEIGHT * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS), ageDays };
+}
+
+// Combine the components into { score, reasons } with every number spelled out
+// `hotspot`: { score (0..1), churn, commits, lines } from gitHistory.hotspots()
+export function scoreDocument({ rel, doc, terms, corpus, lastChangeMs, uncommitted, hotspot, typeMismatch }) {
+  const reasons = [];
+
+  const content = bm25(doc, terms, corpus);
+  if (content.parts.length) {
+    const detail = content.parts
+      .map((p) => `"${p.term}" tf=${p.tf} idf=${p.idf.toFixed(2)} → ${p.contribution.toFixed(2)}`)
+      .join(", ");
+    reasons.push(`content bm25 +${content.score.toFixed(2)} (${detail}; ${doc.length} tokens vs avg ${corpus.avgdl.toFixed(0)}, ${corpus.N} docs)`);
+  }
+
+  const inPath = pathMatch(rel, terms);
+  for (const p of inPath.parts) {
+    reasons.push(`${p.where} match +${p.weight.toFixed(2)} ("${p.term}")`);
+  }
+
+  let recent = 0;
+  if (uncommitted) {
+    recent = RECENCY_WEIGHT;
+    reasons.push(`recency +${recent.toFixed(2)} (uncommitted changes)`);
+  } else if (lastChangeMs) {
+    const r = recency(lastChangeMs);
+    recent = r.score;
+    reasons.push(`recency +${recent.toFixed(2)} (last commit ${r.ageDays.toFixed(1)}d ago, half-life ${RECENCY_HALF_LIFE_DAYS}d)`);
+  }
+
+  let hot = 0;
+  if (hotspot?.score) {
+    hot = HOTSPOT_WEIGHT * hotspot.score;
+    reasons.push(`hotspot +${hot.toFixed(2)} (${hotspot.score.toFixed(3)}: ${hotspot.churn} lines changed in ${hotspot.commits} commits, ${hotspot.lines} lines)`);
+  }
+
+  let score = content.score + inPath.score + recent + hot;
+  if (typeMismatch) {
+    score *= 0.5;
+    reasons.push("file type not requested ×0.50");
+  }
+  return { score: round(score), reasons };
+}
@@ -0,0 +1,20 @@
+// src/helpers/result.js
+
+// Successful tool result: structuredContent for clients that support output
+// schemas, plus the same data as text for older clients.
+export function toolResult(data, text = JSON.stringify(data, null, 2)) {
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: data,
+  };
+}
+
+// Failed tool result: flagged with isError so clients never mistake the
+// message for data (the SDK skips outputSchema validation for these).
+export function toolError(message, extra = {}) {
+  return {
+    content: [{ type: "text", text: message }],
+    structuredContent: { error: message, ...extra },
+    isError: true,
+  };
+}
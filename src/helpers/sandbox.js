@@ -0,0 +1,114 @@
+// src/helpers/sandbox.js
+import path from "node:path";
+import { realpath } from "node:fs/promises";
+import { REPO_ROOT, DENY_GLOBS } from "./config.js";
+import { matchesAnyGlob } from "./glob.js";
+import { toolError } from "./result.js";
+import { POLICY_FILE, isWritePathAllowed } from "./policy.js";
+import { recordTouched } from "./audit.js";
+
+export class SandboxError extends Error {
+  constructor(code, message, relPath) {
+    super(message);
+    this.name = "SandboxError";
+    this.code = code; // "outside_root" | "denied" | "write_denied"
+    this.path = relPath;
+  }
+}
+
+// Windows and macOS volumes are case-insensitive by default; deny globs and
+// writePaths then match in any case, as the file system does
+const CASE_INSENSITIVE = process.platform === "win32" || process.platform === "darwin";
+const GLOB_OPTIONS = { ignoreCase: CASE_INSENSITIVE };
+
+let rootReal;
+async function realRoot() {
+  if (!rootReal) {
+    try { rootReal = await realpath(REPO_ROOT); } catch { rootReal = REPO_ROOT; }
+  }
+  return rootReal;
+}
+
+// realpath of the nearest existing ancestor, with the missing tail re-appended,
+// so paths that do not exist yet still have their symlinked parents resolved
+async function realpathLenient(abs) {
+  const tail = [];
+  let cur = abs;
+  for (;;) {
+    try {
+      return path.join(await realpath(cur), ...tail.reverse());
+    } catch (e) {
+      if (e.code !== "ENOENT" && e.code !== "ENOTDIR") throw e;
+      const parent = path.dirname(cur);
+      if (parent === cur) return abs;
+      tail.push(path.basename(cur));
+      cur = parent;
+    }
+  }
+}
+
+// Relative path of `abs` under `root`, or null when it is not inside it.
+// Compares whole segments, so "/repo-evil" is not inside "/repo". The result
+// is the last segments of `abs` (its own casing) for the one comparison made.
+function relativeInside(root, abs) {
+  const fold = (p) => (CASE_INSENSITIVE ? p.toLowerCase() : p);
+  const rel = path.relative(fold(root), fold(abs));
+  if (rel === "") return "";
+  if (rel === ".." || rel.startsWith(".." + path.sep) || path.isAbsolute(rel)) return null;
+  return abs.split(path.sep).slice(-rel.split(path.sep).length).join(path.sep);
+}
+
+const toPosix = (p) => p.split(path.sep).join("/");
+
+// Resolve a repo-relative (or absolute) path for a tool. Returns the real
+// absolute path (symlinks followed) and its repo-relative form; throws
+// SandboxError when it escapes REPO_ROOT or matches a deny glob.
+export async function resolveInRepo(p) {
+  const logical = path.resolve(REPO_ROOT, p);
+  const logicalRel = relativeInside(path.resolve(REPO_ROOT), logical);
+  if (logicalRel === null) {
+    throw new SandboxError("outside_root", `Access denied: ${p} is outside the repo`, p);
+  }
+
+  const real = await realpathLenient(logical);
+  const realRel = relativeInside(await realRoot(), real);
+  if (realRel === null) {
+    throw new SandboxError("outside_root", `Access denied: ${p} resolves outside the repo`, p);
+  }
+
+  // Check both names so a symlink cannot launder a denied target
+  for (const rel of [logicalRel, realRel]) {
+    if (rel && matchesAnyGlob(toPosix(rel), DENY_GLOBS, GLOB_OPTIONS)) {
+      throw new SandboxError("denied", `Access denied: ${toPosix(rel)} matches a deny rule`, p);
+    }
+  }
+
+  return { abs: real, rel: toPosix(logicalRel), realRel: toPosix(realRel) };
+}
+
+// resolveInRepo() plus the policy's writePaths globs, for tools that modify
+// files. The policy file itself is never writable, so tools cannot widen it.
+export async function resolveForWrite(p) {
+  const target = await resolveInRepo(p);
+  if (target.abs === await realpathLenient(POLICY_FILE)) {
+    throw new SandboxError("write_denied", `Access denied: ${target.rel} is the tool policy file`, p);
+  }
+  if (!isWritePathAllowed(target.rel, GLOB_OPTIONS) || !isWritePathAllowed(target.realRel, GLOB_OPTIONS)) {
+    throw new SandboxError("write_denied", `Access denied: ${target.rel} is not in the allowed write paths`, p);
+  }
+  recordTouched(target.rel);
+  return target;
+}
+
+// Wrap a tool handler so sandbox denials come back as typed tool errors
+// ({ error, code, path }) instead of bare exception text.
+export function sandboxed(handler) {
+  return async (args, extra) => {
+    try {
+      return await handler(args, extra);
+    } catch (e) {
+      if (e instanceof SandboxError) return toolError(e.message, { code: e.code, path: e.path });
+      throw e;
+    }
+  };
+}
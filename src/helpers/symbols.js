@@ -0,0 +1,319 @@
+// src/helpers/symbols.js
+// JS/TS symbols from a real parse (@babel/parser): file outlines, definition
+// sites and identifier references.
+import path from "node:path";
+import { parse } from "@babel/parser";
+
+const TS_EXTENSIONS = [".ts", ".mts", ".cts", ".tsx"];
+export const JS_EXTENSIONS = [".js", ".mjs", ".cjs", ".jsx", ...TS_EXTENSIONS];
+
+export const isJsFile = (rel) => JS_EXTENSIONS.includes(path.extname(rel).toLowerCase());
+
+export const languageOf = (rel) =>
+  TS_EXTENSIONS.includes(path.extname(rel).toLowerCase()) ? "typescript" : "javascript";
+
+// Parse leniently: recoverable syntax errors are returned in ast.errors
+// instead of failing the whole file. Throws on unrecoverable errors.
+export function parseJs(code, rel) {
+  const ext = path.extname(rel).toLowerCase();
+  const ts = TS_EXTENSIONS.includes(ext);
+  return parse(code, {
+    sourceType: "unambiguous",
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowUndeclaredExports: true,
+    // ".ts" cannot enable JSX: `<T>value` casts would parse as elements
+    plugins: [
+      ...(ts ? ["typescript"] : []),
+      ...(!ts || ext === ".tsx" ? ["jsx"] : []),
+      "decorators-legacy",
+    ],
+  });
+}
+
+const SKIP_KEYS = new Set(["loc", "start", "end", "range", "extra", "leadingComments", "trailingComments", "innerComments", "errors", "tokens", "comments"]);
+
+// Depth-first walk; `visit(node, parent, key, grandparent)`
+function walk(node, visit, parent = null, key = null, grand = null) {
+  visit(node, parent, key, grand);
+  for (const k of Object.keys(node)) {
+    if (SKIP_KEYS.has(k)) continue;
+    const child = node[k];
+    if (Array.isArray(child)) {
+      for (const c of child) if (c && typeof c.type === "string") walk(c, visit, node, k, parent);
+    } else if (child && typeof child.type === "string") {
+      walk(child, visit, node, k, parent);
+    }
+  }
+}
+
+const lines = (node) => ({ startLine: node.loc.start.line, endLine: node.loc.end.line });
+
+const keyName = (node) =>
+  node.computed ? null
+    : node.key?.type === "Identifier" ? node.key.name
+    : node.key?.type === "PrivateName" ? `#${node.key.id.name}`
+    : node.key?.type === "StringLiteral" ? node.key.value
+    : null;
+
+const isFunctionNode = (node) =>
+  ["ArrowFunctionExpression", "FunctionExpression"].includes(node?.type);
+
+// Identifier names bound by a declarator id (handles destructuring patterns)
+function patternNames(pattern, out = []) {
+  if (!pattern) return out;
+  switch (pattern.type) {
+    case "Identifier": out.push(pattern); break;
+    case "ObjectPattern": pattern.properties.forEach((p) => patternNames(p.type === "RestElement" ? p.argument : p.value, out)); break;
+    case "ArrayPattern": pattern.elements.forEach((e) => patternNames(e, out)); break;
+    case "AssignmentPattern": patternNames(pattern.left, out); break;
+    case "RestElement": patternNames(pattern.argument, out); break;
+  }
+  return out;
+}
+
+const DECLARATION_KINDS = {
+  FunctionDeclaration: "function",
+  TSDeclareFunction: "function",
+  ClassDeclaration: "class",
+  TSInterfaceDeclaration: "interface",
+  TSTypeAliasDeclaration: "type",
+  TSEnumDeclaration: "enum",
+  TSModuleDeclaration: "namespace",
+};
+
+function memberSymbols(classNode) {
+  const members = [];
+  for (const m of classNode.body.body) {
+    const name = keyName(m);
+    if (!name) continue;
+    const kind = m.type.includes("Method") ? (m.kind === "get" || m.kind === "set" ? m.kind + "ter" : "method")
+      : isFunctionNode(m.value) ? "method"
+      : "property";
+    members.push({ name, kind, ...lines(m), static: Boolean(m.static) });
+  }
+  return members;
+}
+
+// Top-level symbols of one declaration statement
+function declarationSymbols(decl, exported) {
+  if (DECLARATION_KINDS[decl.type] && decl.id) {
+    const name = decl.id.type === "Identifier" ? decl.id.name : decl.id.value;
+    const symbol = { name, kind: DECLARATION_KINDS[decl.type], ...lines(decl), exported };
+    if (decl.type === "ClassDeclaration") symbol.members = memberSymbols(decl);
+    return [symbol];
+  }
+  if (decl.type === "VariableDeclaration") {
+    return decl.declarations.flatMap((d) =>
+      patternNames(d.id).map((id) => {
+        const kind = isFunctionNode(d.init) ? "function" : d.init?.type === "ClassExpression" ? "class" : decl.kind;
+        const symbol = { name: id.name, kind, ...lines(d), exported };
+        if (kind === "class") symbol.members = memberSymbols(d.init);
+        return symbol;
+      }));
+  }
+  return [];
+}
+
+const requireSource = (init) =>
+  init?.type === "CallExpression" && init.callee.type === "Identifier" && init.callee.name === "require" &&
+  init.arguments[0]?.type === "StringLiteral" ? init.arguments[0].value : null;
+
+// CommonJS `exports.x = ...` / `module.exports.x = ...` / `module.exports = ...`
+function commonJsExport(expr) {
+  if (expr?.type !== "AssignmentExpression" || expr.left.type !== "MemberExpression") return null;
+  const { object, property } = expr.left;
+  const isModuleExports = (n) => n.type === "MemberExpression" && n.object.name === "module" && n.property.name === "exports";
+  if (isModuleExports(expr.left)) return "module.exports";
+  if (object.type === "Identifier" && object.name === "exports" || isModuleExports(object)) return property.name ?? null;
+  return null;
+}
+
+// Imports, exports and top-level symbols (classes with their members) of a file
+export function outline(ast) {
+  const imports = [];
+  const exports = [];
+  const symbols = [];
+
+  for (const stmt of ast.program.body) {
+    const line = stmt.loc.start.line;
+    switch (stmt.type) {
+      case "ImportDeclaration":
+        imports.push({ source: stmt.source.value, names: stmt.specifiers.map((s) => s.local.name), line });
+        break;
+      case "ExportNamedDeclaration":
+        if (stmt.declaration) {
+          const declared = declarationSymbols(stmt.declaration, true);
+          symbols.push(...declared);
+          exports.push(...declared.map((s) => ({ name: s.name, line })));
+        }
+        for (const s of stmt.specifiers) {
+          const name = s.exported.name ?? s.exported.value;
+          exports.push({ name, local: s.local?.name, line, ...(stmt.source && { source: stmt.source.value }) });
+        }
+        break;
+      case "ExportDefaultDeclaration": {
+        const declared = declarationSymbols(stmt.declaration, true);
+        symbols.push(...declared);
+        exports.push({ name: "default", local: declared[0]?.name, line });
+        break;
+      }
+      case "ExportAllDeclaration":
+        exports.push({ name: stmt.exported?.name ?? "*", line, source: stmt.source.value });
+        break;
+      case "ExpressionStatement": {
+        const name = commonJsExport(stmt.expression);
+        if (name) exports.push({ name, line });
+        break;
+      }
+      case "VariableDeclaration":
+        for (const d of stmt.declarations) {
+          const source = requireSource(d.init);
+          if (source) imports.push({ source, names: patternNames(d.id).map((id) => id.name), line });
+        }
+        symbols.push(...declarationSymbols(stmt, false));
+        break;
+      default:
+        symbols.push(...declarationSymbols(stmt, false));
+    }
+  }
+  return { imports, exports, symbols };
+}
+
+// Every place `name` is declared: functions, classes, variables, TS types,
+// class/object members and CommonJS export assignments. "Class.member"
+// restricts members to one class.
+export function findDefinitions(ast, name) {
+  const [container, member] = name.includes(".") ? name.split(".", 2) : [null, name];
+  const found = [];
+  const add = (node, kind, extra = {}) => found.push({ name: member, kind, ...lines(node), line: node.loc.start.line, col: node.loc.start.column + 1, ...extra });
+  const className = (cls, parent) => cls.id?.name ?? (parent?.type === "VariableDeclarator" ? parent.id.name : null);
+
+  walk(ast.program, (node, parent, key, grand) => {
+    if (container === null) {
+      if (DECLARATION_KINDS[node.type] && (node.id?.name ?? node.id?.value) === member) add(node, DECLARATION_KINDS[node.type]);
+      if (node.type === "VariableDeclarator" && patternNames(node.id).some((id) => id.name === member)) {
+        add(node, isFunctionNode(node.init) ? "function" : node.init?.type === "ClassExpression" ? "class" : parent.kind);
+      }
+      if (node.type === "ExpressionStatement" && commonJsExport(node.expression) === member) add(node, "export");
+      if ((node.type === "ObjectMethod" || node.type === "ObjectProperty" && isFunctionNode(node.value)) && keyName(node) === member) {
+        add(node, "method");
+      }
+    }
+    if (node.type === "ClassBody") {
+      const cls = parent;
+      const owner = className(cls, grand);
+      if (container !== null && owner !== container) return;
+      for (const m of node.body) {
+        if (keyName(m) !== member) continue;
+        add(m, m.type.includes("Method") || isFunctionNode(m.value) ? "method" : "property", { container: owner });
+      }
+    }
+  });
+  return found;
+}
+
+// How an identifier is used, from its parent node
+function referenceRole(parent, key, grand, node) {
+  switch (parent.type) {
+    case "ImportSpecifier":
+    case "ImportDefaultSpecifier":
+    case "ImportNamespaceSpecifier":
+      return "import";
+    case "ExportSpecifier":
+      return "export";
+    case "CallExpression":
+    case "NewExpression":
+    case "OptionalCallExpression":
+      return key === "callee" ? "call" : "read";
+    case "MemberExpression":
+    case "OptionalMemberExpression":
+      if (key === "property") return ["CallExpression", "OptionalCallExpression"].includes(grand?.type) && grand.callee === parent ? "call" : "member";
+      return "read";
+    case "TSTypeReference":
+    case "TSExpressionWithTypeArguments":
+    case "TSClassImplements":
+    case "TSInterfaceHeritage":
+    case "TSQualifiedName":
+    case "TSTypeQuery":
+      return "type";
+    case "AssignmentExpression":
+    case "UpdateExpression":
+      return key === "left" || key === "argument" ? "write" : "read";
+    case "ObjectProperty":
+      return key === "key" && !parent.computed ? "property" : "read";
+    case "ClassProperty":
+    case "ClassMethod":
+    case "ObjectMethod":
+    case "TSPropertySignature":
+    case "TSMethodSignature":
+      return key === "key" && !parent.computed ? "definition" : "read";
+    default:
+      if (key === "id" && (DECLARATION_KINDS[parent.type] || parent.type === "VariableDeclarator" || parent.type === "ClassExpression")) {
+        return "definition";
+      }
+      return node.type === "JSXIdentifier" ? "jsx" : "read";
+  }
+}
+
+const literalArg = (arg) =>
+  arg?.type === "StringLiteral" ? arg.value
+    : arg?.type === "TemplateLiteral" && arg.expressions.length === 0 ? arg.quasis[0].value.cooked
+    : null;
+
+// Modules a file loads: static imports and re-exports, require(), dynamic
+// import() with a literal argument and TS `import x = require()`:
+// [{ source, kind: "import" | "export" | "require" | "dynamic", line, typeOnly }]
+export function moduleSpecifiers(ast) {
+  const specs = [];
+  const add = (node, source, kind, typeOnly = false) => {
+    if (source !== null) specs.push({ source, kind, line: node.loc.start.line, typeOnly });
+  };
+  walk(ast.program, (node) => {
+    switch (node.type) {
+      case "ImportDeclaration":
+        add(node, node.source.value, "import", node.importKind === "type");
+        break;
+      case "ExportNamedDeclaration":
+      case "ExportAllDeclaration":
+        if (node.source) add(node, node.source.value, "export", node.exportKind === "type");
+        break;
+      case "ImportExpression":
+        add(node, literalArg(node.source), "dynamic");
+        break;
+      case "CallExpression":
+        if (node.callee.type === "Import") add(node, literalArg(node.arguments[0]), "dynamic");
+        else if (node.callee.type === "Identifier" && node.callee.name === "require") add(node, literalArg(node.arguments[0]), "require");
+        break;
+      case "TSImportEqualsDeclaration":
+        if (node.moduleReference.type === "TSExternalModuleReference") {
+          add(node, node.moduleReference.expression.value, "require", node.importKind === "type");
+        }
+        break;
+    }
+  });
+  return specs;
+}
+
+// Every identifier (including JSX tags, TS type names and member names)
+// spelled exactly `name`: [{ line, col, role }]
+export function findReferences(ast, name) {
+  const refs = [];
+  const seen = new Set(); // `{ a }` imports/exports/shorthands reuse one token for two nodes
+  const bindings = new Set(); // identifiers declared by variables, parameters and catch clauses
+  walk(ast.program, (node, parent, key, grand) => {
+    if (node.type === "VariableDeclarator") patternNames(node.id).forEach((id) => bindings.add(id));
+    if (node.params) node.params.forEach((p) => patternNames(p).forEach((id) => bindings.add(id)));
+    if (node.type === "CatchClause") patternNames(node.param).forEach((id) => bindings.add(id));
+
+    if ((node.type !== "Identifier" && node.type !== "JSXIdentifier") || node.name !== name || !parent) return;
+    if (key === "key" && parent.shorthand) return; // the value node reports it
+    if (seen.has(node.start)) return;
+    seen.add(node.start);
+    const role = bindings.has(node) ? "definition" : referenceRole(parent, key, grand, node);
+    refs.push({ line: node.loc.start.line, col: node.loc.start.column + 1, role });
+  });
+  return refs;
+}
@@ -0,0 +1,194 @@
+// src/helpers/toml.js
+// Small TOML reader for manifests and lockfiles (pyproject.toml, Cargo.toml,
+// poetry.lock, Cargo.lock): tables, arrays of tables, dotted and quoted keys,
+// all string forms, arrays, inline tables, numbers and booleans. Dates and
+// times are kept as strings. Throws Error on malformed input.
+
+export function parseToml(text) {
+  const root = {};
+  let table = root;
+  let i = 0;
+
+  const fail = (msg) => {
+    const line = text.slice(0, i).split("\n").length;
+    throw new Error(`TOML line ${line}: ${msg}`);
+  };
+  const peek = (s) => text.startsWith(s, i);
+
+  const skipSpace = () => {
+    while (i < text.length && (text[i] === " " || text[i] === "\t")) i++;
+  };
+  const skipComment = () => {
+    if (text[i] === "#") while (i < text.length && text[i] !== "\n") i++;
+  };
+  // Whitespace, comments and newlines (inside arrays, between statements)
+  const skipAll = () => {
+    for (;;) {
+      skipSpace();
+      skipComment();
+      if (text[i] === "\n" || text[i] === "\r") i++;
+      else return;
+    }
+  };
+
+  const ESCAPES = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", '"': '"', "\\": "\\" };
+
+  function parseBasicString(multiline) {
+    const end = multiline ? '"""' : '"';
+    let out = "";
+    for (;;) {
+      if (i >= text.length) fail("unterminated string");
+      if (peek(end)) {
+        i += end.length;
+        // """a"""" : up to two quotes may close a multi-line string
+        while (multiline && text[i] === '"' && !peek('"""')) { out += '"'; i++; }
+        return out;
+      }
+      const c = text[i++];
+      if (c === "\n" && !multiline) fail("newline in string");
+      if (c !== "\\") { out += c; continue; }
+      const e = text[i++];
+      if (ESCAPES[e]) out += ESCAPES[e];
+      else if (e === "u" || e === "U") {
+        const len = e === "u" ? 4 : 8;
+        out += String.fromCodePoint(parseInt(text.slice(i, i + len), 16));
+        i += len;
+      } else if (multiline && /\s/.test(e)) {
+        // Line-ending backslash trims the following whitespace
+        while (/\s/.test(text[i] ?? "")) i++;
+      } else fail(`bad escape \\${e}`);
+    }
+  }
+
+  function parseLiteralString(multiline) {
+    const end = multiline ? "'''" : "'";
+    const close = text.indexOf(end, i);
+    if (close === -1) fail("unterminated string");
+    const out = text.slice(i, close);
+    i = close + end.length;
+    return out;
+  }
+
+  function parseString() {
+    for (const [open, multiline, basic] of [['"""', true, true], ["'''", true, false], ['"', false, true], ["'", false, false]]) {
+      if (!peek(open)) continue;
+      i += open.length;
+      // A newline right after the opening delimiter is trimmed
+      if (multiline && text[i] === "\r") i++;
+      if (multiline && text[i] === "\n") i++;
+      return basic ? parseBasicString(multiline) : parseLiteralString(multiline);
+    }
+    return null;
+  }
+
+  function parseKey() {
+    const parts = [];
+    for (;;) {
+      skipSpace();
+      const quoted = text[i] === '"' || text[i] === "'" ? parseString() : null;
+      if (quoted !== null) parts.push(quoted);
+      else {
+        const m = /^[A-Za-z0-9_-]+/.exec(text.slice(i, i + 256));
+        if (!m) fail("expected a key");
+        parts.push(m[0]);
+        i += m[0].length;
+      }
+      skipSpace();
+      if (text[i] !== ".") return parts;
+      i++;
+    }
+  }
+
+  function parseValue() {
+    skipSpace();
+    const str = parseString();
+    if (str !== null) return str;
+
+    if (text[i] === "[") {
+      i++;
+      const arr = [];
+      for (;;) {
+        skipAll();
+        if (text[i] === "]") { i++; return arr; }
+        arr.push(parseValue());
+        skipAll();
+        if (text[i] === ",") i++;
+        else if (text[i] !== "]") fail("expected , or ] in array");
+      }
+    }
+
+    if (text[i] === "{") {
+      i++;
+      const obj = {};
+      skipSpace();
+      if (text[i] === "}") { i++; return obj; }
+      for (;;) {
+        const key = parseKey();
+        if (text[i++] !== "=") fail("expected = in inline table");
+        setPath(obj, key, parseValue());
+        skipSpace();
+        if (text[i] === ",") { i++; continue; }
+        if (text[i] === "}") { i++; return obj; }
+        fail("expected , or } in inline table");
+      }
+    }
+
+    const m = /^[^\s,\]}#]+(?: [0-9:.+\-Z]+)?/.exec(text.slice(i, i + 128));
+    if (!m) fail("expected a value");
+    i += m[0].length;
+    const raw = m[0];
+    if (raw === "true") return true;
+    if (raw === "false") return false;
+    const num = raw.replace(/_/g, "");
+    if (/^[+-]?(\d+(\.\d+)?([eE][+-]?\d+)?|0x[0-9a-fA-F]+|0o[0-7]+|0b[01]+|inf|nan)$/.test(num)) return Number(num);
+    return raw; // dates, times
+  }
+
+  function setPath(obj, keys, value) {
+    let cur = obj;
+    for (const k of keys.slice(0, -1)) {
+      if (cur[k] === undefined) cur[k] = {};
+      cur = Array.isArray(cur[k]) ? cur[k][cur[k].length - 1] : cur[k];
+      if (typeof cur !== "object") fail(`key ${keys.join(".")} conflicts with a value`);
+    }
+    cur[keys[keys.length - 1]] = value;
+  }
+
+  function tableAt(keys, arrayTable) {
+    let cur = root;
+    keys.forEach((k, idx) => {
+      const last = idx === keys.length - 1;
+      if (last && arrayTable) {
+        if (cur[k] === undefined) cur[k] = [];
+        if (!Array.isArray(cur[k])) fail(`${keys.join(".")} is not an array of tables`);
+        cur[k].push({});
+        cur = cur[k][cur[k].length - 1];
+        return;
+      }
+      if (cur[k] === undefined) cur[k] = {};
+      cur = Array.isArray(cur[k]) ? cur[k][cur[k].length - 1] : cur[k];
+      if (typeof cur !== "object") fail(`${keys.join(".")} is not a table`);
+    });
+    return cur;
+  }
+
+  for (;;) {
+    skipAll();
+    if (i >= text.length) return root;
+    if (text[i] === "[") {
+      const arrayTable = peek("[[");
+      i += arrayTable ? 2 : 1;
+      const keys = parseKey();
+      if (!peek(arrayTable ? "]]" : "]")) fail("unterminated table header");
+      i += arrayTable ? 2 : 1;
+      table = tableAt(keys, arrayTable);
+    } else {
+      const key = parseKey();
+      if (text[i++] !== "=") fail("expected =");
+      setPath(table, key, parseValue());
+    }
+    skipSpace();
+    skipComment();
+    if (i < text.length && text[i] !== "\n" && text[i] !== "\r") fail("expected end of line");
+  }
+}
@@ -0,0 +1,127 @@
+// src/helpers/tree.js
+// Pure-Node directory tree of the repo honoring .gitignore/.ignore files and
+// the deny list, with recursive file counts and sizes per directory.
+import path from "node:path";
+import { readdir, lstat } from "node:fs/promises";
+import { REPO_ROOT, DENY_GLOBS } from "./config.js";
+import { matchesAnyGlob } from "./glob.js";
+import { loadIgnoreRules, isIgnored } from "./ignore.js";
+
+// Ancestors' ignore rules for a walk that starts below the root
+async function inheritedRules(rel) {
+  const rules = [];
+  const parts = rel ? rel.split("/") : [];
+  for (let i = 0; i < parts.length; i++) {
+    rules.push(...(await loadIgnoreRules(parts.slice(0, i).join("/"))));
+  }
+  return rules;
+}
+
+const byDirsThenName = (a, b) =>
+  (b.isDirectory() - a.isDirectory()) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+// Walks everything that is not ignored (counts are always complete) but only
+// lists children down to `depth`, and at most `maxEntries` nodes in total.
+export async function buildTree(rel = "", { depth = 3, include = [], exclude = [], dirsOnly = false, maxEntries = 1000 } = {}) {
+  async function walkDir(dirRel, rules, level) {
+    const node = { name: dirRel ? path.posix.basename(dirRel) : ".", path: dirRel || ".", type: "dir", files: 0, dirs: 0, bytes: 0 };
+    const expand = level < depth;
+    const children = [];
+    rules = [...rules, ...(await loadIgnoreRules(dirRel))];
+
+    let dirents;
+    try {
+      dirents = await readdir(path.join(REPO_ROOT, dirRel), { withFileTypes: true });
+    } catch {
+      return node; // unreadable
+    }
+
+    for (const d of dirents.sort(byDirsThenName)) {
+      const childRel = dirRel ? `${dirRel}/${d.name}` : d.name;
+      const isDir = d.isDirectory();
+      if (d.name === ".git" || matchesAnyGlob(childRel, DENY_GLOBS) || matchesAnyGlob(childRel, exclude)) continue;
+      if (isIgnored(isDir ? `${childRel}/` : childRel, rules)) continue;
+
+      if (isDir) {
+        const sub = await walkDir(childRel, rules, level + 1);
+        if (include.length && !sub.files) continue; // nothing matching below
+        node.dirs += 1 + sub.dirs;
+        node.files += sub.files;
+        node.bytes += sub.bytes;
+        if (expand) children.push(sub);
+        continue;
+      }
+      if (include.length && !matchesAnyGlob(childRel, include)) continue;
+
+      let bytes = 0;
+      try {
+        bytes = (await lstat(path.join(REPO_ROOT, childRel))).size;
+      } catch {
+        continue; // vanished mid-walk
+      }
+      node.files++;
+      node.bytes += bytes;
+      if (expand && !dirsOnly) {
+        children.push({ name: d.name, path: childRel, type: d.isSymbolicLink() ? "symlink" : "file", bytes });
+      }
+    }
+
+    if (expand) node.children = children;
+    return node;
+  }
+
+  const root = await walkDir(rel, await inheritedRules(rel), 0);
+  return { root, ...limitEntries(root, maxEntries) };
+}
+
+// Keeps the first `maxEntries` nodes breadth-first, so a deep subtree cannot
+// crowd out the top levels; trimmed directories report `omitted`.
+function limitEntries(root, maxEntries) {
+  let entries = 0;
+  let truncated = false;
+  const queue = [root];
+  while (queue.length) {
+    const node = queue.shift();
+    if (!node.children) continue;
+    const room = Math.max(0, maxEntries - entries);
+    if (node.children.length > room) {
+      node.omitted = node.children.length - room;
+      node.children = node.children.slice(0, room);
+      truncated = true;
+    }
+    entries += node.children.length;
+    queue.push(...node.children.filter((c) => c.type === "dir"));
+  }
+  return { entries, truncated };
+}
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let value = n / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// Indented text rendering in the style of `tree`
+export function renderTree(root) {
+  const dirLabel = (n) => `${n.name}/ (${n.files} file${n.files === 1 ? "" : "s"}, ${formatBytes(n.bytes)})`;
+  const lines = [dirLabel(root)];
+
+  const visit = (node, indent) => {
+    const items = node.children ?? [];
+    items.forEach((child, i) => {
+      const last = i === items.length - 1 && !node.omitted;
+      const label = child.type === "dir" ? dirLabel(child) : `${child.name} (${formatBytes(child.bytes)})`;
+      lines.push(`${indent}${last ? "└── " : "├── "}${label}`);
+      if (child.type === "dir") visit(child, indent + (last ? "    " : "│   "));
+    });
+    if (node.omitted) lines.push(`${indent}└── … ${node.omitted} more`);
+  };
+  visit(root, "");
+  return lines.join("\n");
+}
@@ -0,0 +1,42 @@
+// src/server.js
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+
+import { registerPing } from "./tools/ping.js";
+import { registerRepoTools } from "./tools/repo.js";
+import { registerGitTools } from "./tools/git.js";
+import { registerHello } from "./resources/hello.js";
+import { registerDocsTools } from "./tools/docs.js";
+import { registerIssuesTools } from "./tools/issues.js";
+import { registerRuntimeTools } from "./tools/runtime.js";
+import { registerAuditTools } from "./tools/audit.js";
+import { registerIndexTools } from "./tools/codeIndex.js";
+import { registerCodeTools } from "./tools/code.js";
+import { registerDepsTools } from "./tools/deps.js";
+import { applyToolPolicy } from "./helpers/policy.js";
+import { applyAudit } from "./helpers/audit.js";
+
+// One McpServer per connection: stdio uses a single one, HTTP one per session.
+// Module-level state (backups, caches) is shared between them.
+export function createServer() {
+  const server = new McpServer({ name: "code-assistant-mcp", version: "0.1.0" });
+
+  // Drop tools the policy (.mcp-assistant.json / CLI flags) disables
+  const skippedTools = applyToolPolicy(server);
+  // Record every call of the remaining tools
+  applyAudit(server);
+
+  // Register tools/resources
+  registerPing(server);
+  registerRepoTools(server);
+  registerGitTools(server);
+  registerHello(server);
+  registerDocsTools(server);
+  registerIssuesTools(server);
+  registerRuntimeTools(server);
+  registerAuditTools(server);
+  registerIndexTools(server);
+  registerCodeTools(server);
+  registerDepsTools(server);
+
+  return { server, skippedTools };
+}
@@ -0,0 +1,49 @@
+import { z } from "zod";
+import { AUDIT_LOG } from "../helpers/config.js";
+import { queryAudit } from "../helpers/audit.js";
+import { toolResult, toolError } from "../helpers/result.js";
+
+const auditRecordShape = z.object({
+  time: z.string(),
+  tool: z.string(),
+  args: z.record(z.any()),
+  durationMs: z.number(),
+  outcome: z.enum(["ok", "error", "exception"]),
+  error: z.string().optional(),
+  files: z.array(z.string()),
+});
+
+export function registerAuditTools(server) {
+  // --- audit.query -----------------------------------------------------------
+  server.registerTool(
+    "audit_query",
+    {
+      title: "Query the tool audit log",
+      description:
+        "Returns recorded tool calls (newest first), filtered by tool name (wildcards allowed), time range, touched path glob, or outcome.",
+      inputSchema: {
+        tool: z.string().optional(),      // e.g. "git_*"
+        since: z.string().optional(),     // ISO timestamp
+        until: z.string().optional(),     // ISO timestamp
+        path: z.string().optional(),      // glob over touched files / path argument
+        outcome: z.enum(["ok", "error", "exception"]).optional(),
+        limit: z.number().optional(),     // default 100
+      },
+      outputSchema: {
+        logFile: z.string().nullable(),
+        records: z.array(auditRecordShape),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    async ({ tool, since, until, path, outcome, limit = 100 }) => {
+      // An unparseable date would compare false against everything and drop the filter
+      for (const [name, value] of [["since", since], ["until", until]]) {
+        if (value !== undefined && Number.isNaN(Date.parse(value))) {
+          return toolError(`Invalid ${name} date: ${value} (use an ISO timestamp)`, { code: "invalid_argument" });
+        }
+      }
+      const records = await queryAudit({ tool, since, until, path, outcome, limit });
+      return toolResult({ logFile: AUDIT_LOG, records });
+    }
+  );
+}
@@ -0,0 +1,195 @@
+import { z } from "zod";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { safeReadFile } from "../helpers/fs.js";
+import { REPO_ROOT, MAX_BYTES } from "../helpers/config.js";
+import { resolveInRepo, sandboxed } from "../helpers/sandbox.js";
+import { toolResult, toolError } from "../helpers/result.js";
+import { filesMentioning } from "../helpers/codeIndex.js";
+import {
+  JS_EXTENSIONS, isJsFile, languageOf, parseJs, outline, findDefinitions, findReferences,
+} from "../helpers/symbols.js";
+
+const symbolShape = z.object({
+  name: z.string(),
+  kind: z.string(),
+  startLine: z.number(),
+  endLine: z.number(),
+  exported: z.boolean(),
+  members: z.array(z.object({
+    name: z.string(),
+    kind: z.string(),
+    startLine: z.number(),
+    endLine: z.number(),
+    static: z.boolean(),
+  })).optional(),
+});
+
+const definitionShape = z.object({
+  file: z.string(),
+  name: z.string(),
+  kind: z.string(),
+  line: z.number(),
+  col: z.number(),
+  startLine: z.number(),
+  endLine: z.number(),
+  container: z.string().nullable().optional(),
+  text: z.string(),
+});
+
+const referenceShape = z.object({
+  file: z.string(),
+  line: z.number(),
+  col: z.number(),
+  role: z.string(), // definition | call | read | write | member | property | import | export | type | jsx
+  text: z.string(),
+});
+
+const UNSUPPORTED = `Only JavaScript/TypeScript files are supported (${JS_EXTENSIONS.join(", ")}); use repo_search for other languages`;
+
+// Parsed JS/TS files under `under` that may contain `name`, one at a time
+async function* parsedFiles(name, under) {
+  const prefix = under && under !== "." ? (await resolveInRepo(under)).rel.replace(/\/?$/, "/") : "";
+  const needle = name.split(".").pop(); // "Class.method" -> "method"
+  for (const rel of await filesMentioning(needle)) {
+    if (!isJsFile(rel) || (prefix && !rel.startsWith(prefix))) continue;
+    let text;
+    try {
+      text = await readFile(path.join(REPO_ROOT, rel), "utf8");
+    } catch {
+      continue;
+    }
+    if (!text.includes(needle)) continue;
+    try {
+      yield { rel, lines: text.split("\n"), ast: parseJs(text, rel) };
+    } catch {
+      // Unparseable file: nothing reliable to report
+    }
+  }
+}
+
+const lineText = (lines, line) => (lines[line - 1] ?? "").trim().slice(0, 200);
+
+export function registerCodeTools(server) {
+  // --- code.outline ----------------------------------------------------------
+  server.registerTool(
+    "code_outline",
+    {
+      title: "Outline a JS/TS file",
+      description:
+        "Parses a JavaScript/TypeScript file and lists its imports, exports and top-level functions, classes (with members), " +
+        "variables and TS types with line ranges, so you can read just the part you need with repo_file.",
+      inputSchema: {
+        path: z.string(),
+      },
+      outputSchema: {
+        path: z.string(),
+        language: z.enum(["javascript", "typescript"]),
+        imports: z.array(z.object({ source: z.string(), names: z.array(z.string()), line: z.number() })),
+        exports: z.array(z.object({
+          name: z.string(),
+          local: z.string().optional(),
+          source: z.string().optional(),
+          line: z.number(),
+        })),
+        symbols: z.array(symbolShape),
+        parseErrors: z.array(z.string()),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    sandboxed(async ({ path: rel }) => {
+      if (!isJsFile(rel)) return toolError(UNSUPPORTED, { path: rel });
+      const text = await safeReadFile(rel, 0, MAX_BYTES);
+
+      let ast;
+      try {
+        ast = parseJs(text, rel);
+      } catch (e) {
+        return toolError(`Cannot parse ${rel}: ${e.message}`, { path: rel });
+      }
+
+      return toolResult({
+        path: rel,
+        language: languageOf(rel),
+        ...outline(ast),
+        parseErrors: ast.errors.map((e) => e.message),
+      });
+    })
+  );
+
+  // --- code.find_definition --------------------------------------------------
+  server.registerTool(
+    "code_find_definition",
+    {
+      title: "Find where a JS/TS symbol is defined",
+      description:
+        "Finds declarations of a symbol across JavaScript/TypeScript files: functions, classes, variables, TS types, " +
+        "class/object members and CommonJS exports. Use \"Class.method\" for a member of one class; path limits the search to a directory.",
+      inputSchema: {
+        symbol: z.string().min(1),
+        path: z.string().optional(),
+        maxResults: z.number().optional(),
+      },
+      outputSchema: {
+        symbol: z.string(),
+        definitions: z.array(definitionShape),
+        filesScanned: z.number(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    sandboxed(async ({ symbol, path: under, maxResults = 20 }) => {
+      const definitions = [];
+      let filesScanned = 0;
+      for await (const { rel, lines, ast } of parsedFiles(symbol, under)) {
+        filesScanned++;
+        for (const def of findDefinitions(ast, symbol)) {
+          definitions.push({ file: rel, ...def, text: lineText(lines, def.line) });
+        }
+        if (definitions.length >= maxResults) break;
+      }
+      return toolResult({ symbol, definitions: definitions.slice(0, maxResults), filesScanned });
+    })
+  );
+
+  // --- code.find_references --------------------------------------------------
+  server.registerTool(
+    "code_find_references",
+    {
+      title: "Find references to a JS/TS symbol",
+      description:
+        "Finds every identifier spelled exactly like the symbol in JavaScript/TypeScript files (parsed, so comments and strings " +
+        "are skipped), each tagged with its role: call, read, write, member, property, import, export, type, jsx or definition.",
+      inputSchema: {
+        symbol: z.string().min(1),
+        path: z.string().optional(),
+        includeDefinitions: z.boolean().optional(),
+        maxResults: z.number().optional(),
+      },
+      outputSchema: {
+        symbol: z.string(),
+        references: z.array(referenceShape),
+        filesScanned: z.number(),
+        truncated: z.boolean(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    sandboxed(async ({ symbol, path: under, includeDefinitions = true, maxResults = 200 }) => {
+      const references = [];
+      let filesScanned = 0;
+      let truncated = false;
+      for await (const { rel, lines, ast } of parsedFiles(symbol, under)) {
+        filesScanned++;
+        for (const ref of findReferences(ast, symbol)) {
+          if (!includeDefinitions && ref.role === "definition") continue;
+          if (references.length >= maxResults) {
+            truncated = true;
+            break;
+          }
+          references.push({ file: rel, ...ref, text: lineText(lines, ref.line) });
+        }
+        if (truncated) break;
+      }
+      return toolResult({ symbol, references, filesScanned, truncated });
+    })
+  );
+}
@@ -0,0 +1,41 @@
+import { z } from "zod";
+import { indexStatus, refreshIndex } from "../helpers/codeIndex.js";
+import { toolResult } from "../helpers/result.js";
+
+export function registerIndexTools(server) {
+  // --- index.status ----------------------------------------------------------
+  server.registerTool(
+    "index_status",
+    {
+      title: "Code index status",
+      description:
+        "Reports whether the on-disk code index used by repo_search/repo_smart_context is built and how fresh it is. " +
+        "verify compares it against the files on disk; refresh reindexes changed files first.",
+      inputSchema: {
+        verify: z.boolean().optional(),
+        refresh: z.boolean().optional(),
+      },
+      outputSchema: {
+        enabled: z.boolean(),
+        indexFile: z.string().nullable(),
+        ready: z.boolean(),
+        building: z.boolean(),
+        source: z.enum(["git", "walk"]).nullable(),
+        files: z.number(),
+        binaryFiles: z.number(),
+        trigrams: z.boolean(),
+        lastRefresh: z.string().nullable(),
+        ageSeconds: z.number().nullable(),
+        refreshDurationMs: z.number(),
+        outOfDate: z.object({ changed: z.number(), removed: z.number() }).optional(),
+        refreshed: z.object({ changed: z.number(), removed: z.number() }).optional(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    async ({ verify = false, refresh = false }) => {
+      const refreshed = refresh ? await refreshIndex() : undefined;
+      const status = await indexStatus({ verify });
+      return toolResult(refreshed ? { ...status, refreshed } : status);
+    }
+  );
+}
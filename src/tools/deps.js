@@ -0,0 +1,122 @@
+import { z } from "zod";
+import { OSV_DB_DIR, LICENSE_ALLOWLIST } from "../helpers/config.js";
+import { toolResult } from "../helpers/result.js";
+import { resolvedPackages } from "../helpers/manifests.js";
+import { OSV_ECOSYSTEMS, packageKey, loadAdvisories, matchVulnerabilities } from "../helpers/osv.js";
+import { installedLicenses, licenseAllowed } from "../helpers/licenses.js";
+
+const findingShape = z.object({
+  ecosystem: z.string(),
+  package: z.string(),
+  version: z.string(),
+  source: z.string(), // lockfile or manifest the version comes from
+  id: z.string(),
+  aliases: z.array(z.string()),
+  summary: z.string(),
+  severity: z.string().nullable(),
+  cvss: z.string().nullable(),
+  affectedRanges: z.array(z.string()),
+  fixedIn: z.array(z.string()),
+});
+
+const licenseShape = z.object({
+  name: z.string(),
+  version: z.string().nullable(),
+  license: z.string().nullable(),
+  path: z.string(),
+});
+
+async function auditVulnerabilities(packages) {
+  if (!OSV_DB_DIR) return { enabled: false, database: null, records: 0, packagesChecked: 0, findings: [], errors: [] };
+
+  const checkable = packages.filter((p) => OSV_ECOSYSTEMS[p.ecosystem]);
+  const wanted = new Set(checkable.map((p) => packageKey(OSV_ECOSYSTEMS[p.ecosystem], p.name)));
+  const advisories = await loadAdvisories(OSV_DB_DIR, wanted);
+
+  const findings = [];
+  for (const p of checkable) {
+    for (const vuln of matchVulnerabilities(advisories, OSV_ECOSYSTEMS[p.ecosystem], p.name, p.version)) {
+      findings.push({ ecosystem: p.ecosystem, package: p.name, version: p.version, source: p.source, ...vuln });
+    }
+  }
+  findings.sort((a, b) => a.package.localeCompare(b.package) || a.id.localeCompare(b.id));
+  return {
+    enabled: true,
+    database: OSV_DB_DIR,
+    records: advisories.records,
+    packagesChecked: checkable.length,
+    findings,
+    errors: advisories.errors,
+  };
+}
+
+async function auditLicenses(allowlist) {
+  const installed = await installedLicenses();
+  const violations = [];
+  const unknown = [];
+  for (const pkg of installed) {
+    const verdict = pkg.license ? licenseAllowed(pkg.license, allowlist) : null;
+    if (verdict === false) violations.push(pkg);
+    else if (verdict === null) unknown.push(pkg);
+  }
+  return { allowlist, checked: installed.length, violations, unknown };
+}
+
+export function registerDepsTools(server) {
+  // --- deps.audit ------------------------------------------------------------
+  server.registerTool(
+    "deps_audit",
+    {
+      title: "Audit dependencies for vulnerabilities and licenses (offline)",
+      description:
+        "Matches the package versions pinned by the repo's lockfiles (and exact manifest pins) against a local OSV advisory " +
+        "directory (--osv-db / MCP_OSV_DB), reporting affected ranges and fixed-in versions, and checks the licenses of " +
+        "installed node_modules packages against an SPDX allowlist (--license-allow / MCP_LICENSE_ALLOW). Never uses the network.",
+      inputSchema: {
+        allowLicenses: z.array(z.string()).optional(), // overrides the configured allowlist
+        includeLicenses: z.boolean().optional(),       // default true
+      },
+      outputSchema: {
+        packages: z.number(),
+        vulnerabilities: z.object({
+          enabled: z.boolean(),
+          database: z.string().nullable(),
+          records: z.number(),
+          packagesChecked: z.number(),
+          findings: z.array(findingShape),
+        }),
+        licenses: z.object({
+          allowlist: z.array(z.string()),
+          checked: z.number(),
+          violations: z.array(licenseShape),
+          unknown: z.array(licenseShape),
+        }).nullable(),
+        errors: z.array(z.object({ path: z.string(), error: z.string() })),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    async ({ allowLicenses, includeLicenses = true }) => {
+      const { packages, errors } = await resolvedPackages();
+      const { errors: dbErrors, ...vulnerabilities } = await auditVulnerabilities(packages);
+      const licenses = includeLicenses ? await auditLicenses(allowLicenses ?? LICENSE_ALLOWLIST) : null;
+
+      const lines = [
+        vulnerabilities.enabled
+          ? `${vulnerabilities.findings.length} known vulnerabilities in ${vulnerabilities.packagesChecked} packages (${vulnerabilities.records} advisories)`
+          : "Vulnerability check skipped: no OSV database configured (--osv-db)",
+        ...vulnerabilities.findings.map((f) =>
+          `  ${f.package}@${f.version} ${f.id}${f.severity ? ` [${f.severity}]` : ""}` +
+          `${f.fixedIn.length ? ` fixed in ${f.fixedIn.join(", ")}` : " no fix"}`),
+      ];
+      if (licenses) {
+        lines.push(`${licenses.violations.length} license violations, ${licenses.unknown.length} unknown, in ${licenses.checked} installed packages`);
+        lines.push(...licenses.violations.map((l) => `  ${l.name}@${l.version}: ${l.license}`));
+      }
+
+      return toolResult(
+        { packages: packages.length, vulnerabilities, licenses, errors: [...errors, ...dbErrors] },
+        lines.join("\n")
+      );
+    }
+  );
+}
@@ -1,8 +1,17 @@
 import { z } from "zod";
 import path from "node:path";
 import { safeReadFile } from "../helpers/fs.js";
-import { REPO_ROOT, MAX_BYTES } from "../helpers/config.js";
+import { REPO_ROOT, MAX_BYTES, DENY_GLOBS } from "../helpers/config.js";
 import { run } from "../helpers/process.js";
+import { sandboxed } from "../helpers/sandbox.js";
+import { toolResult, toolError } from "../helpers/result.js";
+
+const matchShape = z.object({
+  file: z.string(),
+  line: z.number(),
+  col: z.number(),
+  text: z.string(),
+});
 
 export function registerDocsTools(server) {
   // --- docs.read -------------------------------------------------------------
@@ -16,12 +25,14 @@ export function registerDocsTools(server) {
         start: z.number().optional(),       // byte start (default 0)
         end: z.number().optional(),         // byte end (default MAX_BYTES)
       },
+      outputSchema: { path: z.string(), start: z.number(), text: z.string() },
+      annotations: { readOnlyHint: true },
     },
-    async ({ path: rel, start = 0, end = MAX_BYTES }) => {
-      // Allow reading any file (still path-sandboxed by safeReadFile)
+    sandboxed(async ({ path: rel, start = 0, end = MAX_BYTES }) => {
+      // Allow reading any file (still sandboxed by safeReadFile)
       const text = await safeReadFile(rel, start, end);
-      return { content: [{ type: "text", text }] };
-    }
+      return toolResult({ path: rel, start, text }, text);
+    })
   );
 
   // --- docs.search -----------------------------------------------------------
@@ -35,6 +46,8 @@ export function registerDocsTools(server) {
         query: z.string(),
         maxResults: z.number().optional(),
       },
+      outputSchema: { results: z.array(matchShape) },
+      annotations: { readOnlyHint: true },
     },
     async ({ query, maxResults = 50 }) => {
       const rgCmd = process.env.RG_CMD || "rg";
@@ -51,6 +64,7 @@ export function registerDocsTools(server) {
         "-g", "**/*.md",
         "-g", "**/*.adoc",
         "-g", "**/*.txt",
+        ...DENY_GLOBS.flatMap(g => ["-g", `!${g}`]),
         query,
         ".",
       ];
@@ -58,13 +72,14 @@ export function registerDocsTools(server) {
       const { code, out, err } = await run(rgCmd, args, { timeoutMs: 60000 });
 
       if (code === -3 || (code === -1 && /Spawn failed/.test(err))) {
-        throw new Error(
-          "ripgrep (rg) not found. Install it or set RG_CMD to its full path in Inspector (Environment Variables)."
+        return toolError(
+          "ripgrep (rg) not found. Install it or set RG_CMD to its full path in Inspector (Environment Variables).",
+          { code: "rg_missing" }
         );
       }
       // rg: 0=matches, 1=no matches, >1=error
       if (code > 1) {
-        throw new Error(`ripgrep failed: ${err || "unknown error"}`);
+        return toolError(`ripgrep failed: ${err || "unknown error"}`, { code: "rg_failed" });
       }
 
       const lines = out ? out.split("\n").filter(Boolean) : [];
@@ -78,10 +93,7 @@ export function registerDocsTools(server) {
         };
       });
 
-      return {
-        content: [{ type: "text", text: JSON.stringify(results, null, 2) }],
-        // structuredContent: results,
-      };
+      return toolResult({ results }, JSON.stringify(results, null, 2));
     }
   );
 
@@ -93,6 +105,8 @@ export function registerDocsTools(server) {
       description:
         "Lists README and markdown files under docs/, doc/, and .github/ (uses ripgrep --files).",
       inputSchema: { limit: z.number().optional() },
+      outputSchema: { files: z.array(z.string()) },
+      annotations: { readOnlyHint: true },
     },
     async ({ limit = 200 }) => {
       const rgCmd = process.env.RG_CMD || "rg";
@@ -108,23 +122,27 @@ export function registerDocsTools(server) {
         "-g", "**/*.txt",
         "-g", "!node_modules/**",
         "-g", "!.git/**",
+        ...DENY_GLOBS.flatMap(g => ["-g", `!${g}`]),
         ".",
       ];
 
       const { code, out, err } = await run(rgCmd, args, { timeoutMs: 20000 });
 
+      if (code === -3 || (code === -1 && /Spawn failed/.test(err))) {
+        return toolError(
+          "ripgrep (rg) not found. Install it or set RG_CMD to its full path in Inspector (Environment Variables).",
+          { code: "rg_missing" }
+        );
+      }
       if (code < 0) {
-        throw new Error(`ripgrep failed: ${err || "unknown error"}`);
+        return toolError(`ripgrep failed: ${err || "unknown error"}`, { code: "rg_failed" });
       }
 
       const files = out
         ? out.split("\n").filter(Boolean).slice(0, limit).map(f => path.relative(REPO_ROOT, f))
         : [];
 
-      return {
-        content: [{ type: "text", text: JSON.stringify(files, null, 2) }],
-        // structuredContent: files,
-      };
+      return toolResult({ files }, JSON.stringify(files, null, 2));
     }
   );
 }
@@ -1,6 +1,284 @@
 import { z } from "zod";
-import { MAX_BYTES } from "../helpers/config.js";
+import { MAX_BYTES, COMMIT_GUARD, COMMIT_MAX_FILE_BYTES } from "../helpers/config.js";
+import { POLICY } from "../helpers/policy.js";
 import { run } from "../helpers/process.js";
+import { toolResult, toolError } from "../helpers/result.js";
+import { readFile, writeFile } from "node:fs/promises";
+import { resolveInRepo, resolveForWrite, sandboxed, SandboxError } from "../helpers/sandbox.js";
+import { recordTouched } from "../helpers/audit.js";
+import { splitDiff, selectHunks, parseNameStatus, parseNumstat } from "../helpers/gitDiff.js";
+import { parseBlamePorcelain } from "../helpers/gitBlame.js";
+import { parseStatusV2 } from "../helpers/gitStatus.js";
+import { runCommitGuard } from "../helpers/commitGuard.js";
+import { learnConventions, ticketFromBranch, draftCommitMessage } from "../helpers/commitDraft.js";
+import { readHistory, fileChurn, hotspots, ownership, coupling, cadence } from "../helpers/gitHistory.js";
+import { parseConflicts, resolveConflicts, currentOperation, operationWrites } from "../helpers/conflicts.js";
+import { recordWrite } from "../helpers/backups.js";
+import { markIndexStale } from "../helpers/codeIndex.js";
+
+const changedFileShape = z.object({
+  status: z.string(),
+  file: z.string(),
+});
+
+const statusFileShape = z.object({
+  file: z.string(),
+  status: z.string(),       // v1-style code: "M", "MM", "R", "UU", "??"
+  kind: z.enum(["changed", "renamed", "copied", "unmerged", "untracked", "ignored"]),
+  index: z.string(),        // X: staged change, "." for none
+  worktree: z.string(),     // Y: unstaged change, "." for none
+  staged: z.boolean(),
+  unstaged: z.boolean(),
+  origFile: z.string().nullable(),   // renamed/copied from
+  similarity: z.number().nullable(),
+  conflict: z.string().nullable(),   // e.g. "both modified"
+  submodule: z.object({ commitChanged: z.boolean(), modified: z.boolean(), untracked: z.boolean() }).nullable(),
+});
+
+const statusBranchShape = z.object({
+  head: z.string().nullable(),       // null when detached
+  oid: z.string().nullable(),        // null before the first commit
+  upstream: z.string().nullable(),
+  ahead: z.number(),
+  behind: z.number(),
+  detached: z.boolean(),
+  initial: z.boolean(),
+});
+
+const commitShape = z.object({
+  hash: z.string(),
+  shortHash: z.string(),
+  date: z.string(),
+  author: z.string(),
+  subject: z.string(),
+});
+
+const branchShape = z.object({
+  name: z.string(),
+  current: z.boolean(),
+  remote: z.boolean(),
+  upstream: z.string().nullable(),
+  ahead: z.number(),
+  behind: z.number(),
+  gone: z.boolean(),        // upstream was deleted
+  hash: z.string(),
+  subject: z.string(),
+});
+
+const diffFileShape = z.object({
+  file: z.string(),
+  oldFile: z.string().optional(),  // renames
+  additions: z.number(),
+  deletions: z.number(),
+  binary: z.boolean(),
+});
+
+const stashShape = z.object({
+  ref: z.string(),          // stash@{n}
+  index: z.number(),
+  branch: z.string().nullable(),
+  message: z.string(),
+  date: z.string(),
+});
+
+const violationShape = z.object({
+  rule: z.enum(["secret", "file-size", "artifact", "conventional-commit"]),
+  message: z.string(),
+  kind: z.string().optional(),   // secret: which pattern matched
+  file: z.string().optional(),
+  line: z.number().optional(),
+});
+
+const personShape = z.object({ name: z.string(), email: z.string(), date: z.string() });
+
+const showFileShape = z.object({
+  status: z.string(),       // A, M, D, R, C, T
+  file: z.string(),
+  oldFile: z.string().nullable(),
+  similarity: z.number().nullable(),
+  additions: z.number(),
+  deletions: z.number(),
+  binary: z.boolean(),
+  patch: z.string().optional(),
+  patchTruncated: z.boolean().optional(),
+});
+
+const blameLineShape = z.object({
+  line: z.number(),
+  commit: z.string(),
+  author: z.string(),
+  date: z.string(),
+  originalLine: z.number(),  // line number in that commit
+  originalPath: z.string(),  // differs from path when followMoves traced it elsewhere
+  content: z.string(),
+});
+
+const blameCommitShape = z.object({
+  hash: z.string(),
+  author: z.string(),
+  email: z.string(),
+  date: z.string(),
+  summary: z.string(),
+  uncommitted: z.boolean(),
+});
+
+const conflictSideShape = z.object({
+  label: z.string().nullable(),  // e.g. "HEAD", "feature", "parent of abc123 (msg)"
+  text: z.string().optional(),
+  startLine: z.number(),
+  endLine: z.number(),           // startLine - 1 when the side is empty
+});
+
+const conflictFileShape = z.object({
+  file: z.string(),
+  conflict: z.string(),          // e.g. "both modified", "deleted by them"
+  hunks: z.array(z.object({
+    index: z.number(),
+    startLine: z.number(),       // marker lines included
+    endLine: z.number(),
+    ours: conflictSideShape,
+    base: conflictSideShape.nullable(),
+    theirs: conflictSideShape,
+  })),
+  error: z.string().optional(),  // markers could not be parsed
+});
+
+// Sandbox-check pathspecs and hand git repo-relative paths (git runs in REPO_ROOT)
+async function toGitPath(p) {
+  const { rel } = await resolveInRepo(p);
+  return rel || ".";
+}
+
+// Same for paths that get staged: also held to the policy's writePaths
+async function toGitWritePath(p) {
+  const { rel } = await resolveForWrite(p);
+  return rel || ".";
+}
+
+// `git add -A` cannot be limited to writePaths, so it is refused under them
+function stageAllDenied(extra) {
+  if (!POLICY.writePaths) return null;
+  return toolError("Staging everything is not allowed when the policy restricts write paths; pass paths instead.", { code: "write_denied", ...extra });
+}
+
+// Every path a patch touches (both sides of renames) must be writable
+async function checkPatchPaths(patch) {
+  const { code, out, err } = await run("git", ["apply", "--numstat", "-z", "--recount", "-"], { input: patch, timeoutMs: 20000 });
+  if (code !== 0) return { error: `git apply failed: ${err || "unknown error"}` };
+  for (const [file, { oldFile }] of parseNumstat(out)) {
+    await resolveForWrite(file);
+    if (oldFile) await resolveForWrite(oldFile);
+  }
+  return {};
+}
+
+// Checkouts, stash restores and merge/rebase steps rewrite every file they touch. `listings` are
+// git commands printing those paths (-z); each must pass resolveForWrite
+// (writePaths, the policy file), whose SandboxError gitTool turns into a
+// write_denied tool error before anything is written.
+async function checkWorktreeWrites(listings) {
+  const paths = new Set();
+  for (const args of listings) {
+    const { code, out, err } = await run("git", args, { timeoutMs: 30000 });
+    if (code !== 0) return { error: `git ${args[0]} failed: ${err || "unknown error"}` };
+    for (const p of out.split("\0")) if (p) paths.add(p);
+  }
+  for (const p of paths) await resolveForWrite(p);
+  return {};
+}
+
+// What HEAD is diffed against before the first commit
+const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+// The commit `git switch name` checks out: the branch, or the single
+// remote-tracking branch of that name git would create it from
+async function switchTarget(name) {
+  if (await resolveCommit(name)) return name;
+  const { out } = await run("git", ["for-each-ref", "--format=%(refname)", `refs/remotes/*/${name}`], { timeoutMs: 10000 });
+  const remotes = out.split("\n").filter(Boolean);
+  return remotes.length === 1 ? remotes[0] : null;
+}
+
+// Shared by every git tool: sandbox denials become typed tool errors and the
+// handler only runs inside a work tree. `errorExtra` is merged into the error.
+function gitTool(handler, errorExtra) {
+  return sandboxed(async (args, extra) => {
+    const check = await run("git", ["rev-parse", "--is-inside-work-tree"]);
+    if (!/true/i.test(check.out)) {
+      return toolError("Not a git repository.", errorExtra);
+    }
+    return handler(args, extra);
+  });
+}
+
+// Refs and branch names come from the model: never let one pass as an option
+const optionLike = (value) => typeof value === "string" && value.startsWith("-");
+
+async function resolveCommit(ref) {
+  const { code, out } = await run("git", ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], { timeoutMs: 10000 });
+  return code === 0 ? out.trim() : null;
+}
+
+function capDiff(out, maxBytes) {
+  const cap = Math.min(MAX_BYTES, Math.max(16 * 1024, maxBytes ?? MAX_BYTES)); // 16KB..200KB
+  const diff = out.slice(0, cap);
+  return { diff, truncated: out.length > cap, bytes: diff.length };
+}
+
+// Index vs HEAD, e.g. after staging: [{ status, file }]
+async function stagedFiles() {
+  const { code, out } = await run("git", ["diff", "--cached", "--name-status", "--no-renames"], { timeoutMs: 20000 });
+  if (code !== 0) return [];
+  return out.split("\n").filter(Boolean).map((line) => {
+    const [status, file] = line.split("\t");
+    return { status, file };
+  });
+}
+
+const gitError = (what, res, extra) => toolError(`${what} failed: ${(res.err || res.out).trim() || "unknown error"}`, extra);
+
+async function currentBranch() {
+  const { out } = await run("git", ["branch", "--show-current"], { timeoutMs: 10000 });
+  return out.trim() || null;
+}
+
+// The chosen hunks of one file's unstaged (or, with cached, staged) diff
+async function pickHunks(gitPath, hunks, cached) {
+  const args = ["diff", "--no-color", "--no-ext-diff", ...(cached ? ["--cached"] : []), "--", gitPath];
+  const { code, out, err } = await run("git", args, { timeoutMs: 30000 });
+  if (code > 1) return { error: `git diff failed: ${err || "unknown error"}` };
+  const fileDiff = splitDiff(out).find((f) => f.file === gitPath);
+  if (!fileDiff || !fileDiff.hunks.length) {
+    return { error: `${gitPath} has no ${cached ? "staged" : "unstaged"} hunks${cached ? "" : " (untracked files must be staged whole)"}` };
+  }
+  try {
+    return { patch: selectHunks(fileDiff, hunks) };
+  } catch (e) {
+    if (e instanceof RangeError) return { error: e.message };
+    throw e;
+  }
+}
+
+// Unmerged entries from git status: [{ file, conflict, hunks: [] }]
+async function unmergedFiles() {
+  const { code, out, err } = await run("git", ["status", "--porcelain=v2", "-z", "--untracked-files=no"], { timeoutMs: 20000 });
+  if (code !== 0) throw new Error(`git status failed: ${err || "unknown error"}`);
+  return parseStatusV2(out).files
+    .filter((f) => f.kind === "unmerged")
+    .map((f) => ({ file: f.file, conflict: f.conflict, hunks: [] }));
+}
+
+// [{ ref, index, branch, message, date }], or null when git fails
+async function listStashes() {
+  const { code, out } = await run("git", ["stash", "list", "--format=%gd%x09%ci%x09%gs"], { timeoutMs: 20000 });
+  if (code !== 0) return null;
+  return out.split("\n").filter(Boolean).map((line) => {
+    const [ref, date, ...subject] = line.split("\t");
+    const gs = subject.join("\t");
+    const m = /^(?:WIP on|On) ([^:]+): (.*)$/.exec(gs);
+    return { ref, index: Number(/\{(\d+)\}/.exec(ref)?.[1] ?? 0), branch: m?.[1] ?? null, message: m?.[2] ?? gs, date };
+  });
+}
 
 export function registerGitTools(server) {
   // --- git.list_changed_files ---
@@ -9,40 +287,24 @@ export function registerGitTools(server) {
     {
       title: "List changed files",
       description:
-        "Shows modified/added/deleted/untracked files (git status --porcelain=v1).",
+        "Shows changed files from git status --porcelain=v2: staged and unstaged state per file (index/worktree codes), " +
+        "rename/copy origin, merge conflicts, submodule state, and the branch with its upstream ahead/behind counts.",
       // 👇 plain object schema
-      inputSchema: { includeUntracked: z.boolean().optional() },
+      inputSchema: { includeUntracked: z.boolean().optional(), includeIgnored: z.boolean().optional() },
+      outputSchema: { branch: statusBranchShape, files: z.array(statusFileShape) },
+      annotations: { readOnlyHint: true },
     },
-    async ({ includeUntracked = true }) => {
-      const check = await run("git", ["rev-parse", "--is-inside-work-tree"]);
-      if (!/true/i.test(check.out)) {
-        return {
-          content: [{ type: "text", text: "Not a git repository." }],
-        //   structuredContent: [],
-        };
-      }
-
-      const args = ["status", "--porcelain"];
+    gitTool(async ({ includeUntracked = true, includeIgnored = false }) => {
+      const args = ["status", "--porcelain=v2", "--branch", "-z"];
       if (!includeUntracked) args.push("--untracked-files=no");
+      if (includeIgnored) args.push("--ignored");
 
       const { code, out, err } = await run("git", args, { timeoutMs: 20000 });
       if (code !== 0) throw new Error(`git status failed: ${err || "unknown error"}`);
 
-      const rows = out
-        .split("\n")
-        .map((s) => s.trimEnd())
-        .filter(Boolean)
-        .map((line) => {
-          const status = line.slice(0, 2).trim(); // "M", "A", "D", "R", "??"
-          const file = line.slice(3);
-          return { status, file };
-        });
-
-      return {
-        content: [{ type: "text", text: JSON.stringify(rows, null, 2) }],
-        // structuredContent: rows,
-      };
-    }
+      const { branch, files } = parseStatusV2(out);
+      return toolResult({ branch, files }, JSON.stringify(files, null, 2));
+    })
   );
 
   // --- git.diff_unstaged ---
@@ -54,33 +316,20 @@ export function registerGitTools(server) {
         "Shows working directory changes (git diff --unified=3). Truncated for safety.",
       // 👇 plain object schema
       inputSchema: { maxBytes: z.number().optional(), path: z.string().optional() },
+      outputSchema: { diff: z.string(), truncated: z.boolean(), bytes: z.number() },
+      annotations: { readOnlyHint: true },
     },
-    async ({ maxBytes, path }) => {
-      const check = await run("git", ["rev-parse", "--is-inside-work-tree"]);
-      if (!/true/i.test(check.out)) {
-        return {
-          content: [{ type: "text", text: "Not a git repository." }],
-        //   structuredContent: { diff: "", truncated: false },
-        };
-      }
-
-      const cap = Math.min(MAX_BYTES, Math.max(16 * 1024, maxBytes ?? MAX_BYTES)); // 16KB..200KB
+    gitTool(async ({ maxBytes, path }) => {
       const args = ["diff", "--unified=3"];
-      if (path) args.push("--", path);
+      if (path) args.push("--", await toGitPath(path));
 
       const { code, out, err } = await run("git", args, { timeoutMs: 30000 });
       // git: 0=ok, 1=changes (still ok), >1=error
       if (code > 1) throw new Error(`git diff failed: ${err || "unknown error"}`);
 
-      const diff = out.slice(0, cap);
-      const truncated = out.length > cap;
-      const payload = { diff, truncated, bytes: diff.length };
-
-      return {
-        content: [{ type: "text", text: truncated ? `${diff}\n\n…[truncated]` : diff }],
-        // structuredContent: payload,
-      };
-    }
+      const payload = capDiff(out, maxBytes);
+      return toolResult(payload, payload.truncated ? `${payload.diff}\n\n…[truncated]` : payload.diff);
+    })
   );
     // --- git.log ---------------------------------------------------------------
   server.registerTool(
@@ -91,28 +340,19 @@ export function registerGitTools(server) {
         "Shows recent commits with hash, shortHash, author, date, and subject.",
       // plain-object schema
       inputSchema: { limit: z.number().optional(), path: z.string().optional(), since: z.string().optional() },
+      outputSchema: { commits: z.array(commitShape) },
+      annotations: { readOnlyHint: true },
     },
-    async ({ limit = 10, path, since }) => {
-      const check = await run("git", ["rev-parse", "--is-inside-work-tree"]);
-      if (!/true/i.test(check.out)) {
-        return {
-          content: [{ type: "text", text: "Not a git repository." }],
-        //   structuredContent: [],
-        };
-      }
-
+    gitTool(async ({ limit = 10, path, since }) => {
       // Format with tab separators to parse easily
       const fmt = "%H%x09%h%x09%ad%x09%an%x09%s";
       const args = ["log", `-n`, String(limit), `--pretty=format:${fmt}`, "--date=iso"];
       if (since) args.push(`--since=${since}`);
-      if (path) { args.push("--", path); }
+      if (path) { args.push("--", await toGitPath(path)); }
 
       const { code, out, err } = await run("git", args, { timeoutMs: 20000 });
       if (code !== 0) {
-        return {
-          content: [{ type: "text", text: `git log failed: ${err || "unknown error"}` }],
-        //   structuredContent: [],
-        };
+        return toolError(`git log failed: ${err || "unknown error"}`);
       }
 
       const lines = out.split("\n").filter(Boolean);
@@ -127,11 +367,8 @@ export function registerGitTools(server) {
         };
       });
 
-      return {
-        content: [{ type: "text", text: JSON.stringify(commits, null, 2) }],
-        // structuredContent: commits,
-      };
-    }
+      return toolResult({ commits }, JSON.stringify(commits, null, 2));
+    })
   );
 
   // --- git.commit ------------------------------------------------------------
@@ -140,40 +377,50 @@ export function registerGitTools(server) {
     {
       title: "Create a git commit",
       description:
-        "Stages changes (optionally) and creates a commit with the given message.",
+        "Stages changes (optionally) and creates a commit with the given message. With guard (always on when the server " +
+        "runs with --commit-guard) the staged changes are checked first for secrets, oversized files and build/backup " +
+        "artifacts, and the message against Conventional Commits; any violation is returned instead of committing.",
       // plain-object schema
       inputSchema: {
         message: z.string(),                 // required commit message
         addAll: z.boolean().optional(),      // stage all changes
         paths: z.array(z.string()).optional(), // or stage only specific paths
         allowEmpty: z.boolean().optional(),  // allow empty commits
+        guard: z.boolean().optional(),       // run the pre-commit checks
+      },
+      outputSchema: {
+        committed: z.boolean(),
+        hash: z.string().optional(),
+        output: z.string().optional(),
+        reason: z.string().optional(),       // set when committed is false
+        violations: z.array(violationShape).optional(),
       },
+      annotations: { readOnlyHint: false },
     },
-    async ({ message, addAll = false, paths = [], allowEmpty = false }) => {
-      const check = await run("git", ["rev-parse", "--is-inside-work-tree"]);
-      if (!/true/i.test(check.out)) {
-        return {
-          content: [{ type: "text", text: "Not a git repository." }],
-        //   structuredContent: { committed: false },
-        };
-      }
-
+    gitTool(async ({ message, addAll = false, paths = [], allowEmpty = false, guard = false }) => {
       // Stage as requested
       if (addAll) {
+        const denied = stageAllDenied({ committed: false });
+        if (denied) return denied;
         const addRes = await run("git", ["add", "-A"], { timeoutMs: 15000 });
         if (addRes.code !== 0) {
-          return {
-            content: [{ type: "text", text: `git add -A failed: ${addRes.err || "unknown error"}` }],
-            // structuredContent: { committed: false },
-          };
+          return toolError(`git add -A failed: ${addRes.err || "unknown error"}`, { committed: false });
         }
       } else if (paths.length > 0) {
-        const addRes = await run("git", ["add", ...paths], { timeoutMs: 15000 });
+        const gitPaths = await Promise.all(paths.map(toGitWritePath));
+        const addRes = await run("git", ["add", "--", ...gitPaths], { timeoutMs: 15000 });
         if (addRes.code !== 0) {
-          return {
-            content: [{ type: "text", text: `git add failed: ${addRes.err || "unknown error"}` }],
-            // structuredContent: { committed: false },
-          };
+          return toolError(`git add failed: ${addRes.err || "unknown error"}`, { committed: false });
+        }
+      }
+
+      if (guard || COMMIT_GUARD) {
+        const violations = await runCommitGuard({ message, maxFileBytes: COMMIT_MAX_FILE_BYTES });
+        if (violations.length) {
+          return toolResult(
+            { committed: false, reason: "guard_violations", violations },
+            ["Commit refused (changes stay staged):", ...violations.map((v) => `- [${v.rule}] ${v.message}${v.line ? ` (${v.file}:${v.line})` : ""}`)].join("\n")
+          );
         }
       }
 
@@ -187,27 +434,876 @@ export function registerGitTools(server) {
       if (code !== 0) {
         const msg = err || out || "unknown error";
         if (/nothing to commit/i.test(msg)) {
-          return {
-            content: [{ type: "text", text: "Nothing to commit (working tree clean)." }],
-            // structuredContent: { committed: false, reason: "nothing_to_commit" },
-          };
+          return toolResult(
+            { committed: false, reason: "nothing_to_commit" },
+            "Nothing to commit (working tree clean)."
+          );
         }
-        return {
-          content: [{ type: "text", text: `git commit failed: ${msg}` }],
-        //   structuredContent: { committed: false, error: msg },
-        };
+        return toolError(`git commit failed: ${msg}`, { committed: false });
       }
 
       // Grab the new commit hash (HEAD)
       const head = await run("git", ["rev-parse", "HEAD"], { timeoutMs: 10000 });
       const hash = head.out.trim();
 
+      // Report the committed files to the audit log
+      const files = await run("git", ["diff-tree", "--root", "--no-commit-id", "--name-only", "-r", "HEAD"], { timeoutMs: 10000 });
+      files.out.split("\n").filter(Boolean).forEach(recordTouched);
+
       const payload = { committed: true, hash, output: out.trim() };
-      return {
-        content: [{ type: "text", text: JSON.stringify(payload, null, 2) }],
-        // structuredContent: payload,
+      return toolResult(payload);
+    }, { committed: false })
+  );
+
+  // --- git.draft_commit_message ----------------------------------------------
+  server.registerTool(
+    "git_draft_commit_message",
+    {
+      title: "Draft a commit message from the staged changes",
+      description:
+        "Drafts a commit message for what is staged, without calling a model: the staged files decide the type " +
+        "(docs, test, ci, build, feat, fix, refactor), scope and summary; the last historyLimit commit subjects decide the " +
+        "style (Conventional Commits or plain, scopes in use, capitalization, ticket ID placement). The ticket ID comes from " +
+        "ticket or the branch name. The body lists the touched modules with per-file line counts. Refine it, then pass it to git_commit.",
+      inputSchema: {
+        historyLimit: z.number().optional(),   // default 50
+        ticket: z.string().optional(),
+        maxBodyFiles: z.number().optional(),   // default 20
+      },
+      outputSchema: {
+        subject: z.string(),
+        body: z.string(),
+        message: z.string(),
+        type: z.string().nullable(),           // null for plain-style history
+        scope: z.string().nullable(),
+        ticket: z.string().nullable(),
+        modules: z.array(z.object({ module: z.string(), files: z.array(z.string()) })),
+        conventions: z.object({
+          sampled: z.number(),
+          style: z.enum(["conventional", "plain"]),
+          types: z.record(z.number()),
+          scopes: z.array(z.string()),
+          usesScopes: z.boolean(),
+          capitalized: z.boolean(),
+          trailingPeriod: z.boolean(),
+          ticketStyle: z.string().nullable(),  // bracket-prefix | key-prefix | issue-suffix | key-suffix
+          ticketExample: z.string().nullable(),
+        }),
+        files: z.array(showFileShape),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    gitTool(async ({ historyLimit = 50, ticket, maxBodyFiles = 20 }) => {
+      const diff = (...args) => run("git", ["diff", "--cached", "-M", "-z", ...args], { timeoutMs: 30000 });
+      const [status, numstat] = await Promise.all([diff("--name-status"), diff("--numstat")]);
+      if (status.code !== 0) return gitError("git diff --cached", status);
+      const counts = parseNumstat(numstat.out);
+      const files = parseNameStatus(status.out).map((f) => ({
+        ...f,
+        ...(counts.get(f.file) ?? { additions: 0, deletions: 0, binary: false }),
+      }));
+      if (!files.length) return toolError("Nothing is staged; stage changes with git_stage first.", { code: "nothing_staged" });
+
+      // A repo without commits yet has no history to learn from
+      const log = await run("git", ["log", "--no-merges", "-n", String(historyLimit), "--format=%s"], { timeoutMs: 20000 });
+      const subjects = log.code === 0 ? log.out.split("\n").filter(Boolean) : [];
+      const conventions = learnConventions(subjects);
+      const draft = draftCommitMessage(files, conventions, {
+        ticket: ticket ?? ticketFromBranch(await currentBranch(), conventions.ticketStyle),
+        maxBodyFiles,
+      });
+      return toolResult({ ...draft, conventions, files }, draft.message);
+    })
+  );
+
+  // --- git.branch ------------------------------------------------------------
+  server.registerTool(
+    "git_branch",
+    {
+      title: "List, create, delete or switch branches",
+      description:
+        "action list (default): local branches (remote ones with includeRemote) with upstream and ahead/behind counts. " +
+        "create: new branch at startPoint (default HEAD). delete: -d, or -D with force. " +
+        "switch: check out a branch, creating it first when create is set; fails if local changes would be overwritten.",
+      inputSchema: {
+        action: z.enum(["list", "create", "delete", "switch"]).optional(),
+        name: z.string().optional(),
+        startPoint: z.string().optional(),
+        create: z.boolean().optional(),        // switch: create the branch first (git switch -c)
+        force: z.boolean().optional(),         // delete: also unmerged branches
+        includeRemote: z.boolean().optional(), // list
+      },
+      outputSchema: {
+        action: z.string(),
+        current: z.string().nullable(),        // null when HEAD is detached
+        branches: z.array(branchShape).optional(),
+        branch: z.string().optional(),
+        hash: z.string().optional(),
+        output: z.string().optional(),
+      },
+      annotations: { readOnlyHint: false },
+    },
+    gitTool(async ({ action = "list", name, startPoint, create = false, force = false, includeRemote = false }) => {
+      if (action === "list") {
+        const refs = includeRemote ? ["refs/heads", "refs/remotes"] : ["refs/heads"];
+        const fmt = "%(refname)%00%(HEAD)%00%(upstream:short)%00%(upstream:track)%00%(objectname:short)%00%(contents:subject)";
+        const res = await run("git", ["for-each-ref", `--format=${fmt}`, ...refs], { timeoutMs: 20000 });
+        if (res.code !== 0) return gitError("git for-each-ref", res);
+
+        const branches = res.out.split("\n").filter(Boolean).map((line) => {
+          const [ref, head, upstream, track, hash, subject] = line.split("\0");
+          const remote = ref.startsWith("refs/remotes/");
+          return {
+            name: ref.replace(/^refs\/(heads|remotes)\//, ""),
+            current: head === "*",
+            remote,
+            upstream: upstream || null,
+            ahead: Number(/ahead (\d+)/.exec(track)?.[1] ?? 0),
+            behind: Number(/behind (\d+)/.exec(track)?.[1] ?? 0),
+            gone: track === "[gone]",
+            hash,
+            subject,
+          };
+        }).filter((b) => !b.name.endsWith("/HEAD"));
+        return toolResult({ action, current: await currentBranch(), branches });
+      }
+
+      if (!name) return toolError(`action ${action} needs a branch name`);
+      if (optionLike(name) || optionLike(startPoint)) return toolError("Branch names and start points cannot start with '-'");
+
+      if (action === "create" || (action === "switch" && create)) {
+        const valid = await run("git", ["check-ref-format", "--branch", name], { timeoutMs: 10000 });
+        if (valid.code !== 0) return toolError(`Invalid branch name: ${name}`);
+        if (startPoint && !(await resolveCommit(startPoint))) return toolError(`Unknown start point: ${startPoint}`);
+      }
+
+      let res;
+      if (action === "create") {
+        res = await run("git", ["branch", name, ...(startPoint ? [startPoint] : [])], { timeoutMs: 20000 });
+      } else if (action === "delete") {
+        res = await run("git", ["branch", force ? "-D" : "-d", name], { timeoutMs: 20000 });
+        if (res.code !== 0 && /not fully merged/i.test(res.err)) {
+          return toolError(`Branch ${name} is not fully merged; pass force: true to delete it anyway`);
+        }
+      } else {
+        // Files that differ between HEAD and the target get rewritten
+        const target = create ? startPoint : await switchTarget(name);
+        if (target) {
+          const from = (await resolveCommit("HEAD")) ? "HEAD" : EMPTY_TREE;
+          const checked = await checkWorktreeWrites([["diff", "--name-only", "--no-renames", "-z", from, target, "--"]]);
+          if (checked.error) return toolError(checked.error);
+        }
+        const args = create ? ["switch", "-c", name, ...(startPoint ? [startPoint] : [])] : ["switch", name];
+        res = await run("git", args, { timeoutMs: 30000 });
+      }
+      if (res.code !== 0) return gitError(`git ${action === "switch" ? "switch" : "branch"}`, res);
+
+      const payload = { action, current: await currentBranch(), branch: name, output: (res.out + res.err).trim() };
+      if (action !== "delete") payload.hash = await resolveCommit(name);
+      return toolResult(payload);
+    })
+  );
+
+  // --- git.diff --------------------------------------------------------------
+  server.registerTool(
+    "git_diff",
+    {
+      title: "Unified diff: unstaged, staged or between commits",
+      description:
+        "Without options: working tree vs index (unstaged). staged: index vs HEAD. base: base..head when head is given, " +
+        "otherwise base vs the working tree (or vs the index with staged). Also returns per-file added/deleted line counts. Truncated for safety.",
+      inputSchema: {
+        staged: z.boolean().optional(),
+        base: z.string().optional(),
+        head: z.string().optional(),
+        path: z.string().optional(),
+        contextLines: z.number().optional(), // default 3
+        maxBytes: z.number().optional(),
+      },
+      outputSchema: {
+        mode: z.enum(["unstaged", "staged", "range"]),
+        range: z.string().optional(),
+        files: z.array(diffFileShape),
+        diff: z.string(),
+        truncated: z.boolean(),
+        bytes: z.number(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    gitTool(async ({ staged = false, base, head, path, contextLines = 3, maxBytes }) => {
+      if (head && !base) return toolError("head needs a base");
+      if (head && staged) return toolError("staged compares the index with a commit; use base alone, not base..head");
+      for (const ref of [base, head].filter(Boolean)) {
+        if (optionLike(ref) || !(await resolveCommit(ref))) return toolError(`Unknown revision: ${ref}`);
+      }
+
+      const mode = base ? "range" : staged ? "staged" : "unstaged";
+      const revs = [];
+      if (staged) revs.push("--cached");
+      if (base) revs.push(head ? `${base}..${head}` : base);
+      const pathspec = path ? ["--", await toGitPath(path)] : [];
+
+      const numstat = await run("git", ["diff", "-M", "--numstat", "-z", ...revs, ...pathspec], { timeoutMs: 30000 });
+      if (numstat.code > 1) return gitError("git diff", numstat);
+      const files = [...parseNumstat(numstat.out)].map(([file, { additions, deletions, binary, oldFile }]) => ({
+        file,
+        ...(oldFile && { oldFile }),
+        additions,
+        deletions,
+        binary,
+      }));
+
+      const res = await run("git", ["diff", "-M", `--unified=${Math.max(0, contextLines)}`, ...revs, ...pathspec], { timeoutMs: 30000 });
+      if (res.code > 1) return gitError("git diff", res);
+
+      const payload = { mode, files, ...capDiff(res.out, maxBytes) };
+      if (base) payload.range = head ? `${base}..${head}` : `${base}..${staged ? "index" : "worktree"}`;
+      return toolResult(payload, payload.truncated ? `${payload.diff}\n\n…[truncated]` : payload.diff);
+    })
+  );
+
+  // --- git.stage -------------------------------------------------------------
+  server.registerTool(
+    "git_stage",
+    {
+      title: "Stage files or individual hunks",
+      description:
+        "Adds changes to the index: all (git add -A), whole paths, or, for a single path, only the given hunks " +
+        "(1-based, in the order git_diff shows them for that file). patch stages an arbitrary unified diff with git apply --cached. " +
+        "Returns what is staged afterwards.",
+      inputSchema: {
+        all: z.boolean().optional(),
+        paths: z.array(z.string()).optional(),
+        hunks: z.array(z.number()).optional(), // with exactly one path
+        patch: z.string().optional(),
+      },
+      outputSchema: {
+        staged: z.array(changedFileShape),
+      },
+      annotations: { readOnlyHint: false },
+    },
+    gitTool(async ({ all = false, paths = [], hunks, patch }) => {
+      let res;
+      if (hunks) {
+        if (paths.length !== 1) return toolError("hunks needs exactly one path");
+        const picked = await pickHunks(await toGitWritePath(paths[0]), hunks, false);
+        if (picked.error) return toolError(picked.error);
+        res = await run("git", ["apply", "--cached", "--recount", "-"], { input: picked.patch, timeoutMs: 20000 });
+      } else if (patch) {
+        const input = patch.endsWith("\n") ? patch : `${patch}\n`;
+        const checked = await checkPatchPaths(input);
+        if (checked.error) return toolError(checked.error);
+        res = await run("git", ["apply", "--cached", "--recount", "-"], { input, timeoutMs: 20000 });
+      } else if (all) {
+        const denied = stageAllDenied();
+        if (denied) return denied;
+        res = await run("git", ["add", "-A"], { timeoutMs: 15000 });
+      } else if (paths.length) {
+        res = await run("git", ["add", "--", ...(await Promise.all(paths.map(toGitWritePath)))], { timeoutMs: 15000 });
+      } else {
+        return toolError("Nothing to stage: pass all, paths, hunks or patch");
+      }
+      if (res.code !== 0) return gitError(hunks || patch ? "git apply --cached" : "git add", res);
+
+      const staged = await stagedFiles();
+      return toolResult({ staged }, JSON.stringify(staged, null, 2));
+    })
+  );
+
+  // --- git.unstage -----------------------------------------------------------
+  server.registerTool(
+    "git_unstage",
+    {
+      title: "Unstage files or individual hunks",
+      description:
+        "Removes changes from the index, keeping them in the working tree: the given paths (default: everything), " +
+        "or, for a single path, only the given staged hunks (1-based, as git_diff with staged shows them). Returns what is still staged.",
+      inputSchema: {
+        paths: z.array(z.string()).optional(),
+        hunks: z.array(z.number()).optional(), // with exactly one path
+      },
+      outputSchema: {
+        staged: z.array(changedFileShape),
+      },
+      annotations: { readOnlyHint: false },
+    },
+    gitTool(async ({ paths = [], hunks }) => {
+      let res;
+      if (hunks) {
+        if (paths.length !== 1) return toolError("hunks needs exactly one path");
+        const picked = await pickHunks(await toGitPath(paths[0]), hunks, true);
+        if (picked.error) return toolError(picked.error);
+        res = await run("git", ["apply", "--cached", "--reverse", "--recount", "-"], { input: picked.patch, timeoutMs: 20000 });
+      } else {
+        const gitPaths = paths.length ? await Promise.all(paths.map(toGitPath)) : ["."];
+        // Before the first commit there is no HEAD to reset the index to
+        res = (await resolveCommit("HEAD"))
+          ? await run("git", ["reset", "-q", "--", ...gitPaths], { timeoutMs: 15000 })
+          : await run("git", ["rm", "-r", "-q", "--cached", "--", ...gitPaths], { timeoutMs: 15000 });
+      }
+      if (res.code !== 0) return gitError(hunks ? "git apply --cached --reverse" : "git reset", res);
+
+      const staged = await stagedFiles();
+      return toolResult({ staged }, JSON.stringify(staged, null, 2));
+    })
+  );
+
+  // --- git.stash -------------------------------------------------------------
+  server.registerTool(
+    "git_stash",
+    {
+      title: "Stash changes and restore them",
+      description:
+        "action push: stash working tree and index changes (message, includeUntracked, keepIndex, paths). " +
+        "list (default): stash entries. pop / apply: restore stash@{index} (default 0); pop also drops it unless it conflicts. " +
+        "Conflicted files are reported in conflicts.",
+      inputSchema: {
+        action: z.enum(["push", "list", "pop", "apply"]).optional(),
+        message: z.string().optional(),
+        includeUntracked: z.boolean().optional(),
+        keepIndex: z.boolean().optional(),
+        paths: z.array(z.string()).optional(),
+        index: z.number().optional(),
+      },
+      outputSchema: {
+        action: z.string(),
+        stashes: z.array(stashShape).optional(),
+        created: z.boolean().optional(),       // push: false when there was nothing to stash
+        ref: z.string().optional(),
+        applied: z.boolean().optional(),
+        conflicts: z.array(z.string()).optional(),
+        output: z.string().optional(),
+      },
+      annotations: { readOnlyHint: false },
+    },
+    gitTool(async ({ action = "list", message, includeUntracked = false, keepIndex = false, paths = [], index = 0 }) => {
+      if (action === "list") {
+        const stashes = await listStashes();
+        if (stashes === null) return toolError("git stash list failed");
+        return toolResult({ action, stashes });
+      }
+
+      if (action === "push") {
+        const args = ["stash", "push"];
+        if (message) args.push("-m", message);
+        if (includeUntracked) args.push("--include-untracked");
+        if (keepIndex) args.push("--keep-index");
+        const pathspec = paths.length ? await Promise.all(paths.map(toGitPath)) : [];
+        if (pathspec.length) args.push("--", ...pathspec);
+        // Stashed files are reset to HEAD (untracked ones deleted)
+        const checked = await checkWorktreeWrites([
+          ["diff", "--name-only", "--no-renames", "-z", (await resolveCommit("HEAD")) ? "HEAD" : EMPTY_TREE, "--", ...pathspec],
+          ...(includeUntracked ? [["ls-files", "--others", "--exclude-standard", "-z", "--", ...pathspec]] : []),
+        ]);
+        if (checked.error) return toolError(checked.error);
+        const res = await run("git", args, { timeoutMs: 30000 });
+        if (res.code !== 0) return gitError("git stash push", res);
+        if (/no local changes to save/i.test(res.out + res.err)) {
+          return toolResult({ action, created: false, output: "No local changes to save." });
+        }
+        return toolResult({ action, created: true, ref: "stash@{0}", output: res.out.trim() });
+      }
+
+      // pop / apply
+      if (!Number.isInteger(index) || index < 0) return toolError(`Invalid stash index: ${index}`);
+      const ref = `stash@{${index}}`;
+      if (!(await resolveCommit(ref))) return toolError(`No stash entry ${ref}`);
+
+      const checked = await checkWorktreeWrites([["stash", "show", "--name-only", "--no-renames", "-z", "--include-untracked", ref]]);
+      if (checked.error) return toolError(checked.error);
+      const res = await run("git", ["stash", action, ref], { timeoutMs: 30000 });
+      const output = (res.out + res.err).trim();
+      if (res.code === 0) return toolResult({ action, ref, applied: true, conflicts: [], output });
+
+      const unmerged = await run("git", ["diff", "--name-only", "--diff-filter=U"], { timeoutMs: 10000 });
+      const conflicts = unmerged.out.split("\n").filter(Boolean);
+      if (!conflicts.length) return gitError(`git stash ${action}`, res);
+      // git keeps the entry when pop conflicts
+      return toolResult({ action, ref, applied: false, conflicts, output });
+    })
+  );
+
+  // --- git.show --------------------------------------------------------------
+  server.registerTool(
+    "git_show",
+    {
+      title: "Show a commit",
+      description:
+        "A commit's metadata (author, committer, parents), full message, changed files with status and added/deleted " +
+        "line counts, and each file's patch (cut at maxBytesPerFile; the whole response at maxBytes). Merge commits are " +
+        "diffed against their first parent. path limits files and patches to one file or directory.",
+      inputSchema: {
+        ref: z.string().optional(),              // default HEAD
+        path: z.string().optional(),
+        includePatch: z.boolean().optional(),    // default true
+        maxBytesPerFile: z.number().optional(),  // default 20000
+        maxBytes: z.number().optional(),
+      },
+      outputSchema: {
+        hash: z.string(),
+        shortHash: z.string(),
+        parents: z.array(z.string()),
+        author: personShape,
+        committer: personShape,
+        subject: z.string(),
+        body: z.string(),
+        files: z.array(showFileShape),
+        stats: z.object({ files: z.number(), additions: z.number(), deletions: z.number() }),
+        truncated: z.boolean(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    gitTool(async ({ ref = "HEAD", path, includePatch = true, maxBytesPerFile = 20000, maxBytes }) => {
+      const hash = !optionLike(ref) && (await resolveCommit(ref));
+      if (!hash) return toolError(`Unknown revision: ${ref}`);
+
+      const fmt = ["%H", "%h", "%P", "%an", "%ae", "%aI", "%cn", "%ce", "%cI", "%B"].join("%x00");
+      const meta = await run("git", ["show", "-s", `--format=${fmt}`, hash], { timeoutMs: 20000 });
+      if (meta.code !== 0) return gitError("git show", meta);
+      const [, shortHash, parentList, an, ae, ad, cn, ce, cd, message] = meta.out.split("\0");
+      const parents = parentList.split(" ").filter(Boolean);
+      const [subject, ...rest] = message.trimEnd().split("\n");
+
+      // Diff against the first parent; a root commit against the empty tree
+      const range = parents.length ? [parents[0], hash] : ["--root", hash];
+      const pathspec = path ? ["--", await toGitPath(path)] : [];
+      const diffTree = (...args) => run("git", ["diff-tree", "-r", "-M", "--no-commit-id", ...args, ...range, ...pathspec], { timeoutMs: 30000 });
+
+      const [status, numstat] = await Promise.all([diffTree("--name-status", "-z"), diffTree("--numstat", "-z")]);
+      if (status.code !== 0) return gitError("git diff-tree", status);
+      const counts = parseNumstat(numstat.out);
+      const files = parseNameStatus(status.out).map((f) => ({
+        ...f,
+        ...(counts.get(f.file) ?? { additions: 0, deletions: 0, binary: false }),
+      }));
+
+      let truncated = false;
+      if (includePatch) {
+        const patch = await diffTree("-p", "--no-color", "--no-ext-diff");
+        if (patch.code !== 0) return gitError("git diff-tree", patch);
+        const patches = new Map(splitDiff(patch.out).map((d) => [d.file, [d.header, ...d.hunks.map((h) => h.text)].join("\n")]));
+        let budget = Math.min(MAX_BYTES, Math.max(16 * 1024, maxBytes ?? MAX_BYTES));
+        for (const f of files) {
+          const full = patches.get(f.file) ?? "";
+          const cap = Math.max(0, Math.min(maxBytesPerFile, budget));
+          f.patch = full.slice(0, cap);
+          f.patchTruncated = full.length > cap;
+          truncated ||= f.patchTruncated;
+          budget -= f.patch.length;
+        }
+      }
+
+      const stats = {
+        files: files.length,
+        additions: files.reduce((n, f) => n + f.additions, 0),
+        deletions: files.reduce((n, f) => n + f.deletions, 0),
       };
-    }
+      const payload = {
+        hash,
+        shortHash,
+        parents,
+        author: { name: an, email: ae, date: ad },
+        committer: { name: cn, email: ce, date: cd },
+        subject,
+        body: rest.join("\n").trim(),
+        files,
+        stats,
+        truncated,
+      };
+      const text = [
+        `commit ${hash}`,
+        `Author: ${an} <${ae}>  ${ad}`,
+        "",
+        message.trimEnd(),
+        "",
+        ...files.map((f) => `${f.status} ${f.oldFile ? `${f.oldFile} -> ` : ""}${f.file} (+${f.additions} -${f.deletions})`),
+      ].join("\n");
+      return toolResult(payload, text);
+    })
   );
 
+  // --- git.blame -------------------------------------------------------------
+  server.registerTool(
+    "git_blame",
+    {
+      title: "Blame lines of a file",
+      description:
+        "Who last changed each line (startLine..endLine, 1-based, default the whole file up to maxLines) and in which commit: " +
+        "per-line commit, author and date plus a summary of each commit involved. ignoreWhitespace skips whitespace-only changes; " +
+        "followMoves also looks through lines moved or copied within and across files. ref blames an older revision.",
+      inputSchema: {
+        path: z.string(),
+        startLine: z.number().optional(),
+        endLine: z.number().optional(),
+        ref: z.string().optional(),
+        ignoreWhitespace: z.boolean().optional(),
+        followMoves: z.boolean().optional(),
+        maxLines: z.number().optional(),        // default 500
+      },
+      outputSchema: {
+        path: z.string(),
+        ref: z.string().nullable(),
+        lines: z.array(blameLineShape),
+        commits: z.array(blameCommitShape),
+        truncated: z.boolean(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    gitTool(async ({ path, startLine = 1, endLine, ref, ignoreWhitespace = false, followMoves = false, maxLines = 500 }) => {
+      if (!Number.isInteger(startLine) || startLine < 1 || (endLine !== undefined && (!Number.isInteger(endLine) || endLine < startLine))) {
+        return toolError("startLine and endLine must be 1-based line numbers with startLine <= endLine");
+      }
+      if (ref && (optionLike(ref) || !(await resolveCommit(ref)))) return toolError(`Unknown revision: ${ref}`);
+
+      const gitPath = await toGitPath(path);
+      const last = Math.min(endLine ?? Infinity, startLine + maxLines - 1);
+      const args = ["blame", "--porcelain", "-L", `${startLine},${last}`];
+      if (ignoreWhitespace) args.push("-w");
+      if (followMoves) args.push("-M", "-C");
+      if (ref) args.push(ref);
+      args.push("--", gitPath);
+
+      let res = await run("git", args, { timeoutMs: 60000 });
+      // Asked past the end of the file (e.g. the maxLines window): blame up to it
+      const short = /has only (\d+) lines?/.exec(res.err);
+      if (res.code !== 0 && short && Number(short[1]) >= startLine && endLine === undefined) {
+        args[3] = `${startLine},${short[1]}`;
+        res = await run("git", args, { timeoutMs: 60000 });
+      }
+      if (res.code !== 0) return gitError("git blame", res);
+
+      const { lines, commits } = parseBlamePorcelain(res.out);
+      // Without endLine the window is capped by maxLines; more lines may follow
+      const truncated = endLine === undefined && lines.length === maxLines;
+      const text = lines
+        .map((l) => `${l.commit.slice(0, 8)} ${l.author.padEnd(16).slice(0, 16)} ${l.date.slice(0, 10)} ${String(l.line).padStart(5)}  ${l.content}`)
+        .join("\n");
+      return toolResult({ path: gitPath, ref: ref ?? null, lines, commits, truncated }, text);
+    })
+  );
+
+  // --- git.history_stats -----------------------------------------------------
+  server.registerTool(
+    "git_history_stats",
+    {
+      title: "History analytics: churn, hotspots, ownership, coupling, cadence",
+      description:
+        "Analyzes the commits in a window (since/until as git dates, e.g. \"6 months ago\"; at most maxCommits, default " +
+        "1000; merges skipped; renames followed): per-file churn (commits, lines added/removed), hotspots (churn × current " +
+        "size, normalized so 1 is the most changed and largest file), top authors per directory (ownershipDepth path " +
+        "segments), co-change coupling between files changed together at least minTogether times, and commits per " +
+        "day/week/month. Lists are cut to top entries.",
+      inputSchema: {
+        since: z.string().optional(),
+        until: z.string().optional(),
+        ref: z.string().optional(),             // default HEAD
+        path: z.string().optional(),            // only history under this path
+        maxCommits: z.number().optional(),
+        top: z.number().optional(),             // default 20
+        interval: z.enum(["day", "week", "month"]).optional(), // cadence, default week
+        ownershipDepth: z.number().optional(),  // default 2
+        minTogether: z.number().optional(),     // coupling, default 3
+      },
+      outputSchema: {
+        window: z.object({
+          ref: z.string(),
+          since: z.string().nullable(),
+          until: z.string().nullable(),
+          commits: z.number(),
+          first: z.string().nullable(),         // ISO date of the oldest commit analyzed
+          last: z.string().nullable(),
+          truncated: z.boolean(),               // maxCommits reached; older commits not analyzed
+        }),
+        files: z.array(z.object({
+          file: z.string(),
+          commits: z.number(),
+          additions: z.number(),
+          deletions: z.number(),
+          churn: z.number(),
+          authors: z.number(),
+          lastChange: z.string(),
+        })),
+        hotspots: z.array(z.object({ file: z.string(), score: z.number(), churn: z.number(), commits: z.number(), lines: z.number() })),
+        ownership: z.array(z.object({
+          directory: z.string(),
+          commits: z.number(),
+          churn: z.number(),
+          authors: z.array(z.object({ name: z.string(), email: z.string(), commits: z.number(), churn: z.number(), share: z.number() })),
+        })),
+        coupling: z.array(z.object({ files: z.array(z.string()), together: z.number(), degree: z.number() })),
+        cadence: z.array(z.object({ period: z.string(), commits: z.number(), additions: z.number(), deletions: z.number(), authors: z.number() })),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    gitTool(async ({ since, until, ref = "HEAD", path, maxCommits = 1000, top = 20, interval = "week", ownershipDepth = 2, minTogether = 3 }) => {
+      if (optionLike(ref) || optionLike(since) || optionLike(until)) return toolError("ref, since and until must not start with '-'");
+      if (ref !== "HEAD" && !(await resolveCommit(ref))) return toolError(`Unknown revision: ${ref}`);
+      const commits = await readHistory({ since, until, maxCommits, ref, path: path ? await toGitPath(path) : undefined });
+      const churn = fileChurn(commits);
+
+      const files = [...churn.values()]
+        .sort((a, b) => b.churn - a.churn || b.commits - a.commits || (a.file < b.file ? -1 : 1))
+        .slice(0, top)
+        .map((s) => ({ ...s, authors: s.authors.size, lastChange: new Date(s.lastChange).toISOString() }));
+      const payload = {
+        window: {
+          ref,
+          since: since ?? null,
+          until: until ?? null,
+          commits: commits.length,
+          first: commits.length ? new Date(commits.at(-1).time).toISOString() : null,
+          last: commits.length ? new Date(commits[0].time).toISOString() : null,
+          truncated: commits.length === maxCommits,
+        },
+        files,
+        hotspots: (await hotspots(churn)).slice(0, top),
+        ownership: ownership(commits, { depth: ownershipDepth }).slice(0, top),
+        coupling: coupling(commits, churn, { minTogether }).slice(0, top),
+        cadence: cadence(commits, interval),
+      };
+
+      const text = [
+        `${commits.length} commit(s) ${payload.window.first ? `from ${payload.window.first.slice(0, 10)} to ${payload.window.last.slice(0, 10)}` : ""}`.trim(),
+        "Hotspots:",
+        ...payload.hotspots.slice(0, 10).map((h) => `  ${h.score.toFixed(3)}  ${h.file} (${h.commits} commits, ${h.churn} lines changed, ${h.lines} lines)`),
+        "Coupled files:",
+        ...payload.coupling.slice(0, 10).map((c) => `  ${c.together}×  ${c.files.join(" <-> ")} (degree ${c.degree})`),
+      ].join("\n");
+      return toolResult(payload, text);
+    })
+  );
+
+  // --- git.conflicts_list ----------------------------------------------------
+  server.registerTool(
+    "git_conflicts_list",
+    {
+      title: "List merge conflicts",
+      description:
+        "Files left unmerged by a merge, rebase, cherry-pick, revert or stash pop, each parsed into conflict hunks with " +
+        "the ours, base (only with merge.conflictStyle=diff3 or zdiff3) and theirs sides and their 1-based line ranges. " +
+        "During a rebase \"ours\" is the branch being rebased onto and \"theirs\" the commit being replayed. " +
+        "Files without markers (e.g. modified on one side, deleted on the other) have no hunks.",
+      inputSchema: {
+        path: z.string().optional(),          // one file or directory
+        includeText: z.boolean().optional(),  // default true; false returns line ranges only
+      },
+      outputSchema: {
+        operation: z.string().nullable(),     // merge | rebase | cherry-pick | revert, null when none
+        files: z.array(conflictFileShape),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    gitTool(async ({ path, includeText = true }) => {
+      const only = path ? await toGitPath(path) : null;
+      const files = (await unmergedFiles()).filter((f) => !only || only === "." || f.file === only || f.file.startsWith(`${only}/`));
+
+      for (const f of files) {
+        let text;
+        try {
+          text = await readFile((await resolveInRepo(f.file)).abs, "utf8");
+        } catch (e) {
+          if (e instanceof SandboxError) throw e;
+          continue; // deleted on our side: nothing to parse
+        }
+        try {
+          f.hunks = parseConflicts(text).hunks;
+        } catch (e) {
+          f.error = e.message;
+          continue;
+        }
+        if (!includeText) {
+          for (const h of f.hunks) for (const sd of [h.ours, h.base, h.theirs]) if (sd) delete sd.text;
+        }
+      }
+
+      const operation = await currentOperation();
+      const text = files.length
+        ? files.map((f) => `${f.conflict}: ${f.file} (${f.error ?? `${f.hunks.length} hunk(s)`})`).join("\n")
+        : "No conflicted files.";
+      return toolResult({ operation, files }, text);
+    })
+  );
+
+  // --- git.conflict_resolve --------------------------------------------------
+  server.registerTool(
+    "git_conflict_resolve",
+    {
+      title: "Resolve conflict hunks in a file",
+      description:
+        "Resolves conflict hunks of one file (numbers from git_conflicts_list; they shift after a partial resolution): take ours, theirs, base, both (ours then " +
+        "theirs) or custom text per hunk, or one side for all hunks with take. The file is rewritten (with a backup) and, " +
+        "once no markers remain, staged to mark it resolved. Files without markers (delete/modify conflicts) accept only " +
+        "take ours or theirs, which keeps that side's version or its deletion.",
+      inputSchema: {
+        path: z.string(),
+        resolutions: z.array(z.object({
+          hunk: z.number(),
+          take: z.enum(["ours", "theirs", "base", "both", "custom"]),
+          text: z.string().optional(),        // for custom
+        })).optional(),
+        take: z.enum(["ours", "theirs", "base", "both"]).optional(), // every hunk not in resolutions
+        markResolved: z.boolean().optional(), // default true
+      },
+      outputSchema: {
+        path: z.string(),
+        resolvedHunks: z.number(),
+        remainingHunks: z.number(),
+        markedResolved: z.boolean(),
+        backupId: z.string().optional(),
+        remainingFiles: z.array(z.string()),  // still unmerged anywhere in the repo
+      },
+      annotations: { readOnlyHint: false },
+    },
+    gitTool(async ({ path, resolutions = [], take, markResolved = true }) => {
+      if (!resolutions.length && !take) return toolError("Provide resolutions or take.", { code: "malformed" });
+      const target = await resolveForWrite(path);
+      const gitPath = target.rel;
+      const entry = (await unmergedFiles()).find((f) => f.file === gitPath);
+      if (!entry) return toolError(`${gitPath} is not in conflict.`, { code: "not_conflicted" });
+
+      const remainingFiles = async () => (await unmergedFiles()).map((f) => f.file);
+      let text = null;
+      try {
+        text = await readFile(target.abs, "utf8");
+      } catch {
+        // Deleted on our side
+      }
+      const hunks = text === null ? [] : (() => {
+        try {
+          return parseConflicts(text).hunks;
+        } catch {
+          return null;
+        }
+      })();
+      if (hunks === null) return toolError(`${gitPath} has malformed conflict markers; fix it with repo_edit_file.`, { code: "malformed" });
+
+      // No markers: keep one side's version of the whole file, or its deletion
+      if (!hunks.length) {
+        if (resolutions.length || (take !== "ours" && take !== "theirs")) {
+          return toolError(`${gitPath} has no conflict hunks (${entry.conflict}); use take "ours" or "theirs".`, { code: "malformed" });
+        }
+        const stage = take === "ours" ? 2 : 3;
+        const exists = (await run("git", ["cat-file", "-e", `:${stage}:${gitPath}`], { timeoutMs: 10000 })).code === 0;
+        const backup = await recordWrite(target);
+        const res = exists
+          ? await run("git", ["checkout", `--${take}`, "--", gitPath], { timeoutMs: 20000 })
+          : await run("git", ["rm", "--quiet", "--force", "--", gitPath], { timeoutMs: 20000 });
+        if (res.code !== 0) return gitError(exists ? "git checkout" : "git rm", res);
+        markIndexStale();
+        if (exists && markResolved) {
+          const add = await run("git", ["add", "--", gitPath], { timeoutMs: 20000 });
+          if (add.code !== 0) return gitError("git add", add);
+        }
+        const payload = {
+          path: gitPath,
+          resolvedHunks: 0,
+          remainingHunks: 0,
+          markedResolved: !exists || markResolved,
+          backupId: backup?.id,
+          remainingFiles: await remainingFiles(),
+        };
+        return toolResult(payload, `${exists ? `Kept ${take}` : "Deleted"} ${gitPath}`);
+      }
+
+      const explicit = new Set(resolutions.map((r) => r.hunk));
+      const all = [
+        ...resolutions,
+        ...(take ? hunks.filter((h) => !explicit.has(h.index)).map((h) => ({ hunk: h.index, take })) : []),
+      ];
+      let resolved;
+      try {
+        resolved = resolveConflicts(text, all);
+      } catch (e) {
+        if (e instanceof RangeError) return toolError(e.message, { code: "malformed" });
+        throw e;
+      }
+
+      const backup = await recordWrite(target);
+      await writeFile(target.abs, resolved.text, "utf8");
+      markIndexStale();
+
+      const markedResolved = markResolved && resolved.remaining === 0;
+      if (markedResolved) {
+        const add = await run("git", ["add", "--", gitPath], { timeoutMs: 20000 });
+        if (add.code !== 0) return gitError("git add", add);
+      }
+      const payload = {
+        path: gitPath,
+        resolvedHunks: hunks.length - resolved.remaining,
+        remainingHunks: resolved.remaining,
+        markedResolved,
+        backupId: backup?.id,
+        remainingFiles: await remainingFiles(),
+      };
+      const summary = `Resolved ${payload.resolvedHunks} of ${hunks.length} hunk(s) in ${gitPath}` +
+        (markedResolved ? " and marked it resolved." : ".");
+      return toolResult(payload, summary);
+    })
+  );
+
+  // --- git.operation ---------------------------------------------------------
+  server.registerTool(
+    "git_operation",
+    {
+      title: "Continue or abort a merge or rebase",
+      description:
+        "Controls the merge, rebase, cherry-pick or revert in progress. status reports it; continue carries on once every " +
+        "conflict is resolved (keeping git's prepared commit message, no editor); abort returns to the state before it " +
+        "started; skip drops the current commit (rebase, cherry-pick and revert only). Reports the resulting state: the " +
+        "operation still in progress (e.g. the next rebase step stopped on new conflicts), branch, HEAD and conflicted files.",
+      inputSchema: {
+        action: z.enum(["status", "continue", "abort", "skip"]),
+      },
+      outputSchema: {
+        action: z.string(),
+        operation: z.string().nullable(),     // what was in progress before the action
+        ok: z.boolean(),
+        output: z.string().optional(),
+        state: z.object({
+          operation: z.string().nullable(),   // in progress now
+          branch: z.string().nullable(),      // null when detached (e.g. mid-rebase)
+          head: z.string().nullable(),
+          conflicts: z.array(z.string()),
+        }),
+      },
+      annotations: { readOnlyHint: false },
+    },
+    gitTool(async ({ action }) => {
+      const operation = await currentOperation();
+      if (action !== "status" && !operation) return toolError("No merge, rebase, cherry-pick or revert in progress.", { code: "no_operation" });
+      if (action === "skip" && operation === "merge") return toolError("A merge cannot be skipped; abort it instead.", { code: "malformed" });
+
+      // Every file the step may rewrite must be writable
+      const listings = await operationWrites(operation, action);
+      if (listings === null && POLICY.writePaths) {
+        return toolError(`Cannot tell which files ${operation} --${action} would change, so it is not allowed when the policy restricts write paths.`, { code: "write_denied" });
+      }
+      const checked = await checkWorktreeWrites(listings ?? []);
+      if (checked.error) return toolError(checked.error);
+
+      let res = null;
+      if (action !== "status") {
+        // Never wait on an editor for the commit message
+        res = await run("git", [operation, `--${action}`], { timeoutMs: 120000, env: { GIT_EDITOR: "true" } });
+      }
+
+      const [now, branch, head, unmerged] = await Promise.all([
+        currentOperation(),
+        currentBranch(),
+        run("git", ["rev-parse", "--short", "--verify", "--quiet", "HEAD"], { timeoutMs: 10000 }),
+        unmergedFiles(),
+      ]);
+      const state = { operation: now, branch, head: head.out.trim() || null, conflicts: unmerged.map((f) => f.file) };
+      // Drop progress lines git redraws with "\r" (e.g. "Rebasing (2/2)")
+      const output = res ? (res.out + res.err).replace(/[^\n]*\r(?:\x1b\[K)?/g, "").trim() : undefined;
+      const payload = { action, operation, ok: !res || res.code === 0, output, state };
+      const text = [
+        res ? `${operation} --${action} ${payload.ok ? "succeeded" : "failed"}` : `In progress: ${operation ?? "nothing"}`,
+        payload.output,
+        `Now: ${now ?? "no operation in progress"} on ${branch ?? `detached ${state.head}`}` +
+          (state.conflicts.length ? `, conflicts: ${state.conflicts.join(", ")}` : ""),
+      ].filter(Boolean).join("\n");
+      return toolResult(payload, text);
+    })
+  );
 }
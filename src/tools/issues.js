@@ -1,9 +1,124 @@
 import { z } from "zod";
-import { run } from "../helpers/process.js";
+import { MAX_BYTES } from "../helpers/config.js";
+import { toolResult, toolError } from "../helpers/result.js";
+import { queryItems, getIssue, getPull, createIssue, commentIssue } from "../helpers/github.js";
+import { GitHubError } from "../helpers/githubProviders.js";
 
-async function hasGh() {
-  const { code } = await run("gh", ["--version"], { timeoutMs: 5000 });
-  return code === 0;
+const userShape = z.object({ login: z.string() }).passthrough();
+const labelShape = z.object({ name: z.string() }).passthrough();
+
+const issueShape = z.object({
+  number: z.number(),
+  title: z.string(),
+  state: z.string(),
+  labels: z.array(labelShape).optional(),
+  assignees: z.array(userShape).optional(),
+  author: userShape.nullable().optional(),
+  createdAt: z.string().nullable().optional(),
+  updatedAt: z.string().nullable().optional(),
+  url: z.string(),
+}).passthrough();
+
+const prShape = z.object({
+  number: z.number(),
+  title: z.string(),
+  state: z.string(),
+  author: userShape.nullable().optional(),
+  updatedAt: z.string().nullable().optional(),
+  headRefName: z.string().nullable().optional(),
+  url: z.string(),
+}).passthrough();
+
+const commentShape = z.object({
+  author: userShape.nullable(),
+  body: z.string(),
+  createdAt: z.string().nullable(),
+  url: z.string(),
+});
+
+const issueDetailShape = issueShape.extend({
+  body: z.string(),
+  comments: z.array(commentShape),
+  // pull requests that mention the issue
+  linkedPullRequests: z.array(z.object({ number: z.number(), title: z.string(), state: z.string(), url: z.string() })),
+});
+
+const prDetailShape = prShape.extend({
+  body: z.string(),
+  baseRefName: z.string().nullable(),
+  isDraft: z.boolean(),
+  additions: z.number().nullable().optional(),
+  deletions: z.number().nullable().optional(),
+  mergeable: z.boolean().nullable(),
+  comments: z.array(commentShape),
+  reviews: z.array(z.object({ author: userShape.nullable(), state: z.string(), body: z.string(), submittedAt: z.string().nullable() })),
+  reviewComments: z.array(commentShape.extend({ path: z.string(), line: z.number().nullable() })),
+  files: z.array(z.object({ file: z.string(), oldFile: z.string().nullable(), status: z.string(), additions: z.number(), deletions: z.number() })),
+  checks: z.object({
+    state: z.enum(["success", "failure", "pending", "none"]),
+    total: z.number(),
+    failed: z.number(),
+    pending: z.number(),
+    runs: z.array(z.object({ name: z.string(), status: z.string(), conclusion: z.string().nullable(), url: z.string().nullable().optional() })),
+  }),
+  diff: z.string().nullable(),
+  diffTruncated: z.boolean(),
+});
+
+// What a call sends (or with dryRun, would send)
+const requestsShape = {
+  dryRun: z.boolean(),
+  provider: z.string(),
+  via: z.string(),            // "gh api", the API URL, or the fixture file
+  requests: z.array(z.object({
+    method: z.string(),
+    path: z.string(),
+    accept: z.string().optional(),
+    body: z.record(z.unknown()).optional(),
+  })),
+};
+
+// Shared by issues_list and prs_list
+const listInputShape = {
+  limit: z.number().int().positive().optional(), // page size, default 20
+  page: z.number().int().positive().optional(),  // 1-based
+  search: z.string().optional(),                 // words in title or body, or #number
+  labels: z.array(z.string()).optional(),        // all of them
+  author: z.string().optional(),
+  assignee: z.string().optional(),
+  refresh: z.boolean().optional(),               // bypass the cache
+};
+
+const pageShape = {
+  page: z.number(),
+  perPage: z.number(),
+  total: z.number(),          // matches across all pages
+  hasMore: z.boolean(),
+  complete: z.boolean(),      // false when the provider's fetch limit cut off older items
+  provider: z.string(),       // gh | rest | fixture
+  cached: z.boolean(),
+};
+
+// Provider problems (no gh, no token, API errors) become typed tool errors
+function githubTool(handler) {
+  return async (args, extra) => {
+    try {
+      return await handler(args, extra);
+    } catch (e) {
+      if (e instanceof GitHubError) return toolError(e.message, { code: e.code });
+      throw e;
+    }
+  };
+}
+
+const dryRunText = (result) =>
+  [`Dry run via ${result.via} (${result.provider}):`, ...result.requests.map((r) => `${r.method} ${r.path}${r.body ? `\n${JSON.stringify(r.body, null, 2)}` : ""}`)].join("\n");
+
+function listText(result) {
+  if (!result.items.length) return `No matches (${result.provider}).`;
+  const lines = result.items.map((i) => `#${i.number} [${i.state}] ${i.title}${i.labels.length ? ` (${i.labels.map((l) => l.name).join(", ")})` : ""}`);
+  lines.push(`page ${result.page}, ${result.total} match(es)${result.hasMore ? ", more on the next page" : ""} via ${result.provider}`);
+  return lines.join("\n");
 }
 
 export function registerIssuesTools(server) {
@@ -11,96 +126,160 @@ export function registerIssuesTools(server) {
   server.registerTool(
     "issues_list",
     {
-      title: "List GitHub issues (requires gh CLI)",
+      title: "List GitHub issues",
       description:
-        "Lists issues via GitHub CLI for the current repo. If gh is not installed or authenticated, returns a helpful message.",
+        "Lists the repo's issues through the configured provider (gh CLI, REST API with GITHUB_TOKEN, or an offline " +
+        "fixture file), filtered by state, search words, labels, author and assignee, newest first and paged. " +
+        "Lists are cached briefly; refresh bypasses the cache.",
       inputSchema: {
         state: z.string().optional(), // "OPEN", "CLOSED", "ALL"
-        limit: z.number().optional(), // default 20
-        search: z.string().optional(), // filter by a search query
+        ...listInputShape,
       },
+      outputSchema: { items: z.array(issueShape), ...pageShape },
+      annotations: { readOnlyHint: true },
     },
-    async ({ state = "OPEN", limit = 20, search }) => {
-      if (!(await hasGh())) {
-        return {
-          content: [{
-            type: "text",
-            text: "GitHub CLI (gh) is not installed or not on PATH. Install from https://cli.github.com/ and run `gh auth login`."
-          }],
-        //   structuredContent: [],
-        };
-      }
-
-      // Ask gh to output JSON so we can structure it
-      const args = ["issue", "list", "--limit", String(limit), "--json",
-        "number,title,state,labels,assignees,author,createdAt,updatedAt,url"];
-
-      if (state) args.push("--state", state.toLowerCase()); // open/closed/all
-      if (search) args.push("--search", search);
-
-      const { code, out, err } = await run("gh", args, { timeoutMs: 30000 });
-      if (code !== 0) {
-        return {
-          content: [{ type: "text", text: `gh issue list failed: ${err || "unknown error"}` }],
-        //   structuredContent: [],
-        };
-      }
-
-      let items = [];
-      try { items = JSON.parse(out); } catch { /* leave empty */ }
-
-      return {
-        content: [{ type: "text", text: JSON.stringify(items, null, 2) }],
-        // structuredContent: items,
-      };
-    }
+    githubTool(async ({ state = "OPEN", limit = 20, page = 1, ...filters }) => {
+      const result = await queryItems("issues", { state, perPage: limit, page, ...filters });
+      return toolResult(result, listText(result));
+    })
   );
 
   // --- prs.list --------------------------------------------------------------
   server.registerTool(
     "prs_list",
     {
-      title: "List GitHub pull requests (requires gh CLI)",
+      title: "List GitHub pull requests",
       description:
-        "Lists PRs via GitHub CLI for the current repo. If gh is not installed or authenticated, returns a helpful message.",
+        "Lists the repo's pull requests through the configured provider (gh CLI, REST API with GITHUB_TOKEN, or an " +
+        "offline fixture file), filtered by state (CLOSED includes merged), search words, labels, author and assignee, " +
+        "newest first and paged. Lists are cached briefly; refresh bypasses the cache.",
       inputSchema: {
         state: z.string().optional(), // "OPEN", "CLOSED", "MERGED", "ALL"
-        limit: z.number().optional(), // default 20
-        search: z.string().optional(),
+        ...listInputShape,
       },
+      outputSchema: { items: z.array(prShape), ...pageShape },
+      annotations: { readOnlyHint: true },
     },
-    async ({ state = "OPEN", limit = 20, search }) => {
-      if (!(await hasGh())) {
-        return {
-          content: [{
-            type: "text",
-            text: "GitHub CLI (gh) is not installed or not on PATH. Install from https://cli.github.com/ and run `gh auth login`."
-          }],
-        //   structuredContent: [],
-        };
-      }
-
-      const args = ["pr", "list", "--limit", String(limit), "--json",
-        "number,title,state,author,updatedAt,headRefName,url"];
-
-      if (state) args.push("--state", state.toLowerCase()); // open/closed/merged/all
-      if (search) args.push("--search", search);
-
-      const { code, out, err } = await run("gh", args, { timeoutMs: 30000 });
-      if (code !== 0) {
-        return {
-          content: [{ type: "text", text: `gh pr list failed: ${err || "unknown error"}` }],
-        //   structuredContent: [],
-        };
-      }
-
-      let items = [];
-      try { items = JSON.parse(out); } catch { /* leave empty */ }
-
-      return {
-        content: [{ type: "text", text: JSON.stringify(items, null, 2) }],
-        // structuredContent: items,
-      };
-    }
+    githubTool(async ({ state = "OPEN", limit = 20, page = 1, ...filters }) => {
+      const result = await queryItems("pulls", { state, perPage: limit, page, ...filters });
+      return toolResult(result, listText(result));
+    })
+  );
+
+  // --- issues.get ------------------------------------------------------------
+  server.registerTool(
+    "issues_get",
+    {
+      title: "Get a GitHub issue",
+      description:
+        "One issue with its body, labels, assignees, comments and the pull requests that reference it. " +
+        "dryRun returns the REST requests that would be made instead.",
+      inputSchema: {
+        number: z.number().int().positive(),
+        dryRun: z.boolean().optional(),
+      },
+      outputSchema: { ...requestsShape, issue: issueDetailShape.optional() },
+      annotations: { readOnlyHint: true },
+    },
+    githubTool(async ({ number, dryRun = false }) => {
+      const result = await getIssue(number, { dryRun });
+      if (dryRun) return toolResult(result, dryRunText(result));
+      const { issue } = result;
+      const text = [
+        `#${issue.number} [${issue.state}] ${issue.title}`,
+        issue.body,
+        ...issue.comments.map((c) => `--- ${c.author?.login ?? "ghost"} ${c.createdAt ?? ""}\n${c.body}`),
+        ...issue.linkedPullRequests.map((p) => `linked PR #${p.number} [${p.state}] ${p.title}`),
+      ].filter(Boolean).join("\n\n");
+      return toolResult(result, text);
+    })
+  );
+
+  // --- issues.create ---------------------------------------------------------
+  server.registerTool(
+    "issues_create",
+    {
+      title: "Create a GitHub issue",
+      description:
+        "Opens an issue with a title and optional body, labels and assignees. " +
+        "dryRun returns the exact request (method, path, JSON body) without sending it.",
+      inputSchema: {
+        title: z.string().min(1),
+        body: z.string().optional(),
+        labels: z.array(z.string()).optional(),
+        assignees: z.array(z.string()).optional(),
+        dryRun: z.boolean().optional(),
+      },
+      outputSchema: { ...requestsShape, issue: issueShape.optional() },
+      annotations: { readOnlyHint: false },
+    },
+    githubTool(async ({ dryRun = false, ...input }) => {
+      const result = await createIssue(input, { dryRun });
+      if (dryRun) return toolResult(result, dryRunText(result));
+      return toolResult(result, `Created #${result.issue.number}: ${result.issue.url}`);
+    })
+  );
+
+  // --- issues.comment --------------------------------------------------------
+  server.registerTool(
+    "issues_comment",
+    {
+      title: "Comment on a GitHub issue or pull request",
+      description:
+        "Adds a comment to an issue or to a pull request's conversation. " +
+        "dryRun returns the exact request (method, path, JSON body) without sending it.",
+      inputSchema: {
+        number: z.number().int().positive(),
+        body: z.string().min(1),
+        dryRun: z.boolean().optional(),
+      },
+      outputSchema: { ...requestsShape, comment: commentShape.optional() },
+      annotations: { readOnlyHint: false },
+    },
+    githubTool(async ({ number, body, dryRun = false }) => {
+      const result = await commentIssue(number, body, { dryRun });
+      if (dryRun) return toolResult(result, dryRunText(result));
+      return toolResult(result, `Commented on #${number}: ${result.comment.url}`);
+    })
+  );
+
+  // --- prs.get ---------------------------------------------------------------
+  server.registerTool(
+    "prs_get",
+    {
+      title: "Get a GitHub pull request",
+      description:
+        "One pull request with its description, conversation comments, reviews and review comments (file and line), " +
+        "combined checks status (check runs and commit statuses), changed files with line counts, and the diff " +
+        "(cut at maxDiffBytes; includeDiff false skips it). dryRun returns the REST requests that would be made instead.",
+      inputSchema: {
+        number: z.number().int().positive(),
+        includeDiff: z.boolean().optional(),     // default true
+        maxDiffBytes: z.number().optional(),     // default 50000
+        dryRun: z.boolean().optional(),
+      },
+      outputSchema: { ...requestsShape, pull: prDetailShape.optional() },
+      annotations: { readOnlyHint: true },
+    },
+    githubTool(async ({ number, includeDiff = true, maxDiffBytes = 50000, dryRun = false }) => {
+      const result = await getPull(number, { includeDiff, dryRun });
+      if (dryRun) return toolResult(result, dryRunText(result));
+
+      const { pull } = result;
+      const cap = Math.min(MAX_BYTES, Math.max(1024, maxDiffBytes));
+      pull.diffTruncated = pull.diff !== null && pull.diff.length > cap;
+      if (pull.diffTruncated) pull.diff = pull.diff.slice(0, cap);
+
+      const text = [
+        `#${pull.number} [${pull.state}${pull.isDraft ? ", draft" : ""}] ${pull.title} (${pull.headRefName} -> ${pull.baseRefName})`,
+        `checks: ${pull.checks.state} (${pull.checks.total} run(s), ${pull.checks.failed} failed, ${pull.checks.pending} pending)`,
+        pull.body,
+        pull.files.map((f) => `${f.status} ${f.file} (+${f.additions} -${f.deletions})`).join("\n"),
+        ...pull.reviews.map((r) => `--- review ${r.state} by ${r.author?.login ?? "ghost"}${r.body ? `\n${r.body}` : ""}`),
+        ...pull.reviewComments.map((c) => `--- ${c.author?.login ?? "ghost"} on ${c.path}${c.line ? `:${c.line}` : ""}\n${c.body}`),
+        pull.diff ? `${pull.diff}${pull.diffTruncated ? "\n…[truncated]" : ""}` : "",
+      ].filter(Boolean).join("\n\n");
+      return toolResult(result, text);
+    })
   );
 }
@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { toolResult } from "../helpers/result.js";
 
 export function registerPing(server) {
   server.registerTool(
@@ -8,9 +9,12 @@ export function registerPing(server) {
       description: "Health check",
       // 👇 keep your original “plain object schema” style
       inputSchema: { msg: z.string().optional() },
+      outputSchema: { message: z.string() },
+      annotations: { readOnlyHint: true },
     },
-    async ({ msg }) => ({
-      content: [{ type: "text", text: msg ?? "pong" }],
-    })
+    async ({ msg }) => {
+      const message = msg ?? "pong";
+      return toolResult({ message }, message);
+    }
   );
 }
@@ -1,9 +1,151 @@
 import { z } from "zod";
 import path from "node:path";
-import { writeFile, access, copyFile } from "node:fs/promises";
+import { writeFile, readFile, access, mkdir, rm } from "node:fs/promises";
 import { safeReadFile } from "../helpers/fs.js";
-import { REPO_ROOT, MAX_BYTES, isAllowed } from "../helpers/config.js";
+import { REPO_ROOT, MAX_BYTES, BACKUP_DIR, DENY_GLOBS } from "../helpers/config.js";
+import { resolveInRepo, resolveForWrite, sandboxed } from "../helpers/sandbox.js";
 import { run } from "../helpers/process.js";
+import { toolResult, toolError } from "../helpers/result.js";
+import {
+  recordWrite, listBackups, restoreBackup, undoWrites, pruneBackups, findLegacyBackups,
+} from "../helpers/backups.js";
+import { searchIndex, findFilesIndexed, markIndexStale, termDocuments, tokenize } from "../helpers/codeIndex.js";
+import { queryTerms, corpusStats, pathMatch, scoreDocument } from "../helpers/ranking.js";
+import { packContext } from "../helpers/contextPack.js";
+import { analyzeManifests, rootProjectInfo } from "../helpers/manifests.js";
+import { projectStats } from "../helpers/projectStats.js";
+import { buildTree, renderTree } from "../helpers/tree.js";
+import { buildDependencyGraph, findCycles, findOrphans, dependentsOf, toDot } from "../helpers/depGraph.js";
+import { readHistory, fileChurn, hotspots } from "../helpers/gitHistory.js";
+import { PatchError, applyEdits, applyUnifiedDiff, createUnifiedDiff, sha256, sha256File } from "../helpers/patch.js";
+
+const matchShape = z.object({
+  file: z.string(),
+  line: z.number(),
+  col: z.number(),
+  text: z.string(),
+});
+
+const contextFileShape = z.object({
+  path: z.string(),
+  score: z.number(),
+  reasons: z.array(z.string()),
+  size: z.number(),
+  content: z.string().optional(),
+  error: z.string().optional(),
+  // tokenBudget mode: matching regions instead of the whole file
+  tokens: z.number().optional(),
+  truncated: z.boolean().optional(),
+  omittedSnippets: z.number().optional(),
+  snippets: z.array(z.object({ startLine: z.number(), endLine: z.number(), text: z.string() })).optional(),
+});
+
+const backupShape = z.object({
+  id: z.string(),
+  path: z.string(),
+  time: z.string(),
+  existed: z.boolean(), // false: the write created the file, restoring deletes it
+  size: z.number(),
+  restored: z.boolean(),
+});
+
+// repo_tree node: directories carry recursive counts, children down to `depth`
+const treeNodeShape = z.lazy(() => z.object({
+  name: z.string(),
+  path: z.string(),
+  type: z.enum(["dir", "file", "symlink"]),
+  bytes: z.number(),
+  files: z.number().optional(),
+  dirs: z.number().optional(),
+  children: z.array(treeNodeShape).optional(),
+  omitted: z.number().optional(), // children dropped by maxEntries
+}));
+
+const dependencyEdgeShape = z.object({
+  from: z.string(),
+  to: z.string(),
+  kinds: z.array(z.enum(["import", "export", "require", "dynamic"])),
+  line: z.number(),
+  typeOnly: z.boolean(),
+  alias: z.string().optional(), // tsconfig paths pattern (or "baseUrl") used to resolve it
+});
+
+const projectAnalysisShape = {
+  metadata: z.object({
+    name: z.string().nullable().optional(),
+    type: z.string(),                  // ecosystems joined with "+", e.g. "nodejs+python"
+    ecosystems: z.array(z.string()),
+    description: z.string().nullable().optional(),
+    version: z.string().nullable().optional(),
+    author: z.any().optional(), // string or { name, email } in package.json
+    license: z.string().nullable().optional(),
+  }),
+  structure: z.object({
+    directories: z.array(z.string()),
+    files: z.array(z.string()),
+    totalFiles: z.number(),
+    totalDirectories: z.number(),
+  }),
+  mainFiles: z.array(z.string()),
+  dependencies: z.object({
+    production: z.array(z.string()),
+    development: z.array(z.string()),
+    total: z.number(),
+    ecosystems: z.array(z.object({ id: z.string(), manifests: z.array(z.string()), lockfiles: z.array(z.string()) })),
+    entries: z.array(z.object({
+      ecosystem: z.string(),
+      manifest: z.string(),
+      name: z.string(),
+      version: z.string().nullable(),
+      scope: z.string(),
+      group: z.string().optional(),
+    })),
+    lockfiles: z.array(z.object({ path: z.string(), ecosystem: z.string(), packages: z.number() })),
+    // Declared version ranges the lockfile does not satisfy ("mismatch") or lacks ("missing")
+    drift: z.array(z.object({
+      ecosystem: z.string(),
+      manifest: z.string(),
+      lockfile: z.string(),
+      name: z.string(),
+      declared: z.string(),
+      locked: z.array(z.string()),
+      status: z.enum(["mismatch", "missing"]),
+    })),
+    errors: z.array(z.object({ path: z.string(), error: z.string() })),
+  }),
+  gitInfo: z.object({
+    isGitRepo: z.boolean(),
+    branch: z.string().nullable(),
+    commitCount: z.number(),
+    lastCommit: z.object({ hash: z.string(), date: z.string(), subject: z.string() }).nullable(),
+    remoteUrl: z.string().nullable(),
+  }),
+  stats: z.object({
+    source: z.string(), // "git" (ls-files) | "walk"
+    totalFiles: z.number(),
+    totalLines: z.number(), // code + comment + blank, in files of a known language
+    codeLines: z.number(),
+    commentLines: z.number(),
+    blankLines: z.number(),
+    totalBytes: z.number(),
+    binaryFiles: z.number(),
+    languages: z.record(z.object({
+      files: z.number(),
+      code: z.number(),
+      comment: z.number(),
+      blank: z.number(),
+      bytes: z.number(),
+    })),
+    fileTypes: z.record(z.number()),
+    largestFiles: z.array(z.object({
+      path: z.string(),
+      bytes: z.number(),
+      lines: z.number().nullable(),
+      language: z.string().nullable(),
+    })),
+  }).nullable(),
+  timestamp: z.string(),
+};
 
 export function registerRepoTools(server) {
   // --- repo.file ---
@@ -17,29 +159,47 @@ export function registerRepoTools(server) {
         start: z.number().optional(),
         end: z.number().optional(),
       },
+      outputSchema: {
+        path: z.string(),
+        start: z.number(),
+        text: z.string(),
+        sha256: z.string(), // hash of the whole file, usable as repo_edit_file's expectedHash
+      },
+      annotations: { readOnlyHint: true },
     },
-    async ({ path: rel, start = 0, end = MAX_BYTES }) => {
+    sandboxed(async ({ path: rel, start = 0, end = MAX_BYTES }) => {
       const text = await safeReadFile(rel, start, end);
-      return { content: [{ type: "text", text }] };
-    }
+      const hash = await sha256File((await resolveInRepo(rel)).abs);
+      return toolResult({ path: rel, start, text, sha256: hash }, text);
+    })
   );
 
   // --- repo.search (ripgrep) ---
   server.registerTool(
     "repo_search",
     {
-      title: "Search the repo with ripgrep",
+      title: "Search the repo",
       description:
-        "Returns file, line, column, and a short match snippet.",
+        "Regex search over the code index (ripgrep when the index is unavailable). Returns file, line, column, and a short match snippet.",
       inputSchema: {
         query: z.string(),
         maxResults: z.number().optional(),
       },
+      outputSchema: {
+        results: z.array(matchShape),
+        source: z.enum(["index", "ripgrep"]),
+      },
+      annotations: { readOnlyHint: true },
     },
     async ({ query, maxResults = 50 }) => {
       const rgCmd = process.env.RG_CMD || "rg";
       const SEARCH_ROOT = process.env.SEARCH_ROOT || ".";
 
+      const indexed = await searchIndex(query, { maxResults, under: SEARCH_ROOT });
+      if (indexed) {
+        return toolResult({ results: indexed, source: "index" }, JSON.stringify(indexed, null, 2));
+      }
+
       const args = [
         "--vimgrep", "-n", "-H",
         "--max-filesize", "1M",
@@ -51,6 +211,7 @@ export function registerRepoTools(server) {
         "--glob", "!venv",
         "--glob", "!__pycache__",
         "--glob", "!**/*.min.*",
+        ...DENY_GLOBS.flatMap(g => ["--glob", `!${g}`]),
         query,
         SEARCH_ROOT
       ];
@@ -58,12 +219,13 @@ export function registerRepoTools(server) {
       const { code, out, err } = await run(rgCmd, args, { timeoutMs: 60000 });
 
       if (code === -3 || (code === -1 && /Spawn failed/.test(err))) {
-        throw new Error(
-          "ripgrep (rg) not found. Install it or set RG_CMD to its full path in Inspector (Environment Variables)."
+        return toolError(
+          "ripgrep (rg) not found. Install it or set RG_CMD to its full path in Inspector (Environment Variables).",
+          { code: "rg_missing" }
         );
       }
       if (code > 1) {
-        throw new Error(`ripgrep failed: ${err || "unknown error"}`);
+        return toolError(`ripgrep failed: ${err || "unknown error"}`, { code: "rg_failed" });
       }
 
       const lines = out ? out.split("\n").filter(Boolean) : [];
@@ -77,30 +239,73 @@ export function registerRepoTools(server) {
         };
       });
 
-      return {
-        content: [{ type: "text", text: JSON.stringify(results, null, 2) }],
-      };
+      return toolResult({ results, source: "ripgrep" }, JSON.stringify(results, null, 2));
     }
   );
 
+  // --- repo.tree ---
+  server.registerTool(
+    "repo_tree",
+    {
+      title: "Directory tree",
+      description:
+        "Lists the directory tree under path (default: repo root), skipping whatever .gitignore/.ignore files and the deny list exclude. " +
+        "Every directory reports its recursive file count, subdirectory count and size, even below depth. " +
+        "include/exclude take globs (e.g. \"**/*.ts\", \"test/\"); format: json (nested tree, default) or text (indented like `tree`).",
+      inputSchema: {
+        path: z.string().optional(),
+        depth: z.number().optional(),              // default 3
+        include: z.array(z.string()).optional(),   // only files matching one of these
+        exclude: z.array(z.string()).optional(),
+        dirsOnly: z.boolean().optional(),
+        format: z.enum(["json", "text"]).optional(),
+        maxEntries: z.number().optional(),         // default 1000 listed nodes
+      },
+      outputSchema: {
+        root: treeNodeShape,
+        entries: z.number(),
+        truncated: z.boolean(),
+        text: z.string().optional(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    sandboxed(async ({ path: under = ".", depth = 3, include = [], exclude = [], dirsOnly = false, format = "json", maxEntries = 1000 }) => {
+      const { rel } = await resolveInRepo(under);
+      const tree = await buildTree(rel, { depth, include, exclude, dirsOnly, maxEntries });
+      if (format === "text") {
+        const text = renderTree(tree.root);
+        return toolResult({ ...tree, text }, text);
+      }
+      return toolResult(tree);
+    })
+  );
+
   // --- repo.write_file (NEW) ---
   server.registerTool(
     "repo_write_file",
     {
       title: "Write file to repository",
-      description: "Create or update files in the repo with backup option",
+      description:
+        "Create or update files in the repo. With backup (default), the previous state is kept in the backup store outside the repo so the write can be undone.",
       inputSchema: {
         path: z.string(),
         content: z.string(),
         backup: z.boolean().optional(),
         overwrite: z.boolean().optional(),
       },
+      outputSchema: {
+        path: z.string(),
+        written: z.boolean(),
+        chars: z.number(),
+        backupCreated: z.boolean(),
+        backupId: z.string().optional(),
+        reason: z.string().optional(), // set when written is false
+      },
+      annotations: { readOnlyHint: false },
     },
-    async ({ path: relPath, content, backup = true, overwrite = false }) => {
-      const abs = path.resolve(REPO_ROOT, relPath);
-      if (!isAllowed(abs)) {
-        throw new Error("Access denied: path outside repo");
-      }
+    sandboxed(async ({ path: relPath, content, backup = true, overwrite = false }) => {
+      const target = await resolveForWrite(relPath);
+      const { abs } = target;
 
       // Check if file exists
       let fileExists = false;
@@ -113,30 +318,233 @@ export function registerRepoTools(server) {
 
       // If file exists and overwrite is false, ask for confirmation
       if (fileExists && !overwrite) {
-        return {
-          content: [{
-            type: "text",
-            text: `File ${relPath} already exists. Use overwrite: true to replace it.`
-          }]
-        };
+        return toolResult(
+          { path: relPath, written: false, chars: 0, backupCreated: false, reason: "file_exists" },
+          `File ${relPath} already exists. Use overwrite: true to replace it.`
+        );
       }
 
-      // Backup existing file if requested
-      if (fileExists && backup) {
-        const backupPath = `${abs}.backup-${Date.now()}`;
-        await copyFile(abs, backupPath);
-      }
+      // Record the previous state (or its absence) so the write can be undone
+      const entry = backup ? await recordWrite(target) : null;
+      const backupCreated = Boolean(entry);
 
       // Write the file
+      await mkdir(path.dirname(abs), { recursive: true });
       await writeFile(abs, content, 'utf8');
+      markIndexStale();
+
+      return toolResult(
+        { path: relPath, written: true, chars: content.length, backupCreated, backupId: entry?.id },
+        `✅ Successfully wrote ${content.length} characters to ${relPath}${backupCreated ? ' (backup created)' : ''}`
+      );
+    })
+  );
+
+  // --- repo.edit_file ---
+  server.registerTool(
+    "repo_edit_file",
+    {
+      title: "Edit a file with search/replace hunks or a unified diff",
+      description:
+        "Applies exact search/replace edits or a single-file unified diff to an existing file. " +
+        "Fails without writing if any hunk is missing, ambiguous, or the file changed since expectedHash (sha256 of its content).",
+      inputSchema: {
+        path: z.string(),
+        edits: z.array(z.object({
+          search: z.string(),
+          replace: z.string(),
+          replaceAll: z.boolean().optional(),
+        })).optional(),
+        patch: z.string().optional(),          // unified diff for this file
+        expectedHash: z.string().optional(),   // sha256 of the content the edit was made against
+        backup: z.boolean().optional(),
+        dryRun: z.boolean().optional(),
+      },
+      outputSchema: {
+        path: z.string(),
+        applied: z.boolean(),
+        hashBefore: z.string(),
+        hashAfter: z.string(),
+        diff: z.string(),
+        backupCreated: z.boolean(),
+        backupId: z.string().optional(),
+      },
+      annotations: { readOnlyHint: false },
+    },
+    sandboxed(async ({ path: relPath, edits, patch, expectedHash, backup = true, dryRun = false }) => {
+      const target = await resolveForWrite(relPath);
+      const { abs } = target;
+      const hasEdits = edits?.length > 0;
+      if (hasEdits === Boolean(patch)) {
+        return toolError("Provide exactly one of `edits` or `patch`.", { code: "malformed" });
+      }
+
+      let before;
+      try {
+        before = await readFile(abs, "utf8");
+      } catch {
+        return toolError(`File ${relPath} does not exist. Use repo_write_file to create it.`, { code: "not_found" });
+      }
 
-      return {
-        content: [{
-          type: "text",
-          text: `✅ Successfully wrote ${content.length} characters to ${relPath}${fileExists && backup ? ' (backup created)' : ''}`
-        }]
+      const hashBefore = sha256(before);
+      let after;
+      try {
+        if (expectedHash && expectedHash.toLowerCase() !== hashBefore) {
+          throw new PatchError("stale", `File ${relPath} changed since expectedHash (now ${hashBefore})`);
+        }
+        after = patch ? applyUnifiedDiff(before, patch) : applyEdits(before, edits);
+      } catch (e) {
+        if (e instanceof PatchError) return toolError(e.message, { code: e.code, hashBefore });
+        throw e;
+      }
+
+      const diff = createUnifiedDiff(before, after, target.rel);
+      const changed = after !== before;
+      let entry = null;
+      if (changed && !dryRun) {
+        if (backup) entry = await recordWrite(target);
+        await writeFile(abs, after, "utf8");
+        markIndexStale();
+      }
+
+      const payload = {
+        path: relPath,
+        applied: changed && !dryRun,
+        hashBefore,
+        hashAfter: sha256(after),
+        diff,
+        backupCreated: Boolean(entry),
+        backupId: entry?.id,
       };
-    }
+      return toolResult(payload, diff || `No changes to ${relPath}.`);
+    })
+  );
+
+  // --- repo.backups_list ---
+  server.registerTool(
+    "repo_backups_list",
+    {
+      title: "List file backups",
+      description:
+        "Lists backups taken by repo_write_file/repo_edit_file, newest first. Optionally includes legacy in-tree `<file>.backup-<timestamp>` files.",
+      inputSchema: {
+        path: z.string().optional(),
+        limit: z.number().optional(),
+        includeLegacy: z.boolean().optional(),
+      },
+      outputSchema: {
+        backupDir: z.string(),
+        backups: z.array(backupShape),
+        legacy: z.array(z.string()).optional(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    sandboxed(async ({ path: relPath, limit = 50, includeLegacy = false }) => {
+      const backups = await listBackups({ path: relPath, limit });
+      const payload = { backupDir: BACKUP_DIR, backups };
+      if (includeLegacy) payload.legacy = await findLegacyBackups();
+      return toolResult(payload);
+    })
+  );
+
+  // --- repo.backup_restore ---
+  server.registerTool(
+    "repo_backup_restore",
+    {
+      title: "Restore a file backup",
+      description:
+        "Restores the file to its state before the given backup's write (deleting it if that write created it). The current content is backed up first.",
+      inputSchema: { id: z.string() },
+      outputSchema: {
+        id: z.string(),
+        path: z.string(),
+        action: z.enum(["restored", "deleted"]),
+        snapshotId: z.string(),
+      },
+      annotations: { readOnlyHint: false },
+    },
+    sandboxed(async ({ id }) => {
+      const restored = await restoreBackup(id);
+      if (!restored) return toolError(`Backup ${id} not found`);
+      markIndexStale();
+      return toolResult(restored);
+    })
+  );
+
+  // --- repo.undo_writes ---
+  server.registerTool(
+    "repo_undo_writes",
+    {
+      title: "Undo the last N file writes",
+      description:
+        "Reverts the most recent backed-up writes in reverse order. Files created by those writes are deleted.",
+      inputSchema: { count: z.number().optional() },
+      outputSchema: {
+        undone: z.array(z.object({
+          id: z.string(),
+          path: z.string(),
+          action: z.enum(["restored", "deleted"]),
+        })),
+      },
+      annotations: { readOnlyHint: false },
+    },
+    sandboxed(async ({ count = 1 }) => {
+      let undone;
+      try {
+        undone = await undoWrites(count);
+      } catch (e) {
+        markIndexStale(); // earlier entries may have been restored
+        throw e;
+      }
+      if (undone.length) markIndexStale();
+      return toolResult(
+        { undone },
+        undone.length
+          ? undone.map((u) => `${u.action} ${u.path}`).join("\n")
+          : "Nothing to undo."
+      );
+    })
+  );
+
+  // --- repo.backup_prune ---
+  server.registerTool(
+    "repo_backup_prune",
+    {
+      title: "Prune file backups",
+      description:
+        "Deletes backups older than N days and/or beyond the newest keepLast per file. Can also delete legacy in-tree `<file>.backup-<timestamp>` files.",
+      inputSchema: {
+        olderThanDays: z.number().optional(),
+        keepLast: z.number().optional(),
+        path: z.string().optional(),
+        removeLegacy: z.boolean().optional(),
+      },
+      outputSchema: {
+        removed: z.number(),
+        remaining: z.number(),
+        legacyRemoved: z.array(z.string()),
+      },
+      annotations: { readOnlyHint: false },
+    },
+    sandboxed(async ({ olderThanDays, keepLast, path: relPath, removeLegacy = false }) => {
+      if (olderThanDays === undefined && keepLast === undefined && !removeLegacy) {
+        return toolError("Specify olderThanDays, keepLast, or removeLegacy.");
+      }
+
+      const result = olderThanDays === undefined && keepLast === undefined
+        ? { removed: 0, remaining: (await listBackups({ limit: Infinity })).length }
+        : await pruneBackups({ olderThanDays, keepLast, path: relPath });
+
+      const legacyRemoved = [];
+      if (removeLegacy) {
+        for (const rel of await findLegacyBackups()) {
+          await rm((await resolveForWrite(rel)).abs, { force: true });
+          legacyRemoved.push(rel);
+        }
+      }
+
+      return toolResult({ ...result, legacyRemoved });
+    })
   );
 
   // --- repo.smart_context (NEW) ---
@@ -144,30 +552,56 @@ export function registerRepoTools(server) {
     "repo_smart_context",
     {
       title: "Get relevant files for query",
-      description: "Intelligently select files based on query relevance, recency, and importance",
+      description: "Select files relevant to a query, ranked by BM25 over content, query terms in the path, and recency of git changes; with useHotspots also by git hotspot score (churn × size over the last year, see git_history_stats). Each file's reasons break its score down numerically. With tokenBudget, returns the matching functions/regions of each file packed into that many (approximate) tokens instead of whole files.",
       inputSchema: {
         query: z.string(),
         maxFiles: z.number().optional(),
         includeContent: z.boolean().optional(),
         fileTypes: z.array(z.string()).optional(),
+        tokenBudget: z.number().int().positive().optional(),
+        useHotspots: z.boolean().optional(),
+      },
+      outputSchema: {
+        query: z.string(),
+        totalFiles: z.number(),
+        files: z.array(contextFileShape),
+        tokenBudget: z.number().optional(),
+        tokensUsed: z.number().optional(),
+        omitted: z.array(z.object({ path: z.string(), score: z.number(), reason: z.string() })).optional(),
       },
+      annotations: { readOnlyHint: true },
     },
-    async ({ query, maxFiles = 5, includeContent = true, fileTypes = [] }) => {
+    async ({ query, maxFiles = 5, includeContent = true, fileTypes = [], tokenBudget, useHotspots = false }) => {
       const results = [];
 
-      // Step 1: Search for query matches
-      const searchResults = await performSearch(query, maxFiles * 3);
-
-      // Step 2: Get git status for recent files
-      const recentFiles = await getRecentlyChangedFiles();
+      // Step 1: Rank candidate files (BM25 content, path matches, recency, hotspots)
+      const scoredFiles = await rankFiles(query, fileTypes, Math.max(50, maxFiles * 10), useHotspots);
 
-      // Step 3: Score and rank files
-      const scoredFiles = await scoreFiles(searchResults, recentFiles, query, fileTypes);
-
-      // Step 4: Select top files
+      // Step 2: Select top files
       const selectedFiles = scoredFiles.slice(0, maxFiles);
 
-      // Step 5: Get content if requested
+      // With a budget, send matching snippets instead of whole files
+      if (tokenBudget !== undefined) {
+        const loaded = [];
+        for (const file of selectedFiles) {
+          try {
+            loaded.push({ ...file, text: await safeReadFile(file.path, 0, MAX_BYTES) });
+          } catch (error) {
+            results.push({ path: file.path, score: file.score, reasons: file.reasons, size: 0, error: error.message });
+          }
+        }
+        const packed = packContext(loaded, { query, terms: queryTerms(query), tokenBudget });
+        return toolResult({
+          query,
+          totalFiles: packed.files.length,
+          files: [...packed.files, ...results],
+          tokenBudget,
+          tokensUsed: packed.tokensUsed,
+          omitted: packed.omitted,
+        });
+      }
+
+      // Step 3: Get content if requested
       for (const file of selectedFiles) {
         const fileInfo = {
           path: file.path,
@@ -189,47 +623,137 @@ export function registerRepoTools(server) {
         results.push(fileInfo);
       }
 
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify({
-            query,
-            totalFiles: results.length,
-            files: results
-          }, null, 2)
-        }]
-      };
+      return toolResult({
+        query,
+        totalFiles: results.length,
+        files: results
+      });
     }
   );
 
+  // --- repo.dependency_graph ---
+  server.registerTool(
+    "repo_dependency_graph",
+    {
+      title: "Module dependency graph",
+      description:
+        "Resolves import/export-from/require/import() edges between JS/TS files in the repo (relative paths, index files, " +
+        "tsconfig/jsconfig baseUrl and paths aliases) and reports cycles, orphan files (imported by nothing and not an entry point, " +
+        "test or config; entry points are package.json main/module/bin/exports/scripts and a root index.*) and unresolved imports. With file, also lists what it imports and everything that depends on it, " +
+        "and limits the exported graph to those files. format: json (default) or dot (Graphviz).",
+      inputSchema: {
+        file: z.string().optional(),
+        path: z.string().optional(),         // only files under this directory
+        format: z.enum(["json", "dot"]).optional(),
+        includeExternal: z.boolean().optional(),
+      },
+      outputSchema: {
+        files: z.number(),
+        edges: z.number(),
+        cycles: z.array(z.object({ files: z.array(z.string()), cycle: z.array(z.string()) })),
+        orphans: z.array(z.string()),
+        entryPoints: z.array(z.string()),
+        unresolved: z.array(z.object({ from: z.string(), source: z.string(), line: z.number() })),
+        unparsed: z.array(z.string()),
+        aliases: z.object({
+          config: z.string(),
+          baseUrl: z.string().nullable(),
+          paths: z.array(z.string()),
+        }).nullable(),
+        external: z.array(z.object({ name: z.string(), importers: z.array(z.string()) })).optional(),
+        target: z.object({
+          file: z.string(),
+          dependencies: z.array(z.string()),
+          directDependents: z.array(z.string()),
+          transitiveDependents: z.array(z.object({ file: z.string(), depth: z.number() })),
+        }).optional(),
+        graph: z.object({ nodes: z.array(z.string()), edges: z.array(dependencyEdgeShape) }).optional(),
+        dot: z.string().optional(),
+      },
+      annotations: { readOnlyHint: true },
+    },
+    sandboxed(async ({ file, path: under, format = "json", includeExternal = false }) => {
+      const graph = await buildDependencyGraph();
+      let { nodes, edges, unresolved, unparsed } = graph;
+
+      if (under && under !== ".") {
+        const prefix = (await resolveInRepo(under)).rel.replace(/\/?$/, "/");
+        const inside = (f) => f.startsWith(prefix);
+        nodes = nodes.filter(inside);
+        edges = edges.filter(e => inside(e.from) && inside(e.to));
+        unresolved = unresolved.filter(u => inside(u.from));
+        unparsed = unparsed.filter(inside);
+      }
+
+      const cycles = findCycles(nodes, edges);
+      const result = {
+        files: nodes.length,
+        edges: edges.length,
+        cycles,
+        orphans: findOrphans(nodes, edges, graph.entryPoints),
+        entryPoints: graph.entryPoints,
+        unresolved,
+        unparsed,
+        aliases: graph.aliases,
+      };
+      if (includeExternal) result.external = graph.external;
+
+      // Narrow the exported graph to the file, its imports and its dependents
+      let exportNodes = nodes;
+      let exportEdges = edges;
+      if (file) {
+        const { rel } = await resolveInRepo(file);
+        if (!nodes.includes(rel)) {
+          return toolError(`${rel} is not a JS/TS module in the dependency graph`, { path: rel });
+        }
+        const dependents = dependentsOf(rel, nodes, edges);
+        const dependencies = edges.filter(e => e.from === rel).map(e => e.to);
+        result.target = {
+          file: rel,
+          dependencies,
+          directDependents: dependents.filter(d => d.depth === 1).map(d => d.file),
+          transitiveDependents: dependents,
+        };
+        const keep = new Set([rel, ...dependencies, ...dependents.map(d => d.file)]);
+        exportNodes = nodes.filter(n => keep.has(n));
+        exportEdges = edges.filter(e => keep.has(e.from) && keep.has(e.to));
+      }
+
+      if (format === "dot") {
+        result.dot = toDot(exportNodes, exportEdges, cycles);
+        return toolResult(result, result.dot);
+      }
+      result.graph = { nodes: exportNodes, edges: exportEdges };
+      return toolResult(result);
+    })
+  );
+
   // --- repo.analyze_project (NEW) ---
   server.registerTool(
     "repo_analyze_project",
     {
       title: "Analyze project structure and metadata",
-      description: "Get comprehensive project overview including dependencies, structure, main files, and purpose",
+      description: "Get comprehensive project overview including dependencies, structure, main files, and purpose. Detects every ecosystem (Node, Python, Go, Maven, Gradle, Rust), parses their manifests into name/version/scope entries and reports declared-vs-locked version drift.",
       inputSchema: {
         depth: z.number().optional(),
         includeStats: z.boolean().optional(),
       },
+      outputSchema: projectAnalysisShape,
+      annotations: { readOnlyHint: true },
     },
     async ({ depth = 2, includeStats = true }) => {
+      const manifests = await analyzeManifests();
       const analysis = {
-        metadata: await analyzeProjectMetadata(),
+        metadata: await analyzeProjectMetadata(manifests.ecosystems),
         structure: await analyzeProjectStructure(depth),
         mainFiles: await findMainFiles(),
-        dependencies: await analyzeDependencies(),
+        dependencies: summarizeDependencies(manifests),
         gitInfo: await analyzeGitRepository(),
         stats: includeStats ? await calculateProjectStats() : null,
         timestamp: new Date().toISOString()
       };
 
-      return {
-        content: [{
-          type: "text",
-          text: JSON.stringify(analysis, null, 2)
-        }]
-      };
+      return toolResult(analysis);
     }
   );
 }
@@ -240,6 +764,14 @@ export function registerRepoTools(server) {
 
 // Helper functions for smart_context
 async function performSearch(query, limit) {
+  const indexed = await findFilesIndexed(query, limit);
+  if (indexed) {
+    return indexed.map(({ path: file }) => ({ path: file, matchType: 'content' }));
+  }
+  return (await ripgrepFiles(query, limit)).map(file => ({ path: file, matchType: 'content' }));
+}
+
+async function ripgrepFiles(pattern, limit) {
   const rgCmd = process.env.RG_CMD || "rg";
   const args = [
     "--files-with-matches",
@@ -248,137 +780,147 @@ async function performSearch(query, limit) {
     "--glob", "!node_modules",
     "--glob", "!dist",
     "--glob", "!build",
-    query,
+    ...DENY_GLOBS.flatMap(g => ["--glob", `!${g}`]),
+    pattern,
     "."
   ];
 
   const { code, out } = await run(rgCmd, args, { timeoutMs: 30000 });
   if (code > 1) return [];
 
-  return out ? out.split('\n').filter(Boolean).slice(0, limit).map(file => ({
-    path: path.relative(REPO_ROOT, file),
-    matchType: 'content'
-  })) : [];
+  return out ? out.split('\n').filter(Boolean).slice(0, limit).map(file => path.relative(REPO_ROOT, file)) : [];
 }
 
-async function getRecentlyChangedFiles() {
-  try {
-    const { code, out } = await run("git", ["diff", "--name-only", "HEAD~10..HEAD"], { timeoutMs: 10000 });
-    if (code === 0 && out) {
-      return out.split('\n').filter(Boolean);
+// Term counts when the index is unavailable: files rg finds for any term,
+// tokenized on the fly. BM25 idf is then relative to these candidates only.
+async function scanTermDocuments(terms, limit) {
+  const pattern = `(?i)${terms.map(t => t.replace(/[$]/g, "\\$&")).join("|")}`;
+  const docs = [];
+  for (const file of await ripgrepFiles(pattern, limit)) {
+    let text;
+    try {
+      text = await safeReadFile(file, 0, MAX_BYTES);
+    } catch {
+      continue;
     }
-  } catch {
-    // Not a git repo or other error
+    const tf = {};
+    let length = 0;
+    for (const token of tokenize(text)) {
+      length++;
+      if (terms.includes(token)) tf[token] = (tf[token] ?? 0) + 1;
+    }
+    docs.push({ rel: file, tf, length });
   }
-  return [];
+  return docs;
 }
 
-async function scoreFiles(searchResults, recentFiles, query, fileTypes) {
-  const scored = [];
-
-  for (const result of searchResults) {
-    let score = 10; // Base score for having search matches
-    const reasons = ['Contains search term'];
+// Last commit time per file (from `git log`) and files with uncommitted changes
+async function getChangeTimes() {
+  const lastCommit = new Map();
+  const uncommitted = new Set();
 
-    // Boost for recent changes
-    if (recentFiles.includes(result.path)) {
-      score += 5;
-      reasons.push('Recently modified');
+  const log = await run("git", ["log", "-n", "500", "--format=%x00%ct", "--name-only", "--no-renames", "--relative"], { timeoutMs: 10000 });
+  if (log.code === 0) {
+    let time = 0;
+    for (const line of log.out.split('\n')) {
+      if (line.startsWith('\0')) time = Number(line.slice(1)) * 1000;
+      else if (line && !lastCommit.has(line)) lastCommit.set(line, time); // newest commit comes first
     }
+  }
 
-    // Boost for important file types
-    const ext = path.extname(result.path);
-    if (['.js', '.ts', '.py', '.java', '.go', '.rs'].includes(ext)) {
-      score += 3;
-      reasons.push('Source code file');
-    }
+  const changed = await run("git", ["diff", "--name-only", "--relative", "HEAD"], { timeoutMs: 10000 });
+  const untracked = await run("git", ["ls-files", "--others", "--exclude-standard"], { timeoutMs: 10000 });
+  for (const { code, out } of [changed, untracked]) {
+    if (code === 0) out.split('\n').filter(Boolean).forEach(f => uncommitted.add(f));
+  }
 
-    // Boost for configuration/documentation files
-    const filename = path.basename(result.path).toLowerCase();
-    if (['readme', 'package.json', 'config', 'dockerfile'].some(term => filename.includes(term))) {
-      score += 4;
-      reasons.push('Configuration/documentation file');
-    }
+  return { lastCommit, uncommitted };
+}
 
-    // Apply file type filter
-    if (fileTypes.length > 0) {
-      if (fileTypes.includes(ext.slice(1))) {
-        score += 2;
-        reasons.push('Matches requested file type');
-      } else {
-        score -= 5; // Penalize non-matching types
-      }
-    }
+// Hotspot scores by file over the last year of history; empty outside git
+async function getHotspots() {
+  try {
+    const churn = fileChurn(await readHistory({ since: "1 year ago", maxCommits: 500 }));
+    return new Map((await hotspots(churn)).map((h) => [h.file, h]));
+  } catch {
+    return new Map();
+  }
+}
+
+async function rankFiles(query, fileTypes, poolSize, useHotspots = false) {
+  const terms = queryTerms(query);
+  let docs;
+  if (terms.length === 0) {
+    // Nothing word-like to rank on (e.g. a punctuation-only regex): keep plain matches
+    docs = (await performSearch(query, poolSize)).map(r => ({ rel: r.path, tf: {}, length: 0 }));
+  } else {
+    docs = (await termDocuments(terms)) ?? (await scanTermDocuments(terms, poolSize));
+  }
+
+  const corpus = corpusStats(docs, terms);
+  const { lastCommit, uncommitted } = await getChangeTimes();
+  const hot = useHotspots ? await getHotspots() : new Map();
+  const wanted = fileTypes.map(t => t.replace(/^\./, ''));
 
-    scored.push({
-      ...result,
-      score,
-      reasons
+  const scored = [];
+  for (const doc of docs) {
+    const matched = terms.length === 0 || Object.keys(doc.tf).length > 0 || pathMatch(doc.rel, terms).score > 0;
+    if (!matched) continue;
+
+    const { score, reasons } = scoreDocument({
+      rel: doc.rel,
+      doc,
+      terms,
+      corpus,
+      lastChangeMs: lastCommit.get(doc.rel),
+      uncommitted: uncommitted.has(doc.rel),
+      hotspot: hot.get(doc.rel),
+      typeMismatch: wanted.length > 0 && !wanted.includes(path.extname(doc.rel).slice(1)),
     });
+    if (terms.length === 0) reasons.unshift('matches query pattern (no terms to score)');
+    scored.push({ path: doc.rel, score, reasons });
   }
 
-  return scored.sort((a, b) => b.score - a.score);
+  return scored.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
 }
 
 // Helper functions for analyze_project
-async function analyzeProjectMetadata() {
+async function analyzeProjectMetadata(ecosystems) {
   const metadata = {
     name: null,
     type: "unknown",
+    ecosystems: ecosystems.map(e => e.id),
     description: null,
     version: null,
     author: null,
     license: null
   };
 
+  // Every ecosystem present, e.g. "nodejs+python" for a mixed repo
+  if (metadata.ecosystems.length > 0) {
+    metadata.type = metadata.ecosystems.join("+");
+  }
+
   // Check for package.json (Node.js)
   try {
     const packageJson = await safeReadFile("package.json");
     const pkg = JSON.parse(packageJson);
     metadata.name = pkg.name;
-    metadata.type = "nodejs";
     metadata.description = pkg.description;
     metadata.version = pkg.version;
     metadata.author = pkg.author;
     metadata.license = pkg.license;
   } catch {
-    // Not a Node.js project
-  }
-
-  // Check for pyproject.toml or requirements.txt (Python)
-  try {
-    await safeReadFile("pyproject.toml");
-    metadata.type = "python";
-  } catch {
-    try {
-      await safeReadFile("requirements.txt");
-      metadata.type = "python";
-    } catch {
-      // Not a Python project
-    }
-  }
-
-  // Check for pom.xml or build.gradle (Java)
-  try {
-    await safeReadFile("pom.xml");
-    metadata.type = "java-maven";
-  } catch {
-    try {
-      await safeReadFile("build.gradle");
-      metadata.type = "java-gradle";
-    } catch {
-      // Not a Java project
+    // Not a Node.js project: fall back to pyproject/Cargo/go.mod/pom
+    const info = await rootProjectInfo();
+    if (info) {
+      metadata.name = info.name ?? null;
+      metadata.description = info.description ?? null;
+      metadata.version = info.version ?? null;
+      metadata.license = info.license ?? null;
     }
   }
 
-  // Check for go.mod (Go)
-  try {
-    await safeReadFile("go.mod");
-    metadata.type = "go";
-  } catch {
-    // Not a Go project
-  }
-
   return metadata;
 }
 
@@ -391,22 +933,22 @@ async function analyzeProjectStructure(maxDepth) {
   };
 
   try {
-    const { code, out } = await run("find", [".", "-maxdepth", String(maxDepth), "-type", "f"], { timeoutMs: 10000 });
-    if (code === 0 && out) {
-      structure.files = out.split('\n').filter(Boolean).map(f => f.replace('./', ''));
-      structure.totalFiles = structure.files.length;
-    }
-  } catch {
-    // Fallback for Windows or systems without find
-    try {
-      const { code, out } = await run("dir", ["/s", "/b"], { timeoutMs: 10000 });
-      if (code === 0 && out) {
-        structure.files = out.split('\n').filter(Boolean).map(f => path.relative(REPO_ROOT, f));
-        structure.totalFiles = structure.files.length;
+    const { root } = await buildTree("", { depth: maxDepth, maxEntries: 5000 });
+    const visit = (node) => {
+      for (const child of node.children ?? []) {
+        if (child.type === "dir") {
+          structure.directories.push(child.path);
+          visit(child);
+        } else {
+          structure.files.push(child.path);
+        }
       }
-    } catch {
-      // Unable to get file listing
-    }
+    };
+    visit(root);
+    structure.totalFiles = root.files;
+    structure.totalDirectories = root.dirs;
+  } catch {
+    // Unable to walk the repo
   }
 
   return structure;
@@ -435,29 +977,14 @@ async function findMainFiles() {
   return mainFiles;
 }
 
-async function analyzeDependencies() {
-  const deps = {
-    production: [],
-    development: [],
-    total: 0
+function summarizeDependencies(manifests) {
+  const names = (scopes) => [...new Set(manifests.entries.filter(e => scopes.includes(e.scope)).map(e => e.name))];
+  return {
+    production: names(["production"]),
+    development: names(["development", "test"]),
+    total: manifests.entries.length,
+    ...manifests
   };
-
-  try {
-    const packageJson = await safeReadFile("package.json");
-    const pkg = JSON.parse(packageJson);
-    
-    if (pkg.dependencies) {
-      deps.production = Object.keys(pkg.dependencies);
-    }
-    if (pkg.devDependencies) {
-      deps.development = Object.keys(pkg.devDependencies);
-    }
-    deps.total = deps.production.length + deps.development.length;
-  } catch {
-    // Not a Node.js project or no package.json
-  }
-
-  return deps;
 }
 
 async function analyzeGitRepository() {
@@ -508,27 +1035,9 @@ async function analyzeGitRepository() {
 }
 
 async function calculateProjectStats() {
-  const stats = {
-    totalLines: 0,
-    totalBytes: 0,
-    fileTypes: {},
-    largestFiles: []
-  };
-
   try {
-    // Use find + wc for line counting (Unix systems)
-    const { code, out } = await run("find", [".", "-name", "*.js", "-o", "-name", "*.ts", "-o", "-name", "*.py", "-o", "-name", "*.java", "-o", "-name", "*.go"], { timeoutMs: 15000 });
-    
-    if (code === 0 && out) {
-      const files = out.split('\n').filter(Boolean);
-      for (const file of files) {
-        const ext = path.extname(file);
-        stats.fileTypes[ext] = (stats.fileTypes[ext] || 0) + 1;
-      }
-    }
+    return await projectStats();
   } catch {
-    // Fallback for systems without find
+    return null;
   }
-
-  return stats;
 }
\ No newline at end of file
@@ -1,5 +1,7 @@
 import { z } from "zod";
 import { run } from "../helpers/process.js";
+import { toolResult, toolError } from "../helpers/result.js";
+import { resolveInRepo, sandboxed } from "../helpers/sandbox.js";
 
 export function registerRuntimeTools(server) {
   // --- runtime.processes -----------------------------------------------------
@@ -9,6 +11,8 @@ export function registerRuntimeTools(server) {
       title: "List running processes",
       description: "Lists running processes using `ps` (Unix) or `tasklist` (Windows).",
       inputSchema: { limit: z.number().optional() },
+      outputSchema: { lines: z.array(z.string()) },
+      annotations: { readOnlyHint: true }, // still hidden in read-only mode, see policy.js
     },
     async ({ limit = 30 }) => {
       let cmd, args;
@@ -22,14 +26,11 @@ export function registerRuntimeTools(server) {
 
       const { code, out, err } = await run(cmd, args, { timeoutMs: 10000 });
       if (code !== 0) {
-        return { content: [{ type: "text", text: `Failed: ${err}` }] };
+        return toolError(`Failed: ${err}`);
       }
 
       const lines = out.split("\n").filter(Boolean).slice(0, limit);
-      return {
-        content: [{ type: "text", text: lines.join("\n") }],
-        // structuredContent: lines,
-      };
+      return toolResult({ lines }, lines.join("\n"));
     }
   );
 
@@ -38,30 +39,35 @@ export function registerRuntimeTools(server) {
     "runtime_logs",
     {
       title: "Tail a log file",
-      description: "Reads the last N lines from a log file.",
+      description: "Reads the last N lines from a log file inside the repo.",
       inputSchema: {
         path: z.string(),
         lines: z.number().optional(),
       },
+      outputSchema: { path: z.string(), text: z.string() },
+      annotations: { readOnlyHint: true },
     },
-    async ({ path, lines = 50 }) => {
+    sandboxed(async ({ path, lines = 50 }) => {
+      const { abs } = await resolveInRepo(path);
+
       // On Unix: use tail, on Windows: use Get-Content
       let cmd, args;
       if (process.platform === "win32") {
         cmd = "powershell";
-        args = ["-Command", `Get-Content -Path '${path}' -Tail ${lines}`];
+        const quoted = abs.replace(/'/g, "''");
+        args = ["-Command", `Get-Content -LiteralPath '${quoted}' -Tail ${Number(lines)}`];
       } else {
         cmd = "tail";
-        args = ["-n", String(lines), path];
+        args = ["-n", String(lines), "--", abs];
       }
 
       const { code, out, err } = await run(cmd, args, { timeoutMs: 10000 });
       if (code !== 0) {
-        return { content: [{ type: "text", text: `Failed: ${err}` }] };
+        return toolError(`Failed: ${err}`);
       }
 
-      return { content: [{ type: "text", text: out }] };
-    }
+      return toolResult({ path, text: out }, out);
+    })
   );
 
   // --- runtime.port_check ----------------------------------------------------
@@ -71,6 +77,8 @@ export function registerRuntimeTools(server) {
       title: "Check if a port is listening",
       description: "Checks if a TCP port is open on localhost.",
       inputSchema: { port: z.number() },
+      outputSchema: { port: z.number(), open: z.boolean() },
+      annotations: { readOnlyHint: true },
     },
     async ({ port }) => {
       let cmd, args;
@@ -83,17 +91,16 @@ export function registerRuntimeTools(server) {
       }
 
       const { code, out, err } = await run(cmd, args, { timeoutMs: 10000 });
-      if (code !== 0) {
-        return { content: [{ type: "text", text: `Failed: ${err}` }] };
+      // lsof exits 1 with no output when nothing is listening
+      if (code !== 0 && !(code === 1 && !out.trim())) {
+        return toolError(`Failed: ${err}`);
       }
 
       const found = out.includes(port.toString());
-      return {
-        content: [
-          { type: "text", text: found ? `✅ Port ${port} is open` : `❌ Port ${port} is closed` },
-        ],
-        // structuredContent: { port, open: found },
-      };
+      return toolResult(
+        { port, open: found },
+        found ? `✅ Port ${port} is open` : `❌ Port ${port} is closed`
+      );
     }
   );
 }
@@ -0,0 +1,129 @@
+// src/transports/http.js
+import http from "node:http";
+import { randomUUID, timingSafeEqual } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { createServer } from "../server.js";
+
+const MAX_BODY = 4 * 1024 * 1024;
+// Sessions whose client vanished without DELETE are closed after this idle time
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function jsonRpcError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: "2.0", error: { code, message }, id: null });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : undefined);
+      } catch {
+        reject(new Error("Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function isAuthorized(req, token) {
+  if (!token) return true;
+  const header = req.headers.authorization || "";
+  const given = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(token);
+  return header.toLowerCase().startsWith("bearer ") &&
+    given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Streamable HTTP transport: POST/GET/DELETE /mcp with Mcp-Session-Id sessions,
+// optional bearer token, and an unauthenticated GET /healthz.
+export function startHttpServer({ port, host = "127.0.0.1", token }) {
+  const sessions = new Map(); // sessionId -> transport
+  const lastSeen = new Map(); // sessionId -> ms timestamp
+  const startedAt = Date.now();
+  const loopback = ["127.0.0.1", "localhost", "::1"].includes(host);
+
+  const httpServer = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (pathname === "/healthz" && req.method === "GET") {
+      return sendJson(res, 200, {
+        status: "ok",
+        sessions: sessions.size,
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      });
+    }
+
+    if (pathname !== "/mcp") return sendJson(res, 404, { error: "Not found" });
+
+    if (!isAuthorized(req, token)) {
+      return jsonRpcError(res, 401, -32001, "Unauthorized");
+    }
+
+    try {
+      const sessionId = req.headers["mcp-session-id"];
+      const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+      let transport = sessionId ? sessions.get(sessionId) : undefined;
+      if (transport) lastSeen.set(sessionId, Date.now());
+
+      if (!transport) {
+        if (sessionId) return jsonRpcError(res, 404, -32001, "Session not found");
+        if (req.method !== "POST" || !isInitializeRequest(body)) {
+          return jsonRpcError(res, 400, -32000, "Bad Request: no valid session ID provided");
+        }
+
+        transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => {
+            sessions.set(id, transport);
+            lastSeen.set(id, Date.now());
+          },
+          // Host checks stop DNS-rebinding pages from reaching a loopback server
+          enableDnsRebindingProtection: loopback,
+          allowedHosts: loopback ? [`127.0.0.1:${port}`, `localhost:${port}`, `[::1]:${port}`] : undefined,
+        });
+        transport.onclose = () => {
+          sessions.delete(transport.sessionId);
+          lastSeen.delete(transport.sessionId);
+        };
+        const { server } = createServer();
+        await server.connect(transport);
+      }
+
+      await transport.handleRequest(req, res, body);
+    } catch (e) {
+      if (!res.headersSent) jsonRpcError(res, 400, -32700, e?.message || String(e));
+      else res.end();
+    }
+  });
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [id, seen] of lastSeen) {
+      if (seen < cutoff) sessions.get(id)?.close();
+    }
+  }, 60 * 1000);
+  sweep.unref();
+  httpServer.on("close", () => clearInterval(sweep));
+
+  return new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => resolve(httpServer));
+  });
+}